@@ -1,7 +1,17 @@
 const express = require('express');
 const path = require('path');
 const seatsRouter = require('./routes/seats');
+const eventsRouter = require('./routes/events');
+const authRouter = require('./routes/auth');
+const adminRouter = require('./routes/admin');
+const bookingsRouter = require('./routes/bookings');
+const usersRouter = require('./routes/users');
+const auditRouter = require('./routes/audit');
+const queueRouter = require('./routes/queue');
+const { authenticate } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rateLimit');
 const errorHandler = require('./middleware/errorHandler');
+const { SeatModel } = require('./models/seatModel');
 
 const app = express();
 
@@ -16,8 +26,8 @@ app.use(express.urlencoded({ extended: true }));
 app.use((req, res, next) => {
   res.header('Content-Type', 'application/json');
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Last-Event-ID, Idempotency-Key, Queue-Token, If-Match, If-None-Match');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -32,8 +42,27 @@ app.use((req, res, next) => {
   next();
 });
 
-// API routes
+// Throttle each IP, with separate read and write budgets; this runs before
+// authentication so requests with bad tokens are charged too
+app.use(rateLimit({ by: 'ip' }));
+
+// Identify the caller from their bearer token (req.user)
+app.use(authenticate);
+
+// Throttle each user as well, wherever they send requests from
+app.use(rateLimit({ by: 'user' }));
+
+// API routes (/seats is an alias for the default event's seat map)
 app.use('/seats', seatsRouter);
+app.use('/events/:eventId/seats', seatsRouter);
+app.use('/queue', queueRouter);
+app.use('/events/:eventId/queue', queueRouter);
+app.use('/events', eventsRouter);
+app.use('/bookings', bookingsRouter);
+app.use('/users', usersRouter);
+app.use('/auth', authRouter);
+app.use('/admin', adminRouter);
+app.use('/audit', auditRouter);
 
 // Root endpoint - serve HTML interface or API info
 app.get('/', (req, res) => {
@@ -51,13 +80,55 @@ app.get('/', (req, res) => {
         'Real-time seat status'
       ],
       endpoints: {
+        'POST /auth/register': 'Create an account and receive an access token',
+        'POST /auth/login': 'Exchange credentials for an access token',
+        'GET /auth/me': 'Identity of the token holder',
         'GET /seats': 'List all seats with status',
         'GET /seats/:id': 'Get specific seat details',
+        'GET /seats/:id/history': 'Every state transition of a seat (admin)',
+        'GET /seats/replay': 'Seat map as of ?at= or ?version=, rebuilt from its journal (admin)',
         'POST /seats/:id/lock': 'Lock seat temporarily (1 min)',
+        'POST /seats/:id/lock/extend': 'Extend a lock (up to a maximum hold time)',
         'POST /seats/:id/confirm': 'Confirm booking (requires lock)',
         'DELETE /seats/:id/unlock': 'Release lock manually',
+        'POST /seats/lock': 'Lock several seats all-or-nothing',
+        'POST /seats/best-available': 'Choose and lock the best seats for a party',
+        'POST /seats/confirm': 'Confirm a group booking',
+        'DELETE /seats/unlock': 'Release a group lock manually',
         'GET /seats/statistics': 'Get seat statistics',
-        'POST /seats/reset': 'Reset all seats (testing)'
+        'GET /seats/stream': 'Live seat status changes (Server-Sent Events)',
+        'POST /seats/waitlist': 'Join the waitlist for a seat, row or section',
+        'GET /seats/waitlist/:waitlistId': 'View a waitlist entry and its position (owner or admin)',
+        'DELETE /seats/waitlist/:waitlistId': 'Leave the waitlist',
+        'POST /seats/reset': 'Reset all seats (admin)',
+        'POST /queue/join': 'Join the waiting room for a queue token',
+        'GET /queue/status': 'Queue position and estimated admission time',
+        'GET /events': 'List events/showtimes',
+        'POST /events': 'Create an event with its own seat map (admin)',
+        'GET /events/:eventId': 'Get event details',
+        'PATCH /events/:eventId': 'Update event details (admin)',
+        'POST /events/:eventId/cancel': 'Cancel an event (admin)',
+        '/events/:eventId/seats/...': 'All /seats endpoints, scoped to one event',
+        '/events/:eventId/queue/...': 'All /queue endpoints, scoped to one event',
+        'GET /bookings/:bookingId': 'Booking details by ID or reference',
+        'POST /bookings/:bookingId/cancel': 'Cancel a booking under the cancellation policy',
+        'GET /users/:userId/bookings': "A user's bookings, most recent first",
+        'POST /admin/seats/:id/release-lock': 'Force-release a lock (admin)',
+        'POST /admin/seats/:id/cancel-booking': 'Cancel a booking with a full refund (admin)',
+        'POST /admin/seats/block': 'Block seats (admin)',
+        'POST /admin/seats/hold': 'Hold seats as house seats (admin)',
+        'POST /admin/seats/reopen': 'Put blocked or held seats back on sale (admin)',
+        'POST /admin/promo-codes': 'Create a promo code (admin)',
+        'GET /admin/promo-codes': 'List promo codes with their usage (admin)',
+        'POST /admin/promo-codes/:code/deactivate': 'Deactivate a promo code (admin)',
+        'GET /admin/queue': 'Waiting room settings and queue length (admin)',
+        'PUT /admin/queue': 'Open a waiting room or change its admission rate (admin)',
+        'POST /admin/queue/pause': 'Pause admission from the waiting room (admin)',
+        'POST /admin/queue/resume': 'Resume admission from the waiting room (admin)',
+        'POST /admin/queue/close': 'Close the waiting room (admin)',
+        'GET /admin/audit': 'Admin action audit log (admin)',
+        'GET /audit': 'Seat state transitions, ?from=&to= (admin)',
+        'PUT /admin/users/:userId/role': 'Change a user role (admin)'
       },
       interface: 'Visit http://localhost:4000 in browser for visual interface'
     });
@@ -71,7 +142,8 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    memory: process.memoryUsage()
+    memory: process.memoryUsage(),
+    seatLocks: SeatModel.getMutexMetrics()
   });
 });
 
@@ -82,7 +154,7 @@ app.use((req, res) => {
     error: 'Endpoint not found',
     path: req.path,
     method: req.method,
-    availableEndpoints: ['/seats', '/health']
+    availableEndpoints: ['/seats', '/queue', '/events', '/bookings', '/users', '/auth', '/admin', '/audit', '/health']
   });
 });
 
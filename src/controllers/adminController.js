@@ -0,0 +1,533 @@
+const { SeatModel, SEAT_STATUS } = require('../models/seatModel');
+const { UserModel } = require('../models/userModel');
+const { AdminAuditModel } = require('../models/adminAuditModel');
+const { PromoModel } = require('../models/promoModel');
+const { QueueModel } = require('../models/queueModel');
+const { EventModel } = require('../models/eventModel');
+const { eventIdOf } = require('../utils/eventScope');
+
+// Send a failed model result with the matching status code
+const sendFailure = (res, result) => {
+  const statusCode = result.error.includes('not found') ? 404 : 409;
+  res.status(statusCode).json({
+    success: false,
+    error: result.error,
+    ...(result.conflicts && { conflicts: result.conflicts })
+  });
+};
+
+// Validate the seatIds list of a bulk admin request, returning an error message or null
+const validateSeatIds = (seatIds) => {
+  if (!Array.isArray(seatIds) || seatIds.length === 0) {
+    return 'seatIds must be a non-empty array';
+  }
+  return null;
+};
+
+// Block or hold seats (shared by blockSeats and holdSeats)
+const restrictSeats = (status, action) => async (req, res, next) => {
+  try {
+    const { seatIds, note = null } = req.body;
+    const invalid = validateSeatIds(seatIds);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+        required: ['seatIds']
+      });
+    }
+
+    const eventId = eventIdOf(req);
+    const result = await SeatModel.restrictSeats(eventId, seatIds, status, note, req.user.id);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    const ids = result.seats.map(seat => seat.id);
+    AdminAuditModel.record({ actor: req.user.id, action, eventId, seatIds: ids, details: { note } });
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: { eventId, seats: result.seats }
+    });
+  } catch (error) {
+    if (error.code === 'TIMEOUT') {
+      return next(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: `Failed to mark seats as ${status}`,
+      details: error.message
+    });
+  }
+};
+
+// Waiting room settings that must be positive integers when given
+const QUEUE_SETTINGS = ['batchSize', 'intervalMs'];
+
+// Validate the settings of a waiting room, returning an error message or null
+const validateQueueSettings = (settings) => {
+  const invalid = QUEUE_SETTINGS.find(field =>
+    settings[field] !== undefined && !(Number.isInteger(settings[field]) && settings[field] > 0));
+  return invalid ? `${invalid} must be a positive integer` : null;
+};
+
+// Pause or resume a waiting room (shared by pauseQueue and resumeQueue)
+const pauseAdmission = (paused, action) => async (req, res) => {
+  try {
+    const eventId = eventIdOf(req);
+    const result = QueueModel.setPaused(eventId, paused);
+
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    AdminAuditModel.record({ actor: req.user.id, action, eventId });
+
+    res.status(200).json({
+      success: true,
+      message: `Admission to event ${eventId} ${paused ? 'paused' : 'resumed'}`,
+      data: result.room
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${paused ? 'pause' : 'resume'} admission`,
+      details: error.message
+    });
+  }
+};
+
+class AdminController {
+  // POST /admin/seats/:id/release-lock - Force-release a lock
+  static async releaseLock(req, res, next) {
+    try {
+      const eventId = eventIdOf(req);
+      const seatId = req.params.id.toUpperCase();
+      const result = await SeatModel.forceReleaseLock(eventId, seatId, req.user.id);
+
+      if (!result.success) {
+        return sendFailure(res, result);
+      }
+
+      AdminAuditModel.record({
+        actor: req.user.id,
+        action: 'lock.force_released',
+        eventId,
+        seatIds: result.seatIds,
+        details: { lockId: result.lockId, userId: result.userId }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: { eventId, lockId: result.lockId, userId: result.userId, seatIds: result.seatIds }
+      });
+    } catch (error) {
+      // Mutex wait timed out: let errorHandler answer with 408
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to release lock',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /admin/seats/:id/cancel-booking - Cancel the booking holding a seat
+  // with a full refund, whatever the event's cancellation policy
+  static async cancelBooking(req, res, next) {
+    try {
+      const eventId = eventIdOf(req);
+      const seatId = req.params.id.toUpperCase();
+      const seat = SeatModel.getSeatById(eventId, seatId);
+
+      if (!seat) {
+        return sendFailure(res, { error: `Seat ${seatId} not found` });
+      }
+
+      if (seat.status !== SEAT_STATUS.BOOKED || !seat.bookingId) {
+        return sendFailure(res, { error: `Seat ${seatId} is not booked. Current status: ${seat.status}` });
+      }
+
+      const reason = req.body.reason || null;
+      const result = await SeatModel.cancelBooking(seat.bookingId, { cancelledBy: req.user.id, reason });
+
+      if (!result.success) {
+        return sendFailure(res, result);
+      }
+
+      const { booking } = result;
+      AdminAuditModel.record({
+        actor: req.user.id,
+        action: 'booking.cancelled',
+        eventId,
+        seatIds: booking.seatIds,
+        details: { bookingId: booking.id, userId: booking.userId, reason }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: { eventId, booking, seats: result.seats, payment: result.payment || null }
+      });
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel booking',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /admin/seats/block - Take seats out of sale (e.g. camera positions)
+  static blockSeats(req, res, next) {
+    return restrictSeats(SEAT_STATUS.BLOCKED, 'seats.blocked')(req, res, next);
+  }
+
+  // POST /admin/seats/hold - Keep seats back as house seats
+  static holdSeats(req, res, next) {
+    return restrictSeats(SEAT_STATUS.HELD, 'seats.held')(req, res, next);
+  }
+
+  // POST /admin/seats/reopen - Put blocked or held seats back on sale
+  static async reopenSeats(req, res, next) {
+    try {
+      const { seatIds } = req.body;
+      const invalid = validateSeatIds(seatIds);
+
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid,
+          required: ['seatIds']
+        });
+      }
+
+      const eventId = eventIdOf(req);
+      const result = await SeatModel.reopenSeats(eventId, seatIds, req.user.id);
+
+      if (!result.success) {
+        return sendFailure(res, result);
+      }
+
+      AdminAuditModel.record({
+        actor: req.user.id,
+        action: 'seats.reopened',
+        eventId,
+        seatIds: result.seats.map(seat => seat.id)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: { eventId, seats: result.seats }
+      });
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reopen seats',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /admin/promo-codes - Create a promo code
+  static async createPromoCode(req, res) {
+    try {
+      const invalid = PromoModel.validatePromoCode(req.body);
+
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid,
+          required: ['code', 'type', 'value']
+        });
+      }
+
+      const result = PromoModel.createPromoCode(req.body, req.user.id);
+
+      if (!result.success) {
+        return sendFailure(res, result);
+      }
+
+      AdminAuditModel.record({
+        actor: req.user.id,
+        action: 'promo.created',
+        eventId: result.promo.eventId,
+        details: { code: result.promo.code, type: result.promo.type, value: result.promo.value }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: result.promo
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create promo code',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /admin/promo-codes - List promo codes with their usage
+  static async listPromoCodes(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: PromoModel.listPromoCodes()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve promo codes',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /admin/promo-codes/:code - A promo code with its usage
+  static async getPromoCode(req, res) {
+    try {
+      const promo = PromoModel.getPromoCode(req.params.code);
+
+      if (!promo) {
+        return res.status(404).json({
+          success: false,
+          error: `Promo code ${req.params.code.toUpperCase()} not found`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: promo
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve promo code',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /admin/promo-codes/:code/deactivate - Stop a promo code being applied
+  static async deactivatePromoCode(req, res) {
+    try {
+      const result = PromoModel.deactivatePromoCode(req.params.code);
+
+      if (!result.success) {
+        return sendFailure(res, result);
+      }
+
+      AdminAuditModel.record({
+        actor: req.user.id,
+        action: 'promo.deactivated',
+        eventId: result.promo.eventId,
+        details: { code: result.promo.code }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: result.promo
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to deactivate promo code',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /admin/audit - Admin actions, most recent first
+  static async getAudit(req, res) {
+    try {
+      const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'limit must be a positive integer'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: AdminAuditModel.list({ eventId: req.query.eventId || null, limit })
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve audit log',
+        details: error.message
+      });
+    }
+  }
+
+  // PUT /admin/users/:userId/role - Grant or revoke a role
+  static async setUserRole(req, res) {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!role) {
+        return res.status(400).json({
+          success: false,
+          error: 'role is required',
+          required: ['role']
+        });
+      }
+
+      const result = UserModel.setRole(userId, role);
+
+      if (!result.success) {
+        const statusCode = result.error.includes('not found') ? 404 : 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      AdminAuditModel.record({
+        actor: req.user.id,
+        action: 'user.role_changed',
+        details: { userId, role }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `User ${userId} now has the ${role} role`,
+        data: result.user
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to change role',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /admin/queue - A waiting room with its settings and queue length
+  static async getQueue(req, res) {
+    try {
+      const eventId = eventIdOf(req);
+      const room = QueueModel.getRoom(eventId);
+
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          error: `Waiting room for event ${eventId} not found`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: room
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve waiting room',
+        details: error.message
+      });
+    }
+  }
+
+  // PUT /admin/queue - Open a waiting room or change how fast it admits customers
+  static async configureQueue(req, res) {
+    try {
+      const eventId = eventIdOf(req);
+      const { batchSize, intervalMs } = req.body;
+      const invalid = validateQueueSettings({ batchSize, intervalMs });
+
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid
+        });
+      }
+
+      if (!EventModel.getEventById(eventId)) {
+        return res.status(404).json({
+          success: false,
+          error: `Event ${eventId} not found`
+        });
+      }
+
+      const result = QueueModel.configure(eventId, { batchSize, intervalMs });
+
+      AdminAuditModel.record({
+        actor: req.user.id,
+        action: 'queue.configured',
+        eventId,
+        details: { batchSize: result.room.batchSize, intervalMs: result.room.intervalMs }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Waiting room for event ${eventId} admits ${result.room.batchSize} every ${result.room.intervalMs}ms`,
+        data: result.room
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to configure waiting room',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /admin/queue/pause - Stop admitting customers
+  static pauseQueue(req, res) {
+    return pauseAdmission(true, 'queue.paused')(req, res);
+  }
+
+  // POST /admin/queue/resume - Start admitting customers again
+  static resumeQueue(req, res) {
+    return pauseAdmission(false, 'queue.resumed')(req, res);
+  }
+
+  // POST /admin/queue/close - Close a waiting room so locks need no queue token
+  static async closeQueue(req, res) {
+    try {
+      const eventId = eventIdOf(req);
+      const result = QueueModel.close(eventId);
+
+      if (!result.success) {
+        return sendFailure(res, result);
+      }
+
+      AdminAuditModel.record({ actor: req.user.id, action: 'queue.closed', eventId });
+
+      res.status(200).json({
+        success: true,
+        message: `Waiting room for event ${eventId} closed`,
+        data: result.room
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to close waiting room',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = AdminController;
@@ -0,0 +1,99 @@
+const { UserModel } = require('../models/userModel');
+const { signToken, TOKEN_TTL } = require('../utils/authToken');
+
+// Validate registration/login credentials, returning an error message or null
+const validateCredentials = ({ userId, password }) => {
+  if (typeof userId !== 'string' || !userId.trim() || typeof password !== 'string' || !password) {
+    return 'userId and password are required';
+  }
+  return null;
+};
+
+// Token response body for a signed-in user
+const tokenResponse = (user) => ({
+  user,
+  token: signToken(user.id, { role: user.role }),
+  tokenType: 'Bearer',
+  expiresIn: Math.floor(TOKEN_TTL / 1000)
+});
+
+class AuthController {
+  // POST /auth/register - Create an account and sign in
+  static async register(req, res) {
+    try {
+      const invalid = validateCredentials(req.body);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid,
+          required: ['userId', 'password']
+        });
+      }
+
+      const result = UserModel.register(req.body.userId.trim(), req.body.password);
+
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `User ${result.user.id} registered`,
+        data: tokenResponse(result.user)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to register user',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /auth/login - Exchange credentials for an access token
+  static async login(req, res) {
+    try {
+      const invalid = validateCredentials(req.body);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid,
+          required: ['userId', 'password']
+        });
+      }
+
+      const result = UserModel.verifyCredentials(req.body.userId.trim(), req.body.password);
+
+      if (!result.success) {
+        return res.status(401).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: tokenResponse(result.user)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to sign in',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /auth/me - Identity of the token's holder
+  static async me(req, res) {
+    res.status(200).json({
+      success: true,
+      data: req.user
+    });
+  }
+}
+
+module.exports = AuthController;
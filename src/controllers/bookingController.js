@@ -0,0 +1,153 @@
+const { SeatModel } = require('../models/seatModel');
+const { BookingModel, BOOKING_STATUS } = require('../models/bookingModel');
+const { EventModel, EVENT_STATUS } = require('../models/eventModel');
+const { ROLES } = require('../models/userModel');
+const { ForbiddenError } = require('../middleware/auth');
+const { evaluateCancellation } = require('../utils/cancellationPolicy');
+
+// Customers may only see their own bookings; admins (support) see everyone's
+const canAccess = (user, userId) => user.id === userId || user.role === ROLES.ADMIN;
+
+// Event details printed on a booking receipt
+const eventSummary = (eventId) => {
+  const event = EventModel.getEventById(eventId);
+  return event && {
+    id: event.id,
+    name: event.name,
+    venue: event.venue,
+    startsAt: event.startsAt,
+    status: event.status
+  };
+};
+
+class BookingController {
+  // GET /bookings/:bookingId - Booking details by ID or reference
+  static async getBooking(req, res, next) {
+    try {
+      const { bookingId } = req.params;
+      const booking = BookingModel.getBookingById(bookingId);
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          error: `Booking ${bookingId} not found`
+        });
+      }
+
+      if (!canAccess(req.user, booking.userId)) {
+        return next(new ForbiddenError(`Booking ${bookingId} belongs to another user`));
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...booking,
+          event: eventSummary(booking.eventId)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve booking',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /users/:userId/bookings - A user's bookings, most recent first
+  static async getUserBookings(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { status } = req.query;
+
+      if (!canAccess(req.user, userId)) {
+        return next(new ForbiddenError(`Cannot view bookings of user ${userId}`));
+      }
+
+      if (status !== undefined && !Object.values(BOOKING_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${Object.values(BOOKING_STATUS).join(', ')}`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: BookingModel.listUserBookings(userId, { status })
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve bookings',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /bookings/:bookingId/cancel - Cancel a booking under the event's cancellation policy
+  static async cancelBooking(req, res, next) {
+    try {
+      const { bookingId } = req.params;
+      const booking = BookingModel.getBookingById(bookingId);
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          error: `Booking ${bookingId} not found`
+        });
+      }
+
+      if (!canAccess(req.user, booking.userId)) {
+        return next(new ForbiddenError(`Booking ${bookingId} belongs to another user`));
+      }
+
+      const event = EventModel.getEventById(booking.eventId);
+      const policy = evaluateCancellation(event && event.cancellationPolicy, event && event.startsAt, new Date(), {
+        eventCancelled: Boolean(event) && event.status === EVENT_STATUS.CANCELLED
+      });
+
+      if (!policy.allowed) {
+        return res.status(409).json({
+          success: false,
+          error: policy.error
+        });
+      }
+
+      const result = await SeatModel.cancelBooking(booking.id, {
+        cancelledBy: req.user.id,
+        feePercent: policy.feePercent,
+        reason: req.body.reason || null
+      });
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          message: result.message,
+          data: {
+            booking: result.booking,
+            seats: result.seats,
+            payment: result.payment || null
+          }
+        });
+      } else {
+        const statusCode = result.error.includes('not found') ? 404 : 409;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error
+        });
+      }
+    } catch (error) {
+      // Mutex wait timed out: let errorHandler answer with 408
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel booking',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = BookingController;
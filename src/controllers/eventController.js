@@ -0,0 +1,301 @@
+const { EventModel, UPDATABLE_FIELDS } = require('../models/eventModel');
+const { AdminAuditModel } = require('../models/adminAuditModel');
+const { SeatModel } = require('../models/seatModel');
+const { LayoutModel } = require('../models/layoutModel');
+const { validatePolicy } = require('../utils/cancellationPolicy');
+const { validatePricing } = require('../utils/pricing');
+
+// Resolve the venue layout of a new event from either a bundled layoutId or
+// an inline layout definition, returning { layout } or { error }
+const resolveLayout = ({ layoutId, layout }) => {
+  if (layoutId !== undefined && layout !== undefined) {
+    return { error: 'Provide either layoutId or layout, not both' };
+  }
+  if (layoutId !== undefined) {
+    const bundled = LayoutModel.getLayoutById(layoutId);
+    return bundled ? { layout: bundled } : { error: `Layout ${layoutId} not found` };
+  }
+  if (layout !== undefined) {
+    const invalid = LayoutModel.validateLayout(layout);
+    return invalid ? { error: invalid } : { layout };
+  }
+  return { layout: undefined };
+};
+
+// Validate an optional start time, returning an error message or null
+const validateStartsAt = (startsAt) => {
+  if (startsAt === undefined || startsAt === null) {
+    return null;
+  }
+  return Number.isNaN(new Date(startsAt).getTime()) ? 'startsAt must be a valid date' : null;
+};
+
+// Validate an optional cancellation policy, returning an error message or null
+const validateCancellationPolicy = (policy) => {
+  if (policy === undefined || policy === null) {
+    return null;
+  }
+  return validatePolicy(policy);
+};
+
+// Validate optional event pricing, returning an error message or null
+const validateEventPricing = (pricing) => {
+  if (pricing === undefined || pricing === null) {
+    return null;
+  }
+  return validatePricing(pricing);
+};
+
+// Validate the optional single-seat gap rule, returning an error message or null
+const validateGapPrevention = (preventSingleSeatGaps) => {
+  if (preventSingleSeatGaps === undefined || preventSingleSeatGaps === null) {
+    return null;
+  }
+  return typeof preventSingleSeatGaps === 'boolean' ? null : 'preventSingleSeatGaps must be a boolean';
+};
+
+// Prices an event is sold at, without the occupancy they were quoted at
+const pricesOf = (eventId) => {
+  const pricing = SeatModel.getPricing(eventId);
+  return pricing && { prices: pricing.prices, dynamic: pricing.dynamic };
+};
+
+class EventController {
+  // GET /events - List all events
+  static async getAllEvents(req, res) {
+    try {
+      const events = EventModel.getAllEvents();
+
+      res.status(200).json({
+        success: true,
+        data: events.map(event => ({
+          ...event,
+          statistics: SeatModel.getStatistics(event.id)
+        })),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve events',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /events/layouts - List bundled venue layouts
+  static async getLayouts(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: LayoutModel.getAllLayouts().map(layout => LayoutModel.describeGeometry(layout))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve layouts',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /events/:eventId - Get specific event
+  static async getEvent(req, res) {
+    try {
+      const { eventId } = req.params;
+      const event = EventModel.getEventById(eventId);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          error: `Event ${eventId} not found`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...event,
+          layout: SeatModel.getLayout(eventId),
+          pricing: SeatModel.getPricing(eventId),
+          preventSingleSeatGaps: SeatModel.preventsSingleSeatGaps(eventId),
+          statistics: SeatModel.getStatistics(eventId)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve event',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /events - Create an event
+  static async createEvent(req, res) {
+    try {
+      const { name, venue, startsAt, cancellationPolicy, pricing, preventSingleSeatGaps } = req.body;
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          error: 'name is required',
+          required: ['name']
+        });
+      }
+
+      const { layout, error } = resolveLayout(req.body);
+      const invalid = validateStartsAt(startsAt) ||
+        validateCancellationPolicy(cancellationPolicy) ||
+        validateEventPricing(pricing) ||
+        validateGapPrevention(preventSingleSeatGaps) ||
+        error;
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+
+      const result = EventModel.createEvent({
+        name,
+        venue,
+        startsAt,
+        cancellationPolicy,
+        pricing,
+        preventSingleSeatGaps,
+        layout
+      });
+
+      AdminAuditModel.record({
+        actor: req.user.id,
+        action: 'event.created',
+        eventId: result.event.id,
+        details: {
+          name: result.event.name,
+          pricing: pricesOf(result.event.id),
+          preventSingleSeatGaps: SeatModel.preventsSingleSeatGaps(result.event.id)
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          ...result.event,
+          layout: SeatModel.getLayout(result.event.id),
+          pricing: SeatModel.getPricing(result.event.id),
+          preventSingleSeatGaps: SeatModel.preventsSingleSeatGaps(result.event.id)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create event',
+        details: error.message
+      });
+    }
+  }
+
+  // PATCH /events/:eventId - Update event details
+  static async updateEvent(req, res) {
+    try {
+      const { eventId } = req.params;
+
+      if (req.body.name !== undefined && !req.body.name) {
+        return res.status(400).json({ success: false, error: 'name cannot be empty' });
+      }
+
+      const invalid = validateStartsAt(req.body.startsAt) ||
+        validateCancellationPolicy(req.body.cancellationPolicy) ||
+        validateEventPricing(req.body.pricing) ||
+        validateGapPrevention(req.body.preventSingleSeatGaps);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+
+      const previous = {
+        pricing: pricesOf(eventId),
+        preventSingleSeatGaps: SeatModel.preventsSingleSeatGaps(eventId)
+      };
+      const result = EventModel.updateEvent(eventId, req.body);
+
+      if (result.success) {
+        const actor = req.user.id;
+        AdminAuditModel.record({
+          actor,
+          action: 'event.updated',
+          eventId,
+          details: { fields: UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined) }
+        });
+        // Price and gap rule changes change what customers are charged and
+        // offered, so each gets its own entry with the value it replaced
+        if (req.body.pricing !== undefined) {
+          AdminAuditModel.record({
+            actor,
+            action: 'event.pricing_changed',
+            eventId,
+            details: { from: previous.pricing, to: pricesOf(eventId) }
+          });
+        }
+        if (req.body.preventSingleSeatGaps !== undefined) {
+          AdminAuditModel.record({
+            actor,
+            action: 'event.gap_rule_changed',
+            eventId,
+            details: { from: previous.preventSingleSeatGaps, to: SeatModel.preventsSingleSeatGaps(eventId) }
+          });
+        }
+        res.status(200).json({
+          success: true,
+          message: result.message,
+          data: {
+            ...result.event,
+            pricing: SeatModel.getPricing(eventId),
+            preventSingleSeatGaps: SeatModel.preventsSingleSeatGaps(eventId)
+          }
+        });
+      } else {
+        const statusCode = result.error.includes('not found') ? 404 : 409;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error
+        });
+      }
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update event',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /events/:eventId/cancel - Cancel an event
+  static async cancelEvent(req, res) {
+    try {
+      const { eventId } = req.params;
+      const result = EventModel.cancelEvent(eventId);
+
+      if (result.success) {
+        AdminAuditModel.record({ actor: req.user.id, action: 'event.cancelled', eventId });
+        res.status(200).json({
+          success: true,
+          message: result.message,
+          data: result.event
+        });
+      } else {
+        const statusCode = result.error.includes('not found') ? 404 : 409;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error
+        });
+      }
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel event',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = EventController;
@@ -0,0 +1,114 @@
+const { SeatModel } = require('../models/seatModel');
+const { SeatHistoryModel } = require('../models/seatHistoryModel');
+const { eventIdOf } = require('../utils/eventScope');
+
+// Parse an optional date query parameter, returning { date } or { error }
+const parseDate = (value, name) => {
+  if (value === undefined) {
+    return { date: null };
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? { error: `${name} must be a valid date` }
+    : { date };
+};
+
+class HistoryController {
+  // GET /seats/:id/history - Every state transition of a seat, oldest first (admin)
+  static async getSeatHistory(req, res) {
+    try {
+      const eventId = eventIdOf(req);
+      const seatId = req.params.id.toUpperCase();
+
+      if (!SeatModel.getSeatById(eventId, seatId)) {
+        return res.status(404).json({
+          success: false,
+          error: `Seat ${req.params.id} not found`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          eventId,
+          seatId,
+          history: SeatHistoryModel.forSeat(eventId, seatId)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve seat history',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /seats/replay - The seat map as it stood at a moment (?at=) or
+  // version (?version=), rebuilt from the seat journal (admin)
+  static async getSeatMapAt(req, res) {
+    try {
+      const eventId = eventIdOf(req);
+      const at = parseDate(req.query.at, 'at');
+      const version = req.query.version === undefined ? Infinity : Number(req.query.version);
+      const error = at.error ||
+        (version !== Infinity && (!Number.isInteger(version) || version < 0)
+          ? 'version must be a non-negative integer'
+          : null);
+
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      const seatMap = SeatModel.getSeatMapAt(eventId, { version, at: at.date });
+      if (!seatMap) {
+        return res.status(404).json({
+          success: false,
+          error: `Event ${eventId} had no seat map by then, or its journal no longer goes back that far`
+        });
+      }
+
+      res.status(200).json({ success: true, data: seatMap });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to replay seat map',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /audit - Seat state transitions in a time range, oldest first (admin)
+  static async getAudit(req, res) {
+    try {
+      const from = parseDate(req.query.from, 'from');
+      const to = parseDate(req.query.to, 'to');
+      const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+      const error = from.error || to.error ||
+        (from.date && to.date && from.date > to.date ? 'from must not be after to' : null) ||
+        (!Number.isInteger(limit) || limit < 1 ? 'limit must be a positive integer' : null);
+
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: SeatHistoryModel.list({
+          from: from.date,
+          to: to.date,
+          eventId: req.query.eventId || null,
+          limit
+        })
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve audit log',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = HistoryController;
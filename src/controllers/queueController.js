@@ -0,0 +1,81 @@
+const { QueueModel } = require('../models/queueModel');
+const { EventModel } = require('../models/eventModel');
+const { eventIdOf } = require('../utils/eventScope');
+
+class QueueController {
+  // POST /queue/join - Join an event's waiting room for a queue token
+  static async joinQueue(req, res) {
+    try {
+      const eventId = eventIdOf(req);
+
+      if (!EventModel.getEventById(eventId)) {
+        return res.status(404).json({
+          success: false,
+          error: `Event ${eventId} not found`
+        });
+      }
+
+      const result = QueueModel.join(eventId, req.user.id);
+
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      const { status } = result;
+      res.status(result.joined ? 201 : 200).json({
+        success: true,
+        message: status.position === null
+          ? 'You have been admitted; send your Queue-Token when locking seats'
+          : `Joined the queue at position ${status.position}`,
+        data: status
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to join queue',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /queue/status - Position and estimated admission time of a queue token
+  // The token is taken from ?token= or the Queue-Token header
+  static async getStatus(req, res) {
+    try {
+      const token = req.query.token || req.get('Queue-Token');
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          error: 'A queue token is required',
+          required: ['token']
+        });
+      }
+
+      const result = QueueModel.getStatus(token, req.user.id);
+
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.status
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve queue status',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = QueueController;
@@ -1,23 +1,136 @@
-const { SeatModel, SEAT_STATUS } = require('../models/seatModel');
+const { SeatModel, SEAT_STATUS, MAX_BATCH_SIZE, LOCK_EXTENSION } = require('../models/seatModel');
 const { v4: uuidv4 } = require('uuid');
+const { seatStream } = require('../events/seatStream');
+const { AdminAuditModel } = require('../models/adminAuditModel');
+const { formatETag, matchesETag } = require('../utils/etag');
+const { eventIdOf } = require('../utils/eventScope');
+
+// Comment line sent to idle stream connections so proxies keep them open
+const STREAM_HEARTBEAT = 15 * 1000;
+
+// Reconnection delay suggested to EventSource clients (milliseconds)
+const STREAM_RETRY = 3000;
+
+// Validate the seatIds list of a group request, returning an error message or null
+const validateSeatIds = (seatIds) => {
+  if (!Array.isArray(seatIds) || seatIds.length === 0) {
+    return 'seatIds must be a non-empty array';
+  }
+  if (seatIds.length > MAX_BATCH_SIZE) {
+    return `A group booking may contain at most ${MAX_BATCH_SIZE} seats`;
+  }
+  return null;
+};
+
+// Validate a best-available request, returning an error message or null
+const validateBestAvailable = ({ quantity, rows, maxPrice, accessible, contiguous }) => {
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_BATCH_SIZE) {
+    return `quantity must be an integer from 1 to ${MAX_BATCH_SIZE}`;
+  }
+  if (rows !== undefined) {
+    if (typeof rows !== 'object' || rows === null || Array.isArray(rows)) {
+      return 'rows must be an object ({ from, to })';
+    }
+    if ([rows.from, rows.to].some(label => label !== undefined && typeof label !== 'string')) {
+      return 'rows.from and rows.to must be row labels';
+    }
+  }
+  if (maxPrice !== undefined && (!Number.isInteger(maxPrice) || maxPrice < 0)) {
+    return 'maxPrice must be a non-negative integer (minor currency units)';
+  }
+  if ([accessible, contiguous].some(flag => flag !== undefined && typeof flag !== 'boolean')) {
+    return 'accessible and contiguous must be booleans';
+  }
+  return null;
+};
+
+// Validate the optional payment details of a confirm request, returning an
+// error message or null
+const validatePayment = (payment) => {
+  if (payment === undefined) {
+    return null;
+  }
+  if (typeof payment !== 'object' || payment === null || Array.isArray(payment)) {
+    return 'payment must be an object';
+  }
+  if (payment.token !== undefined && typeof payment.token !== 'string') {
+    return 'payment.token must be a string';
+  }
+  return null;
+};
+
+// Status code of a failed confirmation: a failed payment is 402, an expired
+// lock 410
+const confirmErrorStatus = (result) => {
+  if (result.paymentFailed) {
+    return 402;
+  }
+  return result.error.includes('not found') ? 404 :
+    result.error.includes('expired') ? 410 : 409;
+};
+
+// Status code of a refused lock: a user cooling down after letting too many
+// locks expire is 429, a hold limit or unavailable seat 409
+const lockErrorStatus = (result) => {
+  if (result.cooldownUntil) {
+    return 429;
+  }
+  return result.error.includes('not found') ? 404 : 409;
+};
+
+// Whether a GET can be answered with 304 because the client's copy, named by
+// its If-None-Match header, is still current
+const notModified = (req, etag) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  return Boolean(ifNoneMatch) && matchesETag(ifNoneMatch, etag);
+};
+
+// Preconditions of a mutating request (If-Match header) for SeatModel
+const preconditionsOf = (req) => ({ ifMatch: req.get('If-Match') || null });
+
+// Answer a request whose If-Match no longer matches with 412 and the
+// current ETag, so the client can refetch before retrying
+const sendPreconditionFailed = (res, result) => res
+  .status(412)
+  .set('ETag', formatETag(result.version))
+  .json({
+    success: false,
+    error: result.error
+  });
+
+// Format a seat stream entry as a Server-Sent Events message
+const formatStreamEvent = ({ id, type, data }) =>
+  `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
 
 class SeatController {
   // GET /seats - List all seats
   static async getAllSeats(req, res) {
     try {
-      const seats = SeatModel.getAllSeats();
-      const stats = SeatModel.getStatistics();
+      const eventId = eventIdOf(req);
+      const seats = SeatModel.getAllSeats(eventId);
+      
+      if (!seats) {
+        return res.status(404).json({
+          success: false,
+          error: `Event ${eventId} not found`
+        });
+      }
+
+      const etag = formatETag(SeatModel.getVersion(eventId));
+      res.set('ETag', etag);
+      if (notModified(req, etag)) {
+        return res.status(304).end();
+      }
+      
+      const stats = SeatModel.getStatistics(eventId);
       
       res.status(200).json({
         success: true,
         data: {
+          eventId: eventId,
           seats: seats,
           statistics: stats,
-          layout: {
-            rows: ['A', 'B', 'C', 'D', 'E'],
-            seatsPerRow: 8,
-            total: 40
-          }
+          layout: SeatModel.getLayout(eventId)
         },
         timestamp: new Date().toISOString()
       });
@@ -30,11 +143,59 @@ class SeatController {
     }
   }
 
+  // GET /seats/stream - Live seat status changes as Server-Sent Events
+  // Clients resume from the Last-Event-ID header (or ?lastEventId=); when the
+  // missed events are no longer buffered they get a resync event instead and
+  // should reload the seat map
+  static streamSeats(req, res) {
+    const eventId = eventIdOf(req);
+
+    if (!SeatModel.getLayout(eventId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Event ${eventId} not found`
+      });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY}\n\n`);
+
+    const send = (entry) => {
+      if (entry.data.eventId === eventId) {
+        res.write(formatStreamEvent(entry));
+      }
+    };
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId !== undefined) {
+      const { complete, entries } = seatStream.since(Number(lastEventId));
+      if (complete) {
+        entries.forEach(send);
+      } else {
+        send({ id: seatStream.lastId, type: 'resync', data: { eventId } });
+      }
+    }
+
+    const unsubscribe = seatStream.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
   // GET /seats/:id - Get specific seat
   static async getSeat(req, res) {
     try {
       const { id } = req.params;
-      const seat = SeatModel.getSeatById(id.toUpperCase());
+      const seat = SeatModel.getSeatById(eventIdOf(req), id.toUpperCase());
       
       if (!seat) {
         return res.status(404).json({
@@ -42,6 +203,12 @@ class SeatController {
           error: `Seat ${id} not found`
         });
       }
+
+      const etag = formatETag(seat.version);
+      res.set('ETag', etag);
+      if (notModified(req, etag)) {
+        return res.status(304).end();
+      }
       
       res.status(200).json({
         success: true,
@@ -57,87 +224,161 @@ class SeatController {
   }
 
   // POST /seats/:id/lock - Lock a seat
-  static async lockSeat(req, res) {
+  static async lockSeat(req, res, next) {
     try {
       const { id } = req.params;
-      const { userId } = req.body;
+      const userId = req.user.id;
+      
+      const seatId = id.toUpperCase();
+      const result = await SeatModel.lockSeat(eventIdOf(req), seatId, userId, req.body.promoCode, preconditionsOf(req));
       
-      if (!userId) {
+      if (result.preconditionFailed) {
+        sendPreconditionFailed(res, result);
+      } else if (result.success) {
+        res.set('ETag', formatETag(result.seat.version)).status(200).json({
+          success: true,
+          message: result.message,
+          data: {
+            seatId: seatId,
+            lockId: result.lockId,
+            lockExpiresAt: result.lockExpiresAt,
+            quote: result.quote,
+            seat: result.seat,
+            lockDurationMinutes: 1
+          }
+        });
+      } else {
+        if (result.retryAfter) {
+          res.set('Retry-After', String(result.retryAfter));
+        }
+        res.status(lockErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          cooldownUntil: result.cooldownUntil,
+          currentStatus: result.currentStatus,
+          orphanedSeats: result.orphanedSeats,
+          suggestion: result.suggestion
+        });
+      }
+    } catch (error) {
+      // Seat mutex timeouts are answered by the shared error handler
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to lock seat',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /seats/:id/lock/extend - Extend a lock while checking out
+  static async extendLock(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { lockId } = req.body;
+      const userId = req.user.id;
+      
+      if (!lockId) {
         return res.status(400).json({
           success: false,
-          error: 'userId is required',
-          required: ['userId']
+          error: 'lockId is required',
+          required: ['lockId']
         });
       }
       
       const seatId = id.toUpperCase();
-      const result = await SeatModel.lockSeat(seatId, userId);
+      const result = await SeatModel.extendLock(eventIdOf(req), seatId, userId, lockId, preconditionsOf(req));
       
-      if (result.success) {
-        res.status(200).json({
+      if (result.preconditionFailed) {
+        sendPreconditionFailed(res, result);
+      } else if (result.success) {
+        const seat = result.seats.find(held => held.id === seatId);
+        res.set('ETag', formatETag(seat.version)).status(200).json({
           success: true,
           message: result.message,
           data: {
             seatId: seatId,
-            lockId: result.lockId,
+            lockId: lockId,
             lockExpiresAt: result.lockExpiresAt,
-            seat: result.seat,
-            lockDurationMinutes: 1
+            maxHoldUntil: result.maxHoldUntil,
+            seatIds: result.seats.map(seat => seat.id),
+            extensionSeconds: LOCK_EXTENSION / 1000
           }
         });
       } else {
-        const statusCode = result.error.includes('not found') ? 404 : 409;
+        const statusCode = result.error.includes('not found') ? 404 :
+                          result.error.includes('expired') ? 410 :
+                          result.error.includes('maximum hold time') ? 409 : 403;
         res.status(statusCode).json({
           success: false,
           error: result.error,
-          currentStatus: result.currentStatus
+          maxHoldUntil: result.maxHoldUntil
         });
       }
     } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
       res.status(500).json({
         success: false,
-        error: 'Failed to lock seat',
+        error: 'Failed to extend lock',
         details: error.message
       });
     }
   }
 
   // POST /seats/:id/confirm - Confirm booking
-  static async confirmBooking(req, res) {
+  static async confirmBooking(req, res, next) {
     try {
       const { id } = req.params;
-      const { userId, lockId } = req.body;
+      const { lockId, promoCode, payment } = req.body;
+      const userId = req.user.id;
       
-      if (!userId || !lockId) {
+      if (!lockId) {
         return res.status(400).json({
           success: false,
-          error: 'userId and lockId are required',
-          required: ['userId', 'lockId']
+          error: 'lockId is required',
+          required: ['lockId']
         });
       }
+
+      const invalid = validatePayment(payment);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
       
       const seatId = id.toUpperCase();
-      const result = await SeatModel.confirmBooking(seatId, userId, lockId);
+      const result = await SeatModel.confirmBooking(
+        eventIdOf(req), seatId, userId, lockId, promoCode, payment, preconditionsOf(req)
+      );
       
-      if (result.success) {
-        res.status(201).json({
+      if (result.preconditionFailed) {
+        sendPreconditionFailed(res, result);
+      } else if (result.success) {
+        res.set('ETag', formatETag(result.seat.version)).status(201).json({
           success: true,
           message: result.message,
           data: {
             seatId: seatId,
             seat: result.seat,
-            bookedAt: result.seat.bookedAt
+            bookedAt: result.seat.bookedAt,
+            booking: result.booking,
+            payment: result.payment
           }
         });
       } else {
-        const statusCode = result.error.includes('not found') ? 404 : 
-                          result.error.includes('expired') ? 410 : 409;
-        res.status(statusCode).json({
+        res.status(confirmErrorStatus(result)).json({
           success: false,
-          error: result.error
+          error: result.error,
+          payment: result.payment
         });
       }
     } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
       res.status(500).json({
         success: false,
         error: 'Failed to confirm booking',
@@ -147,24 +388,27 @@ class SeatController {
   }
 
   // DELETE /seats/:id/unlock - Unlock a seat manually
-  static async unlockSeat(req, res) {
+  static async unlockSeat(req, res, next) {
     try {
       const { id } = req.params;
-      const { userId, lockId } = req.body;
+      const { lockId } = req.body;
+      const userId = req.user.id;
       
-      if (!userId || !lockId) {
+      if (!lockId) {
         return res.status(400).json({
           success: false,
-          error: 'userId and lockId are required',
-          required: ['userId', 'lockId']
+          error: 'lockId is required',
+          required: ['lockId']
         });
       }
       
       const seatId = id.toUpperCase();
-      const result = await SeatModel.unlockSeat(seatId, userId, lockId);
+      const result = await SeatModel.unlockSeat(eventIdOf(req), seatId, userId, lockId, preconditionsOf(req));
       
-      if (result.success) {
-        res.status(200).json({
+      if (result.preconditionFailed) {
+        sendPreconditionFailed(res, result);
+      } else if (result.success) {
+        res.set('ETag', formatETag(result.seat.version)).status(200).json({
           success: true,
           message: result.message,
           data: {
@@ -180,6 +424,9 @@ class SeatController {
         });
       }
     } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
       res.status(500).json({
         success: false,
         error: 'Failed to unlock seat',
@@ -188,14 +435,258 @@ class SeatController {
     }
   }
 
+  // POST /seats/lock - Lock several seats all-or-nothing
+  static async lockSeats(req, res, next) {
+    try {
+      const { seatIds, promoCode } = req.body;
+      const userId = req.user.id;
+
+      if (!seatIds) {
+        return res.status(400).json({
+          success: false,
+          error: 'seatIds is required',
+          required: ['seatIds']
+        });
+      }
+
+      const invalid = validateSeatIds(seatIds);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+
+      const result = await SeatModel.lockSeats(eventIdOf(req), seatIds, userId, promoCode, preconditionsOf(req));
+
+      if (result.preconditionFailed) {
+        sendPreconditionFailed(res, result);
+      } else if (result.success) {
+        res.status(200).json({
+          success: true,
+          message: result.message,
+          data: {
+            seatIds: result.seats.map(seat => seat.id),
+            lockId: result.lockId,
+            lockExpiresAt: result.lockExpiresAt,
+            quote: result.quote,
+            seats: result.seats,
+            lockDurationMinutes: 1
+          }
+        });
+      } else {
+        if (result.retryAfter) {
+          res.set('Retry-After', String(result.retryAfter));
+        }
+        res.status(lockErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          cooldownUntil: result.cooldownUntil,
+          conflicts: result.conflicts,
+          orphanedSeats: result.orphanedSeats,
+          suggestion: result.suggestion
+        });
+      }
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to lock seats',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /seats/best-available - Choose and lock the best seats for a party
+  static async lockBestAvailable(req, res, next) {
+    try {
+      const { quantity, rows, maxPrice, accessible, contiguous, promoCode } = req.body;
+
+      if (quantity === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'quantity is required',
+          required: ['quantity']
+        });
+      }
+
+      const invalid = validateBestAvailable(req.body);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+
+      const options = {
+        quantity,
+        rows: rows ? { from: rows.from || null, to: rows.to || null } : null,
+        maxPrice: maxPrice === undefined ? null : maxPrice,
+        accessible: accessible === true,
+        contiguous: contiguous === true
+      };
+      const result = await SeatModel.lockBestAvailable(eventIdOf(req), req.user.id, options, promoCode);
+
+      if (result.success) {
+        res.status(200).json({
+          success: true,
+          message: result.message,
+          data: {
+            seatIds: result.seats.map(seat => seat.id),
+            contiguous: result.contiguous,
+            groups: result.groups,
+            lockId: result.lockId,
+            lockExpiresAt: result.lockExpiresAt,
+            quote: result.quote,
+            seats: result.seats,
+            lockDurationMinutes: 1
+          }
+        });
+      } else {
+        if (result.retryAfter) {
+          res.set('Retry-After', String(result.retryAfter));
+        }
+        res.status(lockErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          cooldownUntil: result.cooldownUntil,
+          conflicts: result.conflicts,
+          orphanedSeats: result.orphanedSeats,
+          suggestion: result.suggestion
+        });
+      }
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to find seats',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /seats/confirm - Confirm a group booking
+  static async confirmSeats(req, res, next) {
+    try {
+      const { lockId, seatIds, promoCode, payment } = req.body;
+      const userId = req.user.id;
+
+      if (!lockId || !seatIds) {
+        return res.status(400).json({
+          success: false,
+          error: 'lockId and seatIds are required',
+          required: ['lockId', 'seatIds']
+        });
+      }
+
+      const invalid = validateSeatIds(seatIds) || validatePayment(payment);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+
+      const result = await SeatModel.confirmSeats(
+        eventIdOf(req), seatIds, userId, lockId, promoCode, payment, preconditionsOf(req)
+      );
+
+      if (result.preconditionFailed) {
+        sendPreconditionFailed(res, result);
+      } else if (result.success) {
+        res.status(201).json({
+          success: true,
+          message: result.message,
+          data: {
+            seatIds: result.seats.map(seat => seat.id),
+            seats: result.seats,
+            bookedAt: result.bookedAt,
+            booking: result.booking,
+            payment: result.payment
+          }
+        });
+      } else {
+        res.status(confirmErrorStatus(result)).json({
+          success: false,
+          error: result.error,
+          payment: result.payment
+        });
+      }
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to confirm booking',
+        details: error.message
+      });
+    }
+  }
+
+  // DELETE /seats/unlock - Release a group lock manually
+  static async unlockSeats(req, res, next) {
+    try {
+      const { lockId, seatIds } = req.body;
+      const userId = req.user.id;
+
+      if (!lockId || !seatIds) {
+        return res.status(400).json({
+          success: false,
+          error: 'lockId and seatIds are required',
+          required: ['lockId', 'seatIds']
+        });
+      }
+
+      const invalid = validateSeatIds(seatIds);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+
+      const result = await SeatModel.unlockSeats(eventIdOf(req), seatIds, userId, lockId, preconditionsOf(req));
+
+      if (result.preconditionFailed) {
+        sendPreconditionFailed(res, result);
+      } else if (result.success) {
+        res.status(200).json({
+          success: true,
+          message: result.message,
+          data: {
+            seatIds: result.seats.map(seat => seat.id),
+            seats: result.seats
+          }
+        });
+      } else {
+        const statusCode = result.error.includes('not found') ? 404 : 403;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error
+        });
+      }
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unlock seats',
+        details: error.message
+      });
+    }
+  }
+
   // GET /seats/statistics - Get seat statistics
   static async getStatistics(req, res) {
     try {
-      const stats = SeatModel.getStatistics();
+      const eventId = eventIdOf(req);
+      const stats = SeatModel.getStatistics(eventId);
+      
+      if (!stats) {
+        return res.status(404).json({
+          success: false,
+          error: `Event ${eventId} not found`
+        });
+      }
       
       res.status(200).json({
         success: true,
         data: {
+          eventId: eventId,
           ...stats,
           occupancyRate: `${((stats.booked / stats.total) * 100).toFixed(1)}%`,
           lockRate: `${((stats.locked / stats.total) * 100).toFixed(1)}%`,
@@ -212,20 +703,42 @@ class SeatController {
     }
   }
 
-  // POST /seats/reset - Reset all seats (for testing)
-  static async resetSeats(req, res) {
+  // POST /seats/reset - Reset all seats (admin)
+  static async resetSeats(req, res, next) {
     try {
-      const result = SeatModel.resetSeats();
+      const eventId = eventIdOf(req);
+      const result = await SeatModel.resetSeats(eventId, req.user.id);
+      
+      if (!result.success) {
+        const statusCode = result.error.includes('not found') ? 404 : 409;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error
+        });
+      }
+      
+      AdminAuditModel.record({
+        actor: req.user.id,
+        action: 'seats.reset',
+        eventId,
+        details: { refundedBookings: result.refundedBookings }
+      });
       
       res.status(200).json({
         success: true,
         message: result.message,
         data: {
+          eventId: eventId,
           resetAt: new Date().toISOString(),
-          totalSeats: 40
+          totalSeats: SeatModel.getLayout(eventId).total,
+          refundedBookings: result.refundedBookings
         }
       });
     } catch (error) {
+      // Mutex wait timed out: let errorHandler answer with 408
+      if (error.code === 'TIMEOUT') {
+        return next(error);
+      }
       res.status(500).json({
         success: false,
         error: 'Failed to reset seats',
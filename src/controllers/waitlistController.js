@@ -0,0 +1,112 @@
+const { WaitlistModel } = require('../models/waitlistModel');
+const { ROLES } = require('../models/userModel');
+const { ForbiddenError } = require('../middleware/auth');
+const { eventIdOf } = require('../utils/eventScope');
+
+// Fields naming what an entry waits for; exactly one must be given
+const TARGET_FIELDS = ['seatId', 'row', 'section'];
+
+class WaitlistController {
+  // POST /seats/waitlist - Join the waitlist for a seat, row or section
+  static async joinWaitlist(req, res) {
+    try {
+      const { seatId, row, section } = req.body;
+      const userId = req.user.id;
+
+      if (TARGET_FIELDS.filter(field => req.body[field]).length !== 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Exactly one of seatId, row or section is required'
+        });
+      }
+
+      const result = WaitlistModel.joinWaitlist(eventIdOf(req), {
+        userId,
+        seatId: seatId ? String(seatId).toUpperCase() : null,
+        row: row ? String(row) : null,
+        section: section ? String(section) : null
+      });
+
+      if (!result.success) {
+        const statusCode = result.error.includes('not found') ? 404 : 409;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Joined the waitlist at position ${result.entry.position}`,
+        data: result.entry
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to join waitlist',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /seats/waitlist/:waitlistId - View a waitlist entry and its position
+  // (the customer who joined, or an admin)
+  static async getEntry(req, res, next) {
+    try {
+      const { waitlistId } = req.params;
+      const entry = WaitlistModel.getEntry(eventIdOf(req), waitlistId);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `Waitlist entry ${waitlistId} not found`
+        });
+      }
+
+      if (entry.userId !== req.user.id && req.user.role !== ROLES.ADMIN) {
+        return next(new ForbiddenError(`Waitlist entry ${waitlistId} belongs to another user`));
+      }
+
+      res.status(200).json({
+        success: true,
+        data: entry
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve waitlist entry',
+        details: error.message
+      });
+    }
+  }
+
+  // DELETE /seats/waitlist/:waitlistId - Leave the waitlist
+  static async leaveWaitlist(req, res) {
+    try {
+      const { waitlistId } = req.params;
+      const result = WaitlistModel.leaveWaitlist(eventIdOf(req), waitlistId, req.user.id);
+
+      if (!result.success) {
+        const statusCode = result.error.includes('not found') ? 404 : 409;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Left the waitlist',
+        data: result.entry
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to leave waitlist',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = WaitlistController;
@@ -0,0 +1,29 @@
+const { EventEmitter } = require('events');
+
+// Seat event names
+const SEAT_EVENTS = {
+  LOCK_ACQUIRED: 'lock.acquired',
+  LOCK_EXTENDED: 'lock.extended',
+  LOCK_RELEASED: 'lock.released',
+  LOCK_EXPIRED: 'lock.expired',
+  BOOKING_CONFIRMED: 'booking.confirmed',
+  BOOKING_CANCELLED: 'booking.cancelled',
+  SEATS_BLOCKED: 'seats.blocked',
+  SEATS_HELD: 'seats.held',
+  SEATS_REOPENED: 'seats.reopened',
+  SEATS_RESET: 'seats.reset'
+};
+
+// Actor recorded for changes nobody asked for directly (expiries, waitlist
+// offers, event cancellations)
+const SYSTEM_ACTOR = 'system';
+
+// Process-wide bus for seat state changes; other parts of the system
+// subscribe here instead of polling SeatModel
+const seatEvents = new EventEmitter();
+
+module.exports = {
+  seatEvents,
+  SEAT_EVENTS,
+  SYSTEM_ACTOR
+};
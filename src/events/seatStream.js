@@ -0,0 +1,55 @@
+const { seatEvents, SEAT_EVENTS } = require('./seatEvents');
+
+// Number of recent events kept for clients that reconnect
+const REPLAY_BUFFER_SIZE = 1000;
+
+// Journal of seat events for live clients
+// Gives every event on the seat bus a sequential ID and keeps the most recent
+// ones so a reconnecting client can resume from the last ID it saw.
+class SeatStream {
+  constructor() {
+    this.lastId = 0;
+    this.buffer = [];
+    this.listeners = new Set();
+
+    Object.values(SEAT_EVENTS).forEach(type => {
+      seatEvents.on(type, data => this.publish(type, data));
+    });
+  }
+
+  // Record an event and hand it to every subscriber
+  publish(type, data) {
+    const entry = { id: this.lastId + 1, type, data };
+    this.lastId = entry.id;
+    this.buffer.push(entry);
+    if (this.buffer.length > REPLAY_BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+    this.listeners.forEach(listener => listener(entry));
+  }
+
+  // Events published after lastEventId
+  // complete is false when some of them are no longer buffered (or the ID
+  // comes from before a restart), in which case the client must refetch
+  since(lastEventId) {
+    const oldestId = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+    const complete = lastEventId <= this.lastId && lastEventId >= oldestId - 1;
+    return {
+      complete,
+      entries: complete ? this.buffer.filter(entry => entry.id > lastEventId) : []
+    };
+  }
+
+  // Listen for new events; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+const seatStream = new SeatStream();
+
+module.exports = {
+  seatStream,
+  REPLAY_BUFFER_SIZE
+};
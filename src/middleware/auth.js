@@ -0,0 +1,62 @@
+const { verifyToken, AuthenticationError } = require('../utils/authToken');
+const { UserModel, ROLES } = require('../models/userModel');
+
+// Error raised when an authenticated user lacks the required role
+// (errorHandler maps code 'FORBIDDEN' to a 403 response)
+class ForbiddenError extends Error {
+  constructor(message = 'Insufficient permissions') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.code = 'FORBIDDEN';
+  }
+}
+
+// Identify the caller from an "Authorization: Bearer <token>" header
+// Sets req.user to { id, role } for a valid token and null when no token is sent;
+// a token that is sent but invalid is rejected straight away. The role is read
+// from the stored account on every request rather than from the token, so a
+// role change applies at once (a token whose account is gone is a customer's).
+function authenticate(req, res, next) {
+  req.user = null;
+
+  const header = req.get('Authorization');
+  if (!header) {
+    return next();
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return next(new AuthenticationError('Authorization header must be "Bearer <token>"'));
+  }
+
+  try {
+    const claims = verifyToken(token);
+    req.user = { id: claims.sub, role: UserModel.getRole(claims.sub) || ROLES.USER };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Reject requests that did not authenticate
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return next(new AuthenticationError());
+  }
+  next();
+}
+
+// Reject requests from users without the given role (use after requireAuth)
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user || req.user.role !== role) {
+    return next(new ForbiddenError(`Requires the ${role} role`));
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireRole,
+  ForbiddenError
+};
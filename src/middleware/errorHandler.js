@@ -43,6 +43,54 @@ function errorHandler(err, req, res, next) { // eslint-disable-line no-unused-va
     });
   }
   
+  // Handle missing or invalid access tokens
+  if (err.code === 'UNAUTHORIZED') {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      details: err.message
+    });
+  }
+  
+  // Handle authenticated users lacking a role
+  if (err.code === 'FORBIDDEN') {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      details: err.message
+    });
+  }
+  
+  // Handle idempotency keys that are malformed, in flight or reused
+  if (err.code === 'IDEMPOTENCY_CONFLICT') {
+    return res.status(err.status).json({
+      success: false,
+      error: 'Idempotency conflict',
+      details: err.message
+    });
+  }
+  
+  // Handle customers not yet admitted from a waiting room
+  if (err.code === 'QUEUE_ADMISSION') {
+    return res.status(403).json({
+      success: false,
+      error: 'Not admitted',
+      details: err.message,
+      ...(err.queue && { queue: err.queue })
+    });
+  }
+  
+  // Handle clients over their rate limit
+  if (err.code === 'RATE_LIMITED') {
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests',
+      details: err.message
+    });
+  }
+  
   // Default error response
   const statusCode = err.status || err.statusCode || 500;
   res.status(statusCode).json({ 
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { IdempotencyModel, IDEMPOTENCY_STATUS } = require('../models/idempotencyModel');
+
+// Longest accepted Idempotency-Key header
+const MAX_KEY_LENGTH = 255;
+
+// Error raised when an idempotency key cannot be used for a request
+// (errorHandler maps code 'IDEMPOTENCY_CONFLICT' to err.status)
+class IdempotencyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.code = 'IDEMPOTENCY_CONFLICT';
+    this.status = status;
+  }
+}
+
+// Response headers stored and sent again with replays
+const REPLAYED_HEADERS = ['ETag'];
+
+// Responses that are worth retrying for real rather than replaying
+const isRetryable = (statusCode) => statusCode >= 500 || statusCode === 408;
+
+// Identify a request by method, path and body
+const fingerprintOf = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Replay the original response of a request retried with the same
+// "Idempotency-Key" header within the replay window (use after requireAuth)
+// Replays carry an "Idempotent-Replayed: true" header and the original ETag,
+// if there was one. A retry arriving while
+// the first request is still running is answered with 409, and a key reused
+// for a different request with 422. Server errors, timeouts and responses
+// flagged with res.locals.retryable (e.g. a customer not admitted from the
+// waiting room yet) are not stored, so the retry runs again.
+function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return next(new IdempotencyError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, 400));
+  }
+
+  const userId = req.user.id;
+  const started = IdempotencyModel.begin(userId, key, fingerprintOf(req));
+
+  switch (started.status) {
+    case IDEMPOTENCY_STATUS.REPLAY:
+      res.set({ ...started.headers, 'Idempotent-Replayed': 'true' });
+      return res.status(started.statusCode).json(started.body);
+    case IDEMPOTENCY_STATUS.IN_PROGRESS:
+      return next(new IdempotencyError(`A request with Idempotency-Key ${key} is still in progress`, 409));
+    case IDEMPOTENCY_STATUS.MISMATCH:
+      return next(new IdempotencyError(`Idempotency-Key ${key} was already used for a different request`, 422));
+    default:
+      break;
+  }
+
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      if (isRetryable(res.statusCode) || res.locals.retryable) {
+        IdempotencyModel.abandon(userId, key);
+      } else {
+        const headers = {};
+        REPLAYED_HEADERS.filter(name => res.get(name) !== undefined).forEach(name => {
+          headers[name] = res.get(name);
+        });
+        IdempotencyModel.complete(userId, key, res.statusCode, body, headers);
+      }
+    }
+    return json(body);
+  };
+
+  // A request that ends without a JSON response can be retried for real
+  res.on('close', () => {
+    if (!settled) {
+      settled = true;
+      IdempotencyModel.abandon(userId, key);
+    }
+  });
+
+  next();
+}
+
+module.exports = {
+  idempotent,
+  IdempotencyError
+};
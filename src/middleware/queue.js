@@ -0,0 +1,33 @@
+const { QueueModel } = require('../models/queueModel');
+const { eventIdOf } = require('../utils/eventScope');
+
+// Error raised when a customer may not lock seats yet
+// (errorHandler maps code 'QUEUE_ADMISSION' to a 403 response with the
+// customer's place in the queue)
+class QueueAdmissionError extends Error {
+  constructor(message, queue = null) {
+    super(message);
+    this.name = 'QueueAdmissionError';
+    this.code = 'QUEUE_ADMISSION';
+    this.queue = queue;
+  }
+}
+
+// Only let customers admitted from an event's waiting room lock its seats
+// (use after requireAuth, and after idempotent so a retry is replayed even
+// once admission has ended). The queue token goes in the "Queue-Token" header;
+// events without an open waiting room are not affected. A refusal is not
+// stored against an Idempotency-Key, so the retry runs once admitted.
+function requireAdmission(req, res, next) {
+  const refused = QueueModel.checkAdmission(eventIdOf(req), req.user.id, req.get('Queue-Token'));
+  if (refused) {
+    res.locals.retryable = true;
+    return next(new QueueAdmissionError(refused.error, refused.status || null));
+  }
+  next();
+}
+
+module.exports = {
+  requireAdmission,
+  QueueAdmissionError
+};
@@ -0,0 +1,81 @@
+const { getRateLimitStore } = require('../rateLimit');
+
+// Requests a client may make per minute: reads (GET) and writes (locks,
+// confirmations and every other change) have separate budgets
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const BUDGETS = {
+  read: { limit: Number(process.env.RATE_LIMIT_READS) || 300, windowMs: RATE_LIMIT_WINDOW },
+  write: { limit: Number(process.env.RATE_LIMIT_WRITES) || 60, windowMs: RATE_LIMIT_WINDOW }
+};
+
+// Rate limiting is on unless RATE_LIMIT_ENABLED=false; test runs leave it
+// off unless they ask for it, since they fire many requests from one client
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED === undefined
+  ? process.env.NODE_ENV !== 'test'
+  : process.env.RATE_LIMIT_ENABLED === 'true';
+
+// Error raised when a client has used up its budget
+// (errorHandler maps code 'RATE_LIMITED' to a 429 response with Retry-After)
+class RateLimitError extends Error {
+  constructor(retryAfter) {
+    super(`Rate limit exceeded; retry in ${retryAfter} seconds`);
+    this.name = 'RateLimitError';
+    this.code = 'RATE_LIMITED';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Budget a request is charged to
+const budgetOf = (req) => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write');
+
+// Who a request is charged to: its IP, or its user (null when anonymous)
+const CLIENTS = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user ? `user:${req.user.id}` : null)
+};
+
+// Throttle clients with a token bucket per client and budget. by: 'ip'
+// charges every request to its IP and goes before authenticate, so requests
+// with bad tokens count too; by: 'user' charges authenticated requests to
+// their user as well and goes after it. Every response carries
+// RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+// (seconds until the bucket is full) headers for whichever of its buckets has
+// the least left. A store that fails lets the request through rather than
+// taking the API down with it.
+const rateLimit = ({ by = 'user', budgets = BUDGETS, store = null, enabled = RATE_LIMIT_ENABLED } = {}) =>
+  async (req, res, next) => {
+    const client = CLIENTS[by](req);
+    if (!enabled || !client) {
+      return next();
+    }
+    const name = budgetOf(req);
+    const budget = budgets[name];
+
+    let result;
+    try {
+      result = await (store || getRateLimitStore()).take(`${name}:${client}`, budget);
+    } catch (error) {
+      return next();
+    }
+
+    const reported = res.get('RateLimit-Remaining');
+    if (reported === undefined || result.remaining <= Number(reported)) {
+      res.set({
+        'RateLimit-Policy': `${budget.limit};w=${Math.ceil(budget.windowMs / 1000)}`,
+        'RateLimit-Limit': String(budget.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+      });
+    }
+    if (!result.allowed) {
+      return next(new RateLimitError(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+    }
+    next();
+  };
+
+module.exports = {
+  rateLimit,
+  RateLimitError,
+  BUDGETS,
+  RATE_LIMIT_ENABLED
+};
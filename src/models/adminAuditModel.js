@@ -0,0 +1,39 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('../storage');
+
+// Admin actions are kept in the active store in the order they happened
+const ADMIN_AUDIT = 'adminAudit';
+
+// Most entries returned by a single listing
+const MAX_AUDIT_LIMIT = 500;
+
+class AdminAuditModel {
+  // Record who did what
+  static record({ actor, action, eventId = null, seatIds = [], details = {} }) {
+    const entry = {
+      id: uuidv4(),
+      at: new Date(),
+      actor,
+      action,
+      eventId,
+      seatIds,
+      details
+    };
+    getStore().set(ADMIN_AUDIT, entry.id, entry);
+    return entry;
+  }
+
+  // Most recent entries first, optionally for one event
+  static list({ eventId = null, limit = 100 } = {}) {
+    return getStore().list(ADMIN_AUDIT)
+      .filter(entry => !eventId || entry.eventId === eventId)
+      .reverse()
+      .slice(0, Math.min(limit, MAX_AUDIT_LIMIT))
+      .map(entry => ({ ...entry }));
+  }
+}
+
+module.exports = {
+  AdminAuditModel,
+  MAX_AUDIT_LIMIT
+};
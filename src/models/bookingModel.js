@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('../storage');
+const { CURRENCY } = require('../utils/pricing');
+
+// Booking states
+const BOOKING_STATUS = {
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled'
+};
+
+// Bookings are kept in the active store, keyed by booking ID
+const BOOKINGS = 'bookings';
+
+// Characters of booking references (no 0/O or 1/I to misread over the phone)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Length of booking references
+const REFERENCE_LENGTH = 8;
+
+// Persist a booking after mutating it
+const saveBooking = (booking) => {
+  booking.updatedAt = new Date();
+  getStore().set(BOOKINGS, booking.id, booking);
+};
+
+// Copy a booking so callers cannot mutate the stored record
+const copyBooking = (booking) => ({
+  ...booking,
+  seatIds: [...booking.seatIds],
+  seats: booking.seats.map(seat => ({ ...seat }))
+});
+
+// Find the stored booking with a given reference
+const findByReference = (reference) => getStore().list(BOOKINGS)
+  .find(booking => booking.reference === reference);
+
+// Short unique code printed on receipts and quoted to support
+const generateReference = () => {
+  let reference;
+  do {
+    reference = Array.from(
+      crypto.randomBytes(REFERENCE_LENGTH),
+      byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]
+    ).join('');
+  } while (findByReference(reference));
+  return reference;
+};
+
+// Booking records only; seat state and its mutexes stay with SeatModel,
+// which creates and cancels bookings while holding the seats
+class BookingModel {
+  // Record a confirmed booking from its line items
+  // ([{ seatId, section, row, number, category, price }], prices in minor units)
+  // and an optional promo discount ({ code, amount }), with the payment
+  // intent that paid for it
+  static createBooking({ eventId, userId, items, discount = null, paymentId = null, bookedAt = new Date() }) {
+    const lineItems = items.map(item => ({ ...item }));
+    const subtotal = lineItems.reduce((sum, item) => sum + item.price, 0);
+    const booking = {
+      id: uuidv4(),
+      reference: generateReference(),
+      eventId,
+      userId,
+      seatIds: lineItems.map(item => item.seatId),
+      seats: lineItems,
+      status: BOOKING_STATUS.CONFIRMED,
+      subtotal,
+      discount,
+      amount: Math.max(0, subtotal - (discount ? discount.amount : 0)),
+      currency: CURRENCY,
+      paymentId,
+      bookedAt,
+      cancelledAt: null,
+      cancellation: null,
+      createdAt: bookedAt
+    };
+    saveBooking(booking);
+    return copyBooking(booking);
+  }
+
+  // Get booking by ID or by its reference
+  static getBookingById(bookingId) {
+    const booking = getStore().get(BOOKINGS, bookingId) || findByReference(String(bookingId).toUpperCase());
+    return booking ? copyBooking(booking) : null;
+  }
+
+  // Mark a booking cancelled with its refund details
+  static markCancelled(bookingId, { cancelledAt = new Date(), ...cancellation }) {
+    const booking = getStore().get(BOOKINGS, bookingId);
+    booking.status = BOOKING_STATUS.CANCELLED;
+    booking.cancelledAt = cancelledAt;
+    booking.cancellation = cancellation;
+    saveBooking(booking);
+    return copyBooking(booking);
+  }
+
+  // List bookings, optionally for one event
+  static listBookings({ eventId = null } = {}) {
+    return getStore().list(BOOKINGS)
+      .filter(booking => !eventId || booking.eventId === eventId)
+      .map(copyBooking);
+  }
+
+  // A user's bookings, most recent first, optionally with one status
+  static listUserBookings(userId, { status = null } = {}) {
+    return getStore().list(BOOKINGS)
+      .filter(booking => booking.userId === userId && (!status || booking.status === status))
+      .reverse()
+      .map(copyBooking);
+  }
+
+  // Delete every booking of an event (used when its seats are reset)
+  static deleteBookings(eventId) {
+    getStore().list(BOOKINGS)
+      .filter(booking => booking.eventId === eventId)
+      .forEach(booking => getStore().delete(BOOKINGS, booking.id));
+  }
+}
+
+module.exports = {
+  BookingModel,
+  BOOKING_STATUS,
+  REFERENCE_LENGTH
+};
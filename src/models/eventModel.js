@@ -0,0 +1,156 @@
+const { v4: uuidv4 } = require('uuid');
+const { SeatModel, DEFAULT_EVENT_ID, DEFAULT_LAYOUT } = require('./seatModel');
+const { getStore, onStoreChange } = require('../storage');
+
+// Event states
+const EVENT_STATUS = {
+  SCHEDULED: 'scheduled',
+  CANCELLED: 'cancelled'
+};
+
+// Fields that may be changed after an event is created
+const UPDATABLE_FIELDS = ['name', 'venue', 'startsAt', 'cancellationPolicy'];
+
+// Events are kept in the active store
+const EVENTS = 'events';
+
+// Persist an event after mutating it
+const saveEvent = (event) => getStore().set(EVENTS, event.id, event);
+
+// Register the default event (its seat map is created by SeatModel)
+const registerDefaultEvent = () => {
+  const now = new Date();
+  saveEvent({
+    id: DEFAULT_EVENT_ID,
+    name: 'Default showing',
+    venue: null,
+    startsAt: null,
+    cancellationPolicy: null,
+    status: EVENT_STATUS.SCHEDULED,
+    createdAt: now,
+    updatedAt: now,
+    cancelledAt: null
+  });
+};
+
+onStoreChange(store => {
+  if (!store.get(EVENTS, DEFAULT_EVENT_ID)) {
+    registerDefaultEvent();
+  }
+});
+
+class EventModel {
+  // List all events
+  static getAllEvents() {
+    return getStore().list(EVENTS).map(event => ({ ...event }));
+  }
+
+  // Get event by ID
+  static getEventById(eventId) {
+    const event = getStore().get(EVENTS, eventId);
+    return event ? { ...event } : null;
+  }
+
+  // Create an event with its own seat map
+  // (a null cancellationPolicy, pricing or preventSingleSeatGaps means the
+  // defaults apply)
+  static createEvent({
+    name,
+    venue = null,
+    startsAt = null,
+    cancellationPolicy = null,
+    pricing = null,
+    preventSingleSeatGaps = null,
+    layout = DEFAULT_LAYOUT
+  }) {
+    const now = new Date();
+    const event = {
+      id: uuidv4(),
+      name,
+      venue,
+      startsAt: startsAt ? new Date(startsAt) : null,
+      cancellationPolicy,
+      status: EVENT_STATUS.SCHEDULED,
+      createdAt: now,
+      updatedAt: now,
+      cancelledAt: null
+    };
+
+    saveEvent(event);
+    SeatModel.createSeatMap(event.id, layout, pricing, preventSingleSeatGaps);
+
+    return {
+      success: true,
+      message: `Event ${event.id} created successfully`,
+      event: { ...event }
+    };
+  }
+
+  // Update event details
+  static updateEvent(eventId, changes) {
+    const event = getStore().get(EVENTS, eventId);
+
+    if (!event) {
+      return { success: false, error: `Event ${eventId} not found` };
+    }
+
+    if (event.status === EVENT_STATUS.CANCELLED) {
+      return { success: false, error: `Event ${eventId} is cancelled` };
+    }
+
+    UPDATABLE_FIELDS
+      .filter(field => changes[field] !== undefined)
+      .forEach(field => {
+        event[field] = field === 'startsAt' && changes.startsAt !== null
+          ? new Date(changes.startsAt)
+          : changes[field];
+      });
+    // Prices and the gap rule live with the seat map, which applies them
+    // when seats are locked
+    if (changes.pricing !== undefined) {
+      SeatModel.setPricing(eventId, changes.pricing);
+    }
+    if (changes.preventSingleSeatGaps !== undefined) {
+      SeatModel.setGapPrevention(eventId, changes.preventSingleSeatGaps);
+    }
+    event.updatedAt = new Date();
+    saveEvent(event);
+
+    return {
+      success: true,
+      message: `Event ${eventId} updated successfully`,
+      event: { ...event }
+    };
+  }
+
+  // Cancel an event: existing locks are released and no new ones accepted
+  static cancelEvent(eventId) {
+    const event = getStore().get(EVENTS, eventId);
+
+    if (!event) {
+      return { success: false, error: `Event ${eventId} not found` };
+    }
+
+    if (event.status === EVENT_STATUS.CANCELLED) {
+      return { success: false, error: `Event ${eventId} is already cancelled` };
+    }
+
+    SeatModel.closeSeatMap(eventId);
+    event.status = EVENT_STATUS.CANCELLED;
+    event.cancelledAt = new Date();
+    event.updatedAt = event.cancelledAt;
+    saveEvent(event);
+
+    return {
+      success: true,
+      message: `Event ${eventId} cancelled successfully`,
+      event: { ...event }
+    };
+  }
+}
+
+module.exports = {
+  EventModel,
+  EVENT_STATUS,
+  UPDATABLE_FIELDS
+};
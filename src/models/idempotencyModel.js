@@ -0,0 +1,116 @@
+const { getStore } = require('../storage');
+
+// How long a response is replayed for its idempotency key (default 24 hours)
+const IDEMPOTENCY_TTL = Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// How long a key stays in progress without a response before it can be used
+// again (default 1 minute), so a request cut off by a restart does not block
+// its key for the whole replay window
+const IN_PROGRESS_TTL = Number(process.env.IDEMPOTENCY_IN_PROGRESS_TTL_MS) || 60 * 1000;
+
+// Least time between two sweeps for expired records (default 1 minute)
+const PRUNE_INTERVAL = 60 * 1000;
+
+// Outcomes of starting a request under an idempotency key
+const IDEMPOTENCY_STATUS = {
+  NEW: 'new', // first use of the key: run the request
+  REPLAY: 'replay', // the request already ran: send its response again
+  IN_PROGRESS: 'in-progress', // the first request with the key is still running
+  MISMATCH: 'mismatch' // the key was used for a different request
+};
+
+// Idempotency records are kept in the active store next to the seat state
+// they protect, keyed by user and key:
+// { id, fingerprint, completed, statusCode, headers, body, createdAt, expiresAt }
+const IDEMPOTENCY_KEYS = 'idempotencyKeys';
+
+// Record ID of a key; keys are scoped to the user sending them
+const recordId = (userId, key) => `${userId}:${key}`;
+
+// When each store was last swept for expired records
+const prunedAt = new WeakMap();
+
+// Drop records whose replay window is over, at most once per PRUNE_INTERVAL
+// (an expired record met in between is simply overwritten)
+const pruneExpired = (now) => {
+  const store = getStore();
+  const last = prunedAt.get(store);
+  if (last && now - last < PRUNE_INTERVAL) {
+    return;
+  }
+  prunedAt.set(store, now);
+  store.list(IDEMPOTENCY_KEYS)
+    .filter(record => record.expiresAt <= now)
+    .forEach(record => store.delete(IDEMPOTENCY_KEYS, record.id));
+};
+
+// Responses of requests sent with an Idempotency-Key header
+// Starting a request and recording it as in progress happen in one
+// synchronous step, so of two concurrent requests with the same key only
+// one ever runs.
+class IdempotencyModel {
+  // Start a request under a key, returning { status } and, for replays, the
+  // stored { statusCode, headers, body }. fingerprint identifies the request (method,
+  // path and body) so a key cannot be reused for a different one.
+  static begin(userId, key, fingerprint, now = new Date()) {
+    const id = recordId(userId, key);
+    const existing = getStore().get(IDEMPOTENCY_KEYS, id);
+
+    if (existing && existing.expiresAt > now) {
+      if (existing.fingerprint !== fingerprint) {
+        return { status: IDEMPOTENCY_STATUS.MISMATCH };
+      }
+      if (!existing.completed) {
+        return { status: IDEMPOTENCY_STATUS.IN_PROGRESS };
+      }
+      return {
+        status: IDEMPOTENCY_STATUS.REPLAY,
+        statusCode: existing.statusCode,
+        headers: existing.headers || {},
+        body: existing.body
+      };
+    }
+
+    pruneExpired(now);
+    getStore().set(IDEMPOTENCY_KEYS, id, {
+      id,
+      fingerprint,
+      completed: false,
+      statusCode: null,
+      headers: {},
+      body: null,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + IN_PROGRESS_TTL)
+    });
+    return { status: IDEMPOTENCY_STATUS.NEW };
+  }
+
+  // Store the response of a request started under a key (headers are the
+  // response headers to send again with replays), starting its replay window
+  static complete(userId, key, statusCode, body, headers = {}, now = new Date()) {
+    const record = getStore().get(IDEMPOTENCY_KEYS, recordId(userId, key));
+    if (!record) {
+      return;
+    }
+    record.completed = true;
+    record.statusCode = statusCode;
+    record.headers = { ...headers };
+    record.expiresAt = new Date(now.getTime() + IDEMPOTENCY_TTL);
+    // A snapshot, so later changes to the objects sent cannot alter replays
+    record.body = JSON.parse(JSON.stringify(body));
+    getStore().set(IDEMPOTENCY_KEYS, record.id, record);
+  }
+
+  // Forget a key whose request should be retried for real (e.g. it failed
+  // with a server error)
+  static abandon(userId, key) {
+    getStore().delete(IDEMPOTENCY_KEYS, recordId(userId, key));
+  }
+}
+
+module.exports = {
+  IdempotencyModel,
+  IDEMPOTENCY_STATUS,
+  IDEMPOTENCY_TTL,
+  IN_PROGRESS_TTL
+};
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+
+// Seat types a layout can mark
+const SEAT_TYPE = {
+  STANDARD: 'standard',
+  ACCESSIBLE: 'accessible',
+  COMPANION: 'companion'
+};
+
+// Price categories a section or row can be sold in (accessible and
+// companion seats are always sold as accessible)
+const PRICE_CATEGORY = {
+  PREMIUM: 'premium',
+  STANDARD: 'standard',
+  ACCESSIBLE: 'accessible'
+};
+
+// Check an optional price category
+const isPriceCategory = (category) =>
+  category === undefined || Object.values(PRICE_CATEGORY).includes(category);
+
+// Limits that keep a single venue map reasonable
+const MAX_SEATS_PER_ROW = 100;
+const MAX_TOTAL_SEATS = 5000;
+
+// Row labels are capital letters, so seat IDs (label + number) can't run
+// into each other and match the uppercased IDs clients send
+const ROW_LABEL = /^[A-Z]+$/;
+
+// Directory holding the bundled venue layouts
+const LAYOUT_DIR = path.join(__dirname, '../layouts');
+
+// Load every bundled layout once at startup (layoutId -> layout)
+const loadBundledLayouts = () => {
+  const layouts = new Map();
+  fs.readdirSync(LAYOUT_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const layout = JSON.parse(fs.readFileSync(path.join(LAYOUT_DIR, file), 'utf8'));
+      layouts.set(layout.id, layout);
+    });
+  return layouts;
+};
+
+const bundledLayouts = loadBundledLayouts();
+
+// Check that a list holds seat numbers that exist in a row
+const isSeatNumberList = (list, seatCount) =>
+  list === undefined ||
+  (Array.isArray(list) && list.every(n => Number.isInteger(n) && n >= 1 && n <= seatCount));
+
+// Validate a row definition, returning an error message or null
+const validateRow = (row, sectionId) => {
+  if (!row || typeof row.label !== 'string' || !row.label) {
+    return `Every row in section ${sectionId} needs a label`;
+  }
+  if (!ROW_LABEL.test(row.label)) {
+    return `Row label ${row.label} must be capital letters only (e.g. A or AA)`;
+  }
+  if (!Number.isInteger(row.seats) || row.seats < 1 || row.seats > MAX_SEATS_PER_ROW) {
+    return `Row ${row.label} must have between 1 and ${MAX_SEATS_PER_ROW} seats`;
+  }
+  if (row.offset !== undefined && (!Number.isInteger(row.offset) || row.offset < 0)) {
+    return `Row ${row.label} offset must be a non-negative integer`;
+  }
+  const lists = ['aisleAfter', 'missing', 'accessible', 'companion'];
+  const invalid = lists.find(key => !isSeatNumberList(row[key], row.seats));
+  if (invalid) {
+    return `Row ${row.label} ${invalid} must list seat numbers between 1 and ${row.seats}`;
+  }
+  if (new Set(row.missing || []).size >= row.seats) {
+    return `Row ${row.label} must keep at least one seat`;
+  }
+  if (!isPriceCategory(row.category)) {
+    return `Row ${row.label} category must be one of ${Object.values(PRICE_CATEGORY).join(', ')}`;
+  }
+  return null;
+};
+
+// Work out every seat's position in the venue grid
+// Returns [{ id, row, number, section, type, category, x, y }]
+const computePlacements = (layout) => {
+  const placements = [];
+  const sectionGap = layout.sectionGap === undefined ? 1 : layout.sectionGap;
+  let y = 0;
+
+  layout.sections.forEach((section, sectionIndex) => {
+    if (sectionIndex > 0) {
+      y += sectionGap;
+    }
+    section.rows.forEach(row => {
+      const aisles = row.aisleAfter || [];
+      const missing = new Set(row.missing || []);
+      const accessible = new Set(row.accessible || []);
+      const companion = new Set(row.companion || []);
+
+      for (let number = 1; number <= row.seats; number++) {
+        // Missing seats still take up their place so the row keeps its shape
+        if (missing.has(number)) {
+          continue;
+        }
+        const aislesBefore = aisles.filter(after => after < number).length;
+        const type = accessible.has(number) ? SEAT_TYPE.ACCESSIBLE
+          : companion.has(number) ? SEAT_TYPE.COMPANION
+            : SEAT_TYPE.STANDARD;
+        placements.push({
+          id: `${row.label}${number}`,
+          row: row.label,
+          number,
+          section: section.id,
+          type,
+          category: type === SEAT_TYPE.STANDARD
+            ? row.category || section.category || PRICE_CATEGORY.STANDARD
+            : PRICE_CATEGORY.ACCESSIBLE,
+          x: (row.offset || 0) + (number - 1) + aislesBefore,
+          y
+        });
+      }
+      y++;
+    });
+  });
+
+  return placements;
+};
+
+class LayoutModel {
+  // List bundled layouts
+  static getAllLayouts() {
+    return [...bundledLayouts.values()];
+  }
+
+  // Get a bundled layout by ID
+  static getLayoutById(layoutId) {
+    return bundledLayouts.get(layoutId) || null;
+  }
+
+  // Validate a layout definition, returning an error message or null
+  static validateLayout(layout) {
+    if (!layout || !Array.isArray(layout.sections) || layout.sections.length === 0) {
+      return 'layout.sections must be a non-empty array';
+    }
+    if (layout.sectionGap !== undefined && (!Number.isInteger(layout.sectionGap) || layout.sectionGap < 0)) {
+      return 'layout.sectionGap must be a non-negative integer';
+    }
+
+    const sectionIds = new Set();
+    const rowLabels = new Set();
+    const seatIds = new Set();
+    let total = 0;
+
+    for (const section of layout.sections) {
+      if (!section || typeof section.id !== 'string' || !section.id) {
+        return 'Every section needs an id';
+      }
+      if (sectionIds.has(section.id)) {
+        return `Duplicate section id ${section.id}`;
+      }
+      sectionIds.add(section.id);
+
+      if (!isPriceCategory(section.category)) {
+        return `Section ${section.id} category must be one of ${Object.values(PRICE_CATEGORY).join(', ')}`;
+      }
+
+      if (!Array.isArray(section.rows) || section.rows.length === 0) {
+        return `Section ${section.id} must have at least one row`;
+      }
+      for (const row of section.rows) {
+        const invalid = validateRow(row, section.id);
+        if (invalid) {
+          return invalid;
+        }
+        if (rowLabels.has(row.label)) {
+          return `Duplicate row label ${row.label}`;
+        }
+        rowLabels.add(row.label);
+        const missing = new Set(row.missing || []);
+        for (let number = 1; number <= row.seats; number++) {
+          const seatId = `${row.label}${number}`;
+          if (!missing.has(number) && seatIds.has(seatId)) {
+            return `Seat ID ${seatId} would be used by more than one seat`;
+          }
+          seatIds.add(seatId);
+        }
+        total += row.seats - missing.size;
+      }
+    }
+
+    if (total === 0) {
+      return 'layout must contain at least one seat';
+    }
+    if (total > MAX_TOTAL_SEATS) {
+      return `layout may contain at most ${MAX_TOTAL_SEATS} seats`;
+    }
+    return null;
+  }
+
+  // Seat positions for a layout
+  static computePlacements(layout) {
+    return computePlacements(layout);
+  }
+
+  // Geometry the UI needs to draw a layout
+  static describeGeometry(layout) {
+    const placements = computePlacements(layout);
+    const rowY = new Map();
+    placements.forEach(seat => rowY.set(seat.row, seat.y));
+
+    return {
+      id: layout.id || null,
+      name: layout.name || null,
+      width: Math.max(...placements.map(seat => seat.x)) + 1,
+      height: Math.max(...placements.map(seat => seat.y)) + 1,
+      sections: layout.sections.map(section => ({
+        id: section.id,
+        name: section.name || section.id,
+        rows: section.rows.map(row => ({ label: row.label, y: rowY.get(row.label) }))
+      })),
+      total: placements.length
+    };
+  }
+}
+
+module.exports = {
+  LayoutModel,
+  SEAT_TYPE,
+  PRICE_CATEGORY
+};
@@ -0,0 +1,66 @@
+const { getStore } = require('../storage');
+const { seatEvents, SEAT_EVENTS } = require('../events/seatEvents');
+
+// Expired locks that put a user in a cooldown (default 3)...
+const COOLDOWN_STRIKES = Number(process.env.LOCK_COOLDOWN_STRIKES) || 3;
+
+// ...when they all expired within this window (default 15 minutes)
+const COOLDOWN_WINDOW = Number(process.env.LOCK_COOLDOWN_WINDOW_MS) || 15 * 60 * 1000;
+
+// How long a user in a cooldown may not lock seats (default 5 minutes)
+const COOLDOWN_DURATION = Number(process.env.LOCK_COOLDOWN_MS) || 5 * 60 * 1000;
+
+// Expired locks per user within the window,
+// userId -> { userId, expiries: [{ lockId, at, spent }], cooldownUntil }
+// (spent expiries already started a cooldown and are only kept so their lock
+// is not counted again)
+const LOCK_COOLDOWNS = 'lockCooldowns';
+
+// Count an expired lock against its user, starting a cooldown when too many
+// expired recently. A lock is one strike however many seats it held, even
+// when they are released one by one. Only locks the user took count: a
+// waitlist offer they never asked for at that moment (lockedBy 'system')
+// does not, nor does a lock that expired before the window (e.g. while the
+// process was down).
+const recordExpiry = ({ userId, lockId, lockedBy = userId, expiredAt = new Date() }) => {
+  const windowStart = Date.now() - COOLDOWN_WINDOW;
+  if (!userId || lockedBy !== userId || expiredAt.getTime() <= windowStart) {
+    return;
+  }
+  const record = getStore().get(LOCK_COOLDOWNS, userId) || { userId, expiries: [], cooldownUntil: null };
+  record.expiries = record.expiries.filter(expiry => expiry.at.getTime() > windowStart);
+  if (record.expiries.some(expiry => expiry.lockId === lockId)) {
+    return;
+  }
+
+  record.expiries.push({ lockId, at: expiredAt, spent: false });
+  const strikes = record.expiries.filter(expiry => !expiry.spent);
+  if (strikes.length >= COOLDOWN_STRIKES) {
+    record.cooldownUntil = new Date(expiredAt.getTime() + COOLDOWN_DURATION);
+    strikes.forEach(expiry => {
+      expiry.spent = true;
+    });
+  }
+  getStore().set(LOCK_COOLDOWNS, userId, record);
+};
+
+// Users who keep letting locks expire are kept from locking seats for a
+// while, so seats cannot be hoarded by locking them over and over
+class LockCooldownModel {
+  // End of a user's cooldown, or null if they may lock seats
+  static cooldownUntil(userId, now = new Date()) {
+    const record = getStore().get(LOCK_COOLDOWNS, userId);
+    return record && record.cooldownUntil && record.cooldownUntil > now
+      ? record.cooldownUntil
+      : null;
+  }
+}
+
+seatEvents.on(SEAT_EVENTS.LOCK_EXPIRED, recordExpiry);
+
+module.exports = {
+  LockCooldownModel,
+  COOLDOWN_STRIKES,
+  COOLDOWN_WINDOW,
+  COOLDOWN_DURATION
+};
@@ -0,0 +1,171 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('../storage');
+const { getPaymentProvider } = require('../payments');
+
+// Payment intent states: an intent is processing while the provider is
+// charging, then succeeds or fails; a successful charge whose lock ended
+// before the booking could be made, or whose booking was cancelled, is
+// refunded in full or in part
+const PAYMENT_STATUS = {
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+// How long to wait for the provider before failing a charge (default 15 seconds)
+const PAYMENT_TIMEOUT = Number(process.env.PAYMENT_TIMEOUT_MS) || 15 * 1000;
+
+// Payment intents are kept in the active store, keyed by intent ID
+const PAYMENT_INTENTS = 'paymentIntents';
+
+// Persist an intent after mutating it
+const saveIntent = (intent) => {
+  intent.updatedAt = new Date();
+  getStore().set(PAYMENT_INTENTS, intent.id, intent);
+};
+
+// Copy an intent so callers cannot mutate the stored record
+const copyIntent = (intent) => ({ ...intent, seatIds: [...intent.seatIds] });
+
+// Settle a provider call, or resolve with { status: 'timeout' } if it takes
+// longer than PAYMENT_TIMEOUT
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ status: 'timeout' }), PAYMENT_TIMEOUT);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// A charge given up on after PAYMENT_TIMEOUT may still go through; its seats
+// were already released, so a success that arrives late is refunded
+const refundLateCharge = (intentId, pending) => {
+  pending.then(async outcome => {
+    const intent = getStore().get(PAYMENT_INTENTS, intentId);
+    if (!intent || !outcome || outcome.status !== 'succeeded') {
+      return;
+    }
+    intent.providerReference = outcome.reference;
+    saveIntent(intent);
+    await PaymentModel.refund(intentId);
+  }, () => {});
+};
+
+// Payment intents for locks being confirmed; seat state and its mutexes stay
+// with SeatModel, which opens an intent while holding the seats and only
+// books them once the charge has succeeded
+class PaymentModel {
+  // Open an intent to charge the amount due for a lock
+  static createIntent({ eventId, lockId, userId, seatIds, amount, currency }) {
+    const now = new Date();
+    const intent = {
+      id: uuidv4(),
+      eventId,
+      lockId,
+      userId,
+      seatIds: [...seatIds],
+      amount,
+      currency,
+      provider: getPaymentProvider().name,
+      status: PAYMENT_STATUS.PROCESSING,
+      providerReference: null,
+      failureReason: null,
+      refundedAmount: 0,
+      refundFailureReason: null,
+      bookingId: null,
+      createdAt: now
+    };
+    saveIntent(intent);
+    return copyIntent(intent);
+  }
+
+  // Get an intent by ID
+  static getIntent(intentId) {
+    const intent = getStore().get(PAYMENT_INTENTS, intentId);
+    return intent ? copyIntent(intent) : null;
+  }
+
+  // Charge an intent through the active provider with the customer's payment
+  // details ({ token }). A decline, a provider error or no answer within
+  // PAYMENT_TIMEOUT fails the intent (and refunds the charge should it go
+  // through after all).
+  static async charge(intentId, payment = {}) {
+    const intent = getStore().get(PAYMENT_INTENTS, intentId);
+    let outcome;
+    try {
+      const pending = Promise.resolve(getPaymentProvider().charge({
+        intentId,
+        amount: intent.amount,
+        currency: intent.currency,
+        token: payment.token
+      }));
+      outcome = await withTimeout(pending);
+      if (outcome.status === 'timeout') {
+        refundLateCharge(intentId, pending);
+      }
+    } catch (error) {
+      outcome = { status: 'declined', reason: error.message };
+    }
+
+    if (outcome.status === 'succeeded') {
+      intent.status = PAYMENT_STATUS.SUCCEEDED;
+      intent.providerReference = outcome.reference;
+    } else {
+      intent.status = PAYMENT_STATUS.FAILED;
+      intent.failureReason = outcome.status === 'timeout'
+        ? 'Payment provider did not respond in time'
+        : outcome.reason || 'Payment declined';
+    }
+    saveIntent(intent);
+    return copyIntent(intent);
+  }
+
+  // Give back a charge, in full (e.g. its lock ran out mid-payment) or the
+  // given amount of it (e.g. a booking cancelled for a fee). A refund the
+  // provider refuses leaves the status as it was, with refundFailureReason
+  // set, so it can be retried or refunded by hand.
+  static async refund(intentId, amount = null) {
+    const intent = getStore().get(PAYMENT_INTENTS, intentId);
+    const due = amount === null ? intent.amount - intent.refundedAmount : amount;
+    let outcome;
+    try {
+      outcome = await withTimeout(getPaymentProvider().refund({
+        reference: intent.providerReference,
+        amount: due,
+        currency: intent.currency
+      }));
+    } catch (error) {
+      outcome = { status: 'failed', reason: error.message };
+    }
+
+    if (outcome.status === 'refunded') {
+      intent.refundedAmount += due;
+      intent.refundFailureReason = null;
+      intent.status = intent.refundedAmount >= intent.amount
+        ? PAYMENT_STATUS.REFUNDED
+        : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+    } else {
+      intent.refundFailureReason = outcome.status === 'timeout'
+        ? 'Payment provider did not respond in time'
+        : outcome.reason || 'Refund failed';
+    }
+    saveIntent(intent);
+    return copyIntent(intent);
+  }
+
+  // Link a successful intent to the booking it paid for
+  static attachBooking(intentId, bookingId) {
+    const intent = getStore().get(PAYMENT_INTENTS, intentId);
+    intent.bookingId = bookingId;
+    saveIntent(intent);
+    return copyIntent(intent);
+  }
+}
+
+module.exports = {
+  PaymentModel,
+  PAYMENT_STATUS,
+  PAYMENT_TIMEOUT
+};
@@ -0,0 +1,322 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('../storage');
+const { seatEvents, SEAT_EVENTS } = require('../events/seatEvents');
+
+// Kinds of discount a promo code gives
+const PROMO_TYPE = {
+  PERCENT: 'percent',
+  FIXED: 'fixed'
+};
+
+// Redemption states: a code applied at lock time is reserved until the lock
+// is confirmed (redeemed) or ends (released)
+const REDEMPTION_STATUS = {
+  RESERVED: 'reserved',
+  REDEEMED: 'redeemed',
+  RELEASED: 'released'
+};
+
+// Allowed promo code format (codes are stored uppercase)
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Promo codes are kept in the active store keyed by code, and every use of
+// a code as a redemption record
+const PROMO_CODES = 'promoCodes';
+const REDEMPTIONS = 'promoRedemptions';
+
+const listRedemptions = () => getStore().list(REDEMPTIONS);
+
+// Persist a redemption after mutating it
+const saveRedemption = (redemption) => {
+  redemption.updatedAt = new Date();
+  getStore().set(REDEMPTIONS, redemption.id, redemption);
+};
+
+// Redemptions that count against a code's limits
+const activeRedemptions = (code) => listRedemptions().filter(redemption =>
+  redemption.code === code && redemption.status !== REDEMPTION_STATUS.RELEASED
+);
+
+// Promo code copy with its usage so far
+const withUsage = (promo) => {
+  const used = activeRedemptions(promo.code);
+  return {
+    ...promo,
+    redeemed: used.filter(redemption => redemption.status === REDEMPTION_STATUS.REDEEMED).length,
+    reserved: used.filter(redemption => redemption.status === REDEMPTION_STATUS.RESERVED).length
+  };
+};
+
+// Whether a seat falls inside a code's row or seat-range restrictions
+const isEligible = (promo, seat) => {
+  const { rows = [], seatRanges = [] } = promo.restrictions || {};
+  if (rows.length === 0 && seatRanges.length === 0) {
+    return true;
+  }
+  return rows.includes(seat.row) ||
+    seatRanges.some(range => range.row === seat.row && seat.number >= range.from && seat.number <= range.to);
+};
+
+// Check that a code can be used now by a user for the given seats, returning
+// { discount } or { error }. lines are the quoted { seatId, price } of seats.
+const evaluate = (code, { eventId, userId, seats, lines, now = new Date() }) => {
+  const promo = getStore().get(PROMO_CODES, code);
+
+  if (!promo || !promo.active) {
+    return { error: `Promo code ${code} is not valid` };
+  }
+  if (promo.eventId && promo.eventId !== eventId) {
+    return { error: `Promo code ${code} is not valid for this event` };
+  }
+  if (promo.validFrom && now < promo.validFrom) {
+    return { error: `Promo code ${code} is not valid until ${promo.validFrom.toISOString()}` };
+  }
+  if (promo.validUntil && now > promo.validUntil) {
+    return { error: `Promo code ${code} is no longer valid` };
+  }
+
+  const used = activeRedemptions(code);
+  if (promo.maxRedemptions !== null && used.length >= promo.maxRedemptions) {
+    return { error: `Promo code ${code} has reached its usage limit` };
+  }
+  if (promo.maxPerUser !== null &&
+      used.filter(redemption => redemption.userId === userId).length >= promo.maxPerUser) {
+    return { error: `Promo code ${code} has reached its usage limit for user ${userId}` };
+  }
+
+  const eligible = lines.filter((line, index) => isEligible(promo, seats[index]));
+  if (eligible.length === 0) {
+    return { error: `Promo code ${code} does not apply to these seats` };
+  }
+
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.price, 0);
+  const amount = promo.type === PROMO_TYPE.PERCENT
+    ? Math.round((eligibleTotal * promo.value) / 100)
+    : Math.min(promo.value, eligibleTotal);
+
+  return { discount: { code, amount } };
+};
+
+// Record a use of a code
+const createRedemption = (fields) => {
+  const now = new Date();
+  const redemption = {
+    id: uuidv4(),
+    bookingId: null,
+    createdAt: now,
+    ...fields
+  };
+  saveRedemption(redemption);
+  return redemption;
+};
+
+// The reservation made when a lock was taken with a code, if any
+const findReservation = (eventId, lockId) => listRedemptions().find(redemption =>
+  redemption.eventId === eventId &&
+  redemption.lockId === lockId &&
+  redemption.status === REDEMPTION_STATUS.RESERVED
+);
+
+// Normalize a code as typed by a customer
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Promo codes and their redemptions
+// Checking a code's limits and recording its use happen in one synchronous
+// step, so parallel requests (even for different seats, under different seat
+// mutexes) can never redeem a limited code more often than allowed.
+class PromoModel {
+  // Validate a promo code definition, returning an error message or null
+  static validatePromoCode(definition) {
+    const { code, type, value, validFrom, validUntil, maxRedemptions, maxPerUser, restrictions } = definition || {};
+
+    if (typeof code !== 'string' || !CODE_PATTERN.test(normalizeCode(code))) {
+      return 'code must be 3-32 letters, digits, "-" or "_"';
+    }
+    if (!Object.values(PROMO_TYPE).includes(type)) {
+      return `type must be one of: ${Object.values(PROMO_TYPE).join(', ')}`;
+    }
+    if (!Number.isFinite(value) || value <= 0 || (type === PROMO_TYPE.PERCENT && value > 100)) {
+      return type === PROMO_TYPE.PERCENT
+        ? 'value must be a percentage between 0 and 100'
+        : 'value must be a positive amount';
+    }
+    if (type === PROMO_TYPE.FIXED && !Number.isInteger(value)) {
+      return 'value must be an integer amount (minor currency units)';
+    }
+    const dates = { validFrom, validUntil };
+    const badDate = Object.keys(dates)
+      .find(key => dates[key] !== undefined && dates[key] !== null && Number.isNaN(new Date(dates[key]).getTime()));
+    if (badDate) {
+      return `${badDate} must be a valid date`;
+    }
+    if (validFrom && validUntil && new Date(validFrom) >= new Date(validUntil)) {
+      return 'validFrom must be before validUntil';
+    }
+    const limits = { maxRedemptions, maxPerUser };
+    const badLimit = Object.keys(limits)
+      .find(key => limits[key] !== undefined && limits[key] !== null && (!Number.isInteger(limits[key]) || limits[key] < 1));
+    if (badLimit) {
+      return `${badLimit} must be a positive integer`;
+    }
+    if (restrictions !== undefined && restrictions !== null) {
+      const { rows = [], seatRanges = [] } = restrictions;
+      if (!Array.isArray(rows) || !rows.every(row => typeof row === 'string' && row)) {
+        return 'restrictions.rows must be a list of row labels';
+      }
+      if (!Array.isArray(seatRanges) || !seatRanges.every(range => range &&
+          typeof range.row === 'string' && Number.isInteger(range.from) && Number.isInteger(range.to) &&
+          range.from >= 1 && range.from <= range.to)) {
+        return 'restrictions.seatRanges must be a list of { row, from, to } with from <= to';
+      }
+    }
+    return null;
+  }
+
+  // Create a promo code
+  static createPromoCode(definition, createdBy) {
+    const code = normalizeCode(definition.code);
+
+    if (getStore().get(PROMO_CODES, code)) {
+      return { success: false, error: `Promo code ${code} already exists` };
+    }
+
+    const { restrictions } = definition;
+    const promo = {
+      code,
+      type: definition.type,
+      value: definition.value,
+      eventId: definition.eventId || null,
+      validFrom: definition.validFrom ? new Date(definition.validFrom) : null,
+      validUntil: definition.validUntil ? new Date(definition.validUntil) : null,
+      maxRedemptions: definition.maxRedemptions || null,
+      maxPerUser: definition.maxPerUser || null,
+      restrictions: restrictions
+        ? {
+          rows: (restrictions.rows || []).map(row => row.toUpperCase()),
+          seatRanges: (restrictions.seatRanges || []).map(range => ({ ...range, row: range.row.toUpperCase() }))
+        }
+        : null,
+      active: true,
+      createdBy,
+      createdAt: new Date()
+    };
+    getStore().set(PROMO_CODES, code, promo);
+
+    return {
+      success: true,
+      message: `Promo code ${code} created`,
+      promo: withUsage(promo)
+    };
+  }
+
+  // Get a promo code with its usage
+  static getPromoCode(code) {
+    const promo = getStore().get(PROMO_CODES, normalizeCode(code));
+    return promo ? withUsage(promo) : null;
+  }
+
+  // List promo codes with their usage
+  static listPromoCodes() {
+    return getStore().list(PROMO_CODES).map(withUsage);
+  }
+
+  // Stop a code from being applied (reservations already made are honoured)
+  static deactivatePromoCode(code) {
+    const promo = getStore().get(PROMO_CODES, normalizeCode(code));
+
+    if (!promo) {
+      return { success: false, error: `Promo code ${normalizeCode(code)} not found` };
+    }
+
+    promo.active = false;
+    getStore().set(PROMO_CODES, promo.code, promo);
+    return {
+      success: true,
+      message: `Promo code ${promo.code} deactivated`,
+      promo: withUsage(promo)
+    };
+  }
+
+  // Apply a code to seats being locked, reserving one use of it for the lock
+  // Returns { discount } or { error }
+  static reserve(code, { eventId, userId, lockId, seats, lines }) {
+    const normalized = normalizeCode(code);
+    const result = evaluate(normalized, { eventId, userId, seats, lines });
+    if (result.error) {
+      return result;
+    }
+    createRedemption({
+      code: normalized,
+      eventId,
+      userId,
+      lockId,
+      amount: result.discount.amount,
+      status: REDEMPTION_STATUS.RESERVED
+    });
+    return result;
+  }
+
+  // Settle the discount of a lock being confirmed, before it is paid for: the
+  // use reserved at lock time keeps the amount quoted then, otherwise a code
+  // given now is checked and a use reserved for the lock. partial says some
+  // of the lock's seats are left out of this confirmation; a discount quoted
+  // for the whole lock can't be split, so such a lock must be confirmed in
+  // one go. Returns { discount }, { discount: null } without a code, or
+  // { error }
+  static claim(code, { eventId, userId, lockId, seats, lines, partial = false }) {
+    const normalized = code ? normalizeCode(code) : null;
+    const reservation = findReservation(eventId, lockId);
+
+    if (reservation) {
+      if (normalized && normalized !== reservation.code) {
+        return { error: `Lock ${lockId} already uses promo code ${reservation.code}` };
+      }
+      if (partial) {
+        return { error: `Lock ${lockId} uses promo code ${reservation.code}; confirm all of its seats together` };
+      }
+      const total = lines.reduce((sum, line) => sum + line.price, 0);
+      return { discount: { code: reservation.code, amount: Math.min(reservation.amount, total) } };
+    }
+
+    if (!normalized) {
+      return { discount: null };
+    }
+    return PromoModel.reserve(normalized, { eventId, userId, lockId, seats, lines });
+  }
+
+  // Redeem the use reserved for a lock once it is booked, linking it to the
+  // booking; a no-op for locks without a promo code
+  static redeem(eventId, lockId, bookingId) {
+    const reservation = findReservation(eventId, lockId);
+    if (reservation) {
+      reservation.status = REDEMPTION_STATUS.REDEEMED;
+      reservation.bookingId = bookingId;
+      saveRedemption(reservation);
+    }
+  }
+}
+
+// Release the use a lock reserved once the lock ends without a booking
+const releaseReservation = (eventId, lockId) => {
+  const reservation = findReservation(eventId, lockId);
+  if (reservation) {
+    reservation.status = REDEMPTION_STATUS.RELEASED;
+    saveRedemption(reservation);
+  }
+};
+
+seatEvents.on(SEAT_EVENTS.LOCK_EXPIRED, ({ eventId, lockId }) => releaseReservation(eventId, lockId));
+seatEvents.on(SEAT_EVENTS.LOCK_RELEASED, ({ eventId, lockId }) => releaseReservation(eventId, lockId));
+
+// A reset starts the event over, promo code usage included
+seatEvents.on(SEAT_EVENTS.SEATS_RESET, ({ eventId }) => {
+  listRedemptions()
+    .filter(redemption => redemption.eventId === eventId)
+    .forEach(redemption => getStore().delete(REDEMPTIONS, redemption.id));
+});
+
+module.exports = {
+  PromoModel,
+  PROMO_TYPE,
+  REDEMPTION_STATUS
+};
@@ -0,0 +1,293 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('../storage');
+
+// Queue tokens admitted per batch, unless the room says otherwise (default 50)
+const QUEUE_BATCH_SIZE = Number(process.env.QUEUE_BATCH_SIZE) || 50;
+
+// Time between two batches, unless the room says otherwise (default 10 seconds)
+const QUEUE_INTERVAL = Number(process.env.QUEUE_INTERVAL_MS) || 10 * 1000;
+
+// How long an admitted token may lock seats (default 10 minutes)
+const ADMISSION_WINDOW = Number(process.env.QUEUE_ADMISSION_WINDOW_MS) || 10 * 60 * 1000;
+
+// Queue token states
+const QUEUE_STATUS = {
+  WAITING: 'waiting',
+  ADMITTED: 'admitted',
+  EXPIRED: 'expired'
+};
+
+// One waiting room per event, eventId -> { eventId, enabled, paused,
+// batchSize, intervalMs, lastSequence, admittedThrough, nextAdmissionAt,
+// admissions: [{ through, at }] }
+// Tokens are numbered in the order they joined; those up to admittedThrough
+// have been let in, each batch recorded by the last number it let in and when,
+// so admitting a batch writes nothing but the room.
+const WAITING_ROOMS = 'waitingRooms';
+
+// Queue tokens, token -> { token, eventId, userId, sequence, joinedAt }
+const QUEUE_TOKENS = 'queueTokens';
+
+// Each customer's latest token for an event, `${eventId}:${userId}` -> token
+const QUEUE_USER_TOKENS = 'queueUserTokens';
+
+const saveRoom = (room) => getStore().set(WAITING_ROOMS, room.eventId, room);
+
+// Key of a customer's latest token for an event
+const userTokenKey = (eventId, userId) => `${eventId}:${userId}`;
+
+// A customer's latest token for an event, or null
+const latestToken = (eventId, userId) => {
+  const token = getStore().get(QUEUE_USER_TOKENS, userTokenKey(eventId, userId));
+  return token ? getStore().get(QUEUE_TOKENS, token) : null;
+};
+
+// When the token numbered sequence was let in, or null if it is still waiting
+// (binary search over the room's batches, which are in admission order)
+const admittedAtOf = (room, sequence) => {
+  if (sequence > room.admittedThrough) {
+    return null;
+  }
+  let low = 0;
+  let high = room.admissions.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (room.admissions[middle].through < sequence) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return room.admissions[low].at;
+};
+
+// Let in every batch that was due by now. Batches are worked out when the
+// room is looked at rather than by a timer; a batch only admits tokens that
+// were already waiting when it was due.
+const advance = (room, now = new Date()) => {
+  if (!room.enabled || room.paused) {
+    return room;
+  }
+  while (room.nextAdmissionAt <= now) {
+    // Nobody is waiting: skip straight past the batches that were due
+    if (room.admittedThrough >= room.lastSequence) {
+      const missed = Math.floor((now - room.nextAdmissionAt) / room.intervalMs) + 1;
+      room.nextAdmissionAt = new Date(room.nextAdmissionAt.getTime() + missed * room.intervalMs);
+      break;
+    }
+    const through = Math.min(room.lastSequence, room.admittedThrough + room.batchSize);
+    if (through > room.admittedThrough) {
+      room.admissions.push({ through, at: room.nextAdmissionAt });
+      room.admittedThrough = through;
+    }
+    room.nextAdmissionAt = new Date(room.nextAdmissionAt.getTime() + room.intervalMs);
+  }
+  saveRoom(room);
+  return room;
+};
+
+// A room brought up to date, or null if the event never had one
+const loadRoom = (eventId, now = new Date()) => {
+  const room = getStore().get(WAITING_ROOMS, eventId);
+  return room ? advance(room, now) : null;
+};
+
+// Where a token stands: { token, eventId, status, position, eta, ... }
+// position counts the tokens still waiting ahead of it, plus itself
+const describeToken = (room, token, now = new Date()) => {
+  const admittedAt = admittedAtOf(room, token.sequence);
+  const expiresAt = admittedAt ? new Date(admittedAt.getTime() + ADMISSION_WINDOW) : null;
+  const status = !admittedAt ? QUEUE_STATUS.WAITING
+    : expiresAt <= now ? QUEUE_STATUS.EXPIRED
+      : QUEUE_STATUS.ADMITTED;
+  const position = status === QUEUE_STATUS.WAITING ? token.sequence - room.admittedThrough : null;
+  // Admission stops while the room is paused, so no estimate can be given
+  const eta = position === null || room.paused ? null
+    : new Date(room.nextAdmissionAt.getTime() + (Math.ceil(position / room.batchSize) - 1) * room.intervalMs);
+
+  return {
+    token: token.token,
+    eventId: token.eventId,
+    status,
+    position,
+    eta,
+    paused: room.paused,
+    joinedAt: token.joinedAt,
+    admittedAt,
+    expiresAt
+  };
+};
+
+// Virtual waiting room for high-demand on-sales: while an event's room is
+// open, customers join a queue and are let into the seat map in batches at a
+// rate admins control, and only admitted customers may lock seats
+class QueueModel {
+  // Open an event's waiting room or change how fast it admits customers
+  // settings: { batchSize, intervalMs } (either may be left out)
+  static configure(eventId, { batchSize, intervalMs } = {}) {
+    const now = new Date();
+    // A room opened again keeps its queue, and its clock starts afresh
+    const room = loadRoom(eventId, now) || {
+      eventId,
+      enabled: false,
+      paused: false,
+      batchSize: QUEUE_BATCH_SIZE,
+      intervalMs: QUEUE_INTERVAL,
+      lastSequence: 0,
+      admittedThrough: 0,
+      nextAdmissionAt: null,
+      admissions: []
+    };
+    const opening = !room.enabled;
+
+    room.enabled = true;
+    room.batchSize = batchSize || room.batchSize;
+    room.intervalMs = intervalMs || room.intervalMs;
+    // A faster pace takes effect from the next batch
+    const next = new Date(now.getTime() + room.intervalMs);
+    if (opening || next < room.nextAdmissionAt) {
+      room.nextAdmissionAt = next;
+    }
+    saveRoom(room);
+    return { success: true, room: QueueModel.getRoom(eventId) };
+  }
+
+  // Close an event's waiting room: locks no longer need a queue token
+  static close(eventId) {
+    const room = loadRoom(eventId);
+    if (!room || !room.enabled) {
+      return { success: false, error: `Event ${eventId} has no open waiting room` };
+    }
+    room.enabled = false;
+    saveRoom(room);
+    return { success: true, room: QueueModel.getRoom(eventId) };
+  }
+
+  // Stop or restart admitting customers; nobody is let in while paused
+  static setPaused(eventId, paused) {
+    const room = loadRoom(eventId);
+    if (!room || !room.enabled) {
+      return { success: false, error: `Event ${eventId} has no open waiting room` };
+    }
+    if (room.paused && !paused) {
+      room.nextAdmissionAt = new Date(Date.now() + room.intervalMs);
+    }
+    room.paused = paused;
+    saveRoom(room);
+    return { success: true, room: QueueModel.getRoom(eventId) };
+  }
+
+  // Whether locking an event's seats needs an admitted queue token
+  static isOpen(eventId) {
+    const room = getStore().get(WAITING_ROOMS, eventId);
+    return Boolean(room && room.enabled);
+  }
+
+  // An event's waiting room with its settings and how many are waiting and
+  // admitted, or null if it never had one
+  static getRoom(eventId) {
+    const now = new Date();
+    const room = loadRoom(eventId, now);
+    if (!room) {
+      return null;
+    }
+    // Batches let in within the admission window are still admitted
+    let admitted = 0;
+    for (let i = room.admissions.length - 1; i >= 0; i--) {
+      if (room.admissions[i].at.getTime() + ADMISSION_WINDOW <= now.getTime()) {
+        break;
+      }
+      admitted += room.admissions[i].through - (i > 0 ? room.admissions[i - 1].through : 0);
+    }
+    return {
+      eventId,
+      enabled: room.enabled,
+      paused: room.paused,
+      batchSize: room.batchSize,
+      intervalMs: room.intervalMs,
+      waiting: room.lastSequence - room.admittedThrough,
+      admitted,
+      nextAdmissionAt: room.enabled && !room.paused ? room.nextAdmissionAt : null
+    };
+  }
+
+  // Join an event's queue, or get back the place a customer already holds
+  static join(eventId, userId) {
+    const now = new Date();
+    const room = loadRoom(eventId, now);
+    if (!room || !room.enabled) {
+      return { success: false, error: `Event ${eventId} has no open waiting room` };
+    }
+
+    const held = latestToken(eventId, userId);
+    if (held) {
+      const status = describeToken(room, held, now);
+      if (status.status !== QUEUE_STATUS.EXPIRED) {
+        return { success: true, joined: false, status };
+      }
+    }
+
+    room.lastSequence += 1;
+    const token = {
+      token: uuidv4(),
+      eventId,
+      userId,
+      sequence: room.lastSequence,
+      joinedAt: now
+    };
+    getStore().set(QUEUE_TOKENS, token.token, token);
+    getStore().set(QUEUE_USER_TOKENS, userTokenKey(eventId, userId), token.token);
+    saveRoom(room);
+    return { success: true, joined: true, status: describeToken(room, token, now) };
+  }
+
+  // Where a customer's token stands in the queue
+  static getStatus(token, userId) {
+    const record = getStore().get(QUEUE_TOKENS, token);
+    if (!record || record.userId !== userId) {
+      return { success: false, error: 'Queue token not found' };
+    }
+    return { success: true, status: describeToken(loadRoom(record.eventId), record) };
+  }
+
+  // Whether a customer may lock an event's seats without presenting a token:
+  // the event has no open waiting room, or their token is admitted and not
+  // expired (used for seats offered from the waitlist). Only their latest
+  // token can be admitted, as a new one is only handed out once it expired.
+  static isAdmitted(eventId, userId, now = new Date()) {
+    if (!QueueModel.isOpen(eventId)) {
+      return true;
+    }
+    const token = latestToken(eventId, userId);
+    return Boolean(token) && describeToken(loadRoom(eventId, now), token, now).status === QUEUE_STATUS.ADMITTED;
+  }
+
+  // Check that a customer may lock an event's seats: either the event has no
+  // open waiting room, or their token has been admitted and not expired.
+  // Returns null or an error result with the token's status.
+  static checkAdmission(eventId, userId, token) {
+    if (!QueueModel.isOpen(eventId)) {
+      return null;
+    }
+    const record = token ? getStore().get(QUEUE_TOKENS, token) : null;
+    if (!record || record.eventId !== eventId || record.userId !== userId) {
+      return { success: false, error: `Event ${eventId} has a waiting room; join the queue for a Queue-Token` };
+    }
+    const status = describeToken(loadRoom(eventId), record);
+    if (status.status === QUEUE_STATUS.WAITING) {
+      return { success: false, error: `Not admitted yet (position ${status.position} in the queue)`, status };
+    }
+    if (status.status === QUEUE_STATUS.EXPIRED) {
+      return { success: false, error: 'Admission has expired; join the queue again', status };
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  QueueModel,
+  QUEUE_STATUS,
+  QUEUE_BATCH_SIZE,
+  QUEUE_INTERVAL,
+  ADMISSION_WINDOW
+};
@@ -0,0 +1,131 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('../storage');
+const { seatEvents, SEAT_EVENTS, SYSTEM_ACTOR } = require('../events/seatEvents');
+
+// Seat changes are appended to the active store in the order they happened
+// and never changed afterwards, one record per change whatever the number of
+// seats it touched:
+// { id, at, eventId, type, actor, userId, lockId, bookingId, reason,
+//   seats: [{ seatId, fromStatus, toStatus, lockId, bookingId, version }] }
+const SEAT_HISTORY = 'seatHistory';
+
+// Latest recorded state of the seats of each event, one record per event:
+// { id: eventId, seats: { seatId: { status, lockId } } }, which gives the
+// "before" of each seat's next transition
+const SEAT_HEADS = 'seatHistoryHeads';
+
+// Status of a seat nothing has been recorded for yet
+const INITIAL_STATUS = 'available';
+
+// Most entries returned by a single query
+const MAX_HISTORY_LIMIT = 1000;
+
+// How long changes are kept (default 90 days)
+const HISTORY_RETENTION = Number(process.env.SEAT_HISTORY_RETENTION_MS) || 90 * 24 * 60 * 60 * 1000;
+
+// Least time between two sweeps for changes past HISTORY_RETENTION (1 hour)
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// When each store was last swept for old changes
+const prunedAt = new WeakMap();
+
+// Drop changes older than HISTORY_RETENTION, at most once per PRUNE_INTERVAL
+const pruneExpired = (now) => {
+  const store = getStore();
+  const last = prunedAt.get(store);
+  if (last && now - last < PRUNE_INTERVAL) {
+    return;
+  }
+  prunedAt.set(store, now);
+  const cutoff = now.getTime() - HISTORY_RETENTION;
+  store.list(SEAT_HISTORY)
+    .filter(change => change.at.getTime() < cutoff)
+    .forEach(change => store.delete(SEAT_HISTORY, change.id));
+};
+
+// Record one change covering every seat a seat event touched
+// payload is what SeatModel announces: { eventId, seatIds, seats, ...details }
+// where seats are snapshots taken after the change
+const recordTransition = (type, payload) => {
+  const at = new Date();
+  const heads = getStore().get(SEAT_HEADS, payload.eventId) || { id: payload.eventId, seats: {} };
+
+  const change = {
+    id: uuidv4(),
+    at,
+    eventId: payload.eventId,
+    type,
+    actor: payload.actor || payload.userId || SYSTEM_ACTOR,
+    userId: payload.userId || null,
+    lockId: payload.lockId || null,
+    bookingId: payload.bookingId || null,
+    reason: payload.reason || null,
+    seats: payload.seats.map(seat => {
+      const head = heads.seats[seat.id];
+      heads.seats[seat.id] = { status: seat.status, lockId: seat.lockId || null };
+      return {
+        seatId: seat.id,
+        fromStatus: head ? head.status : INITIAL_STATUS,
+        toStatus: seat.status,
+        // Seats no longer carry the lock they were released from
+        lockId: seat.lockId || (head && head.lockId) || null,
+        bookingId: seat.bookingId || null,
+        version: seat.version
+      };
+    })
+  };
+
+  pruneExpired(at);
+  getStore().set(SEAT_HISTORY, change.id, change);
+  getStore().set(SEAT_HEADS, heads.id, heads);
+};
+
+// One entry per seat of a change, as the queries return them
+const entriesOf = (change) => change.seats.map(seat => ({
+  id: `${change.id}:${seat.seatId}`,
+  at: change.at,
+  eventId: change.eventId,
+  seatId: seat.seatId,
+  type: change.type,
+  actor: change.actor,
+  userId: change.userId,
+  fromStatus: seat.fromStatus,
+  toStatus: seat.toStatus,
+  lockId: change.lockId || seat.lockId,
+  bookingId: change.bookingId || seat.bookingId,
+  version: seat.version,
+  reason: change.reason
+}));
+
+// Append-only log of every seat state transition: who did what to which
+// seat, its status before and after, under which lock, and when
+// Changes older than HISTORY_RETENTION are dropped
+class SeatHistoryModel {
+  // Transitions of one seat, oldest first
+  static forSeat(eventId, seatId) {
+    return getStore().list(SEAT_HISTORY)
+      .filter(change => change.eventId === eventId)
+      .flatMap(entriesOf)
+      .filter(entry => entry.seatId === seatId);
+  }
+
+  // Transitions between from and to (inclusive, either may be null), oldest
+  // first, optionally for one event
+  static list({ from = null, to = null, eventId = null, limit = 100 } = {}) {
+    return getStore().list(SEAT_HISTORY)
+      .filter(change => (!from || change.at >= from) && (!to || change.at <= to) &&
+        (!eventId || change.eventId === eventId))
+      .flatMap(entriesOf)
+      .slice(0, Math.min(limit, MAX_HISTORY_LIMIT));
+  }
+}
+
+Object.values(SEAT_EVENTS).forEach(type => {
+  seatEvents.on(type, payload => recordTransition(type, payload));
+});
+
+module.exports = {
+  SeatHistoryModel,
+  MAX_HISTORY_LIMIT,
+  HISTORY_RETENTION
+};
@@ -0,0 +1,143 @@
+const { getStore } = require('../storage');
+
+// Journal entries between two snapshots of a seat map (default 100)
+const SNAPSHOT_INTERVAL = Number(process.env.SEAT_SNAPSHOT_INTERVAL) || 100;
+
+// Snapshots kept per seat map (default 10); older snapshots and the journal
+// entries they cover are dropped, so a map can be replayed back to its
+// oldest kept snapshot
+const SNAPSHOTS_KEPT = Number(process.env.SEAT_SNAPSHOTS_KEPT) || 10;
+
+// Every change to a seat map is appended to its journal as the version it
+// produced and the new state of whatever changed:
+// { id, eventId, version, at, seats: { seatId: seat }, fields: { pricing, closed } }
+const SEAT_JOURNAL = 'seatJournal';
+
+// Full copies of seat maps, taken when a map is created and then every
+// SNAPSHOT_INTERVAL versions, so rebuilding a map only replays the entries
+// after its latest snapshot: { id, eventId, version, at, seatMap }
+const SEAT_SNAPSHOTS = 'seatSnapshots';
+
+// Record ID of a journal entry or snapshot
+const recordId = (eventId, version) => `${eventId}:${version}`;
+
+// Copy seats so later in-place changes to the live map cannot alter records
+const copySeats = (seats, seatIds = Object.keys(seats)) =>
+  Object.fromEntries(seatIds.map(seatId => [seatId, { ...seats[seatId] }]));
+
+const copySeatMap = (seatMap) => ({ ...seatMap, seats: copySeats(seatMap.seats) });
+
+const byVersion = (a, b) => a.version - b.version;
+
+// Drop the snapshots of a seat map beyond the SNAPSHOTS_KEPT latest, and the
+// journal entries up to the oldest snapshot kept
+const prune = (eventId) => {
+  const store = getStore();
+  const snapshots = store.list(SEAT_SNAPSHOTS)
+    .filter(record => record.eventId === eventId)
+    .sort(byVersion);
+  if (snapshots.length <= SNAPSHOTS_KEPT) {
+    return;
+  }
+  const dropped = snapshots.slice(0, snapshots.length - SNAPSHOTS_KEPT);
+  const oldestKept = snapshots[dropped.length].version;
+  dropped.forEach(snapshot => store.delete(SEAT_SNAPSHOTS, snapshot.id));
+  store.list(SEAT_JOURNAL)
+    .filter(entry => entry.eventId === eventId && entry.version <= oldestKept)
+    .forEach(entry => store.delete(SEAT_JOURNAL, entry.id));
+};
+
+// Whether a record lies at or before a target { version, at }
+const reaches = (record, { version = Infinity, at = null }) =>
+  record.version <= version && (!at || record.at <= at);
+
+// Rebuild a seat map from a snapshot and the journal entries after it, up to
+// a target { version, at } (either may be left out)
+const replayTrace = ({ snapshot, entries }, target = {}) => {
+  const seatMap = copySeatMap(snapshot.seatMap);
+  entries
+    .filter(entry => entry.version > snapshot.version && reaches(entry, target))
+    .sort(byVersion)
+    .forEach(entry => {
+      Object.assign(seatMap.seats, copySeats(entry.seats));
+      Object.assign(seatMap, entry.fields);
+      seatMap.version = entry.version;
+    });
+  return seatMap;
+};
+
+// Persisted history of seat map changes. Seat maps in the store are a
+// projection of it: they can be rebuilt by replaying the journal from the
+// latest snapshot (after a crash), or as they stood at any earlier version or
+// moment (to settle disputes), back to the oldest snapshot kept.
+class SeatJournalModel {
+  // Take a full snapshot of a seat map at its current version
+  static snapshot(seatMap, at = new Date()) {
+    const snapshot = {
+      id: recordId(seatMap.eventId, seatMap.version),
+      eventId: seatMap.eventId,
+      version: seatMap.version,
+      at,
+      seatMap: copySeatMap(seatMap)
+    };
+    getStore().set(SEAT_SNAPSHOTS, snapshot.id, snapshot);
+    return snapshot;
+  }
+
+  // Append a change that moved a seat map to its current version: the seats
+  // and top-level fields (e.g. pricing, closed) it changed
+  static append(seatMap, seatIds = [], fields = []) {
+    const at = new Date();
+    const entry = {
+      id: recordId(seatMap.eventId, seatMap.version),
+      eventId: seatMap.eventId,
+      version: seatMap.version,
+      at,
+      seats: copySeats(seatMap.seats, seatIds),
+      fields: Object.fromEntries(fields.map(field => [field, seatMap[field]]))
+    };
+    getStore().set(SEAT_JOURNAL, entry.id, entry);
+
+    if (seatMap.version % SNAPSHOT_INTERVAL === 0) {
+      SeatJournalModel.snapshot(seatMap, at);
+      prune(seatMap.eventId);
+    }
+    return entry;
+  }
+
+  // The recorded trace of a seat map: the latest snapshot at or before a
+  // target { version, at } and the journal entries after it, or null if the
+  // map did not exist yet
+  static trace(eventId, target = {}) {
+    const snapshot = getStore().list(SEAT_SNAPSHOTS)
+      .filter(record => record.eventId === eventId && reaches(record, target))
+      .sort(byVersion)
+      .pop();
+    if (!snapshot) {
+      return null;
+    }
+    const entries = getStore().list(SEAT_JOURNAL)
+      .filter(entry => entry.eventId === eventId && entry.version > snapshot.version)
+      .sort(byVersion);
+    return { snapshot, entries };
+  }
+
+  // Rebuild a seat map as of a target { version, at }, or its latest state
+  // when no target is given; null if the map did not exist by then
+  static replay(eventId, target = {}) {
+    const trace = SeatJournalModel.trace(eventId, target);
+    return trace ? replayTrace(trace, target) : null;
+  }
+
+  // Events that have a journal
+  static eventIds() {
+    return [...new Set(getStore().list(SEAT_SNAPSHOTS).map(snapshot => snapshot.eventId))];
+  }
+}
+
+module.exports = {
+  SeatJournalModel,
+  replayTrace,
+  SNAPSHOT_INTERVAL,
+  SNAPSHOTS_KEPT
+};
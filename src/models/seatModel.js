@@ -1,111 +1,803 @@
 const { v4: uuidv4 } = require('uuid');
+const { LayoutModel } = require('./layoutModel');
+const { getStore, onStoreChange } = require('../storage');
+const { KeyedMutex } = require('../utils/keyedMutex');
+const { ExpiryScheduler } = require('../utils/expiryScheduler');
+const { seatEvents, SEAT_EVENTS, SYSTEM_ACTOR } = require('../events/seatEvents');
+const { BookingModel, BOOKING_STATUS } = require('./bookingModel');
+const { PromoModel } = require('./promoModel');
+const { PaymentModel, PAYMENT_STATUS } = require('./paymentModel');
+const { LockCooldownModel } = require('./lockCooldownModel');
+const { QueueModel } = require('./queueModel');
+const { SeatJournalModel } = require('./seatJournalModel');
+const { computeRefund } = require('../utils/cancellationPolicy');
+const { CURRENCY, quoteSeats, applyDiscount, occupancyOf, resolvePricing, multiplierFor } = require('../utils/pricing');
+const { formatETag, matchesETag } = require('../utils/etag');
+const { findBestSeats, orphansOf, suggestAlternative } = require('../utils/seatFinder');
 
 // Seat states
 const SEAT_STATUS = {
   AVAILABLE: 'available',
   LOCKED: 'locked', 
-  BOOKED: 'booked'
+  BOOKED: 'booked',
+  BLOCKED: 'blocked', // taken out of sale, e.g. for a camera position
+  HELD: 'held' // house seats kept back by the venue
 };
 
+// Statuses an admin can take seats out of sale with
+const RESTRICTED_STATUSES = [SEAT_STATUS.BLOCKED, SEAT_STATUS.HELD];
+
 // Lock duration in milliseconds (1 minute)
 const LOCK_DURATION = 60 * 1000;
 
-// Initialize theater with seat layout (5 rows, 8 seats each)
-const initializeSeats = () => {
+// How far each extension pushes a lock's expiry (default 1 minute)
+const LOCK_EXTENSION = Number(process.env.LOCK_EXTENSION_MS) || 60 * 1000;
+
+// Longest a lock may be held in total, extensions included (default 5 minutes)
+const MAX_LOCK_HOLD = Number(process.env.MAX_LOCK_HOLD_MS) || 5 * 60 * 1000;
+
+// Maximum number of seats in a single group booking
+const MAX_BATCH_SIZE = 10;
+
+// Seats one user may have locked at once in an event (default 10)
+const MAX_HELD_SEATS_PER_USER = Number(process.env.MAX_HELD_SEATS_PER_USER) || 10;
+
+// Seats one user may have locked or booked in an event (default 20)
+const MAX_BOOKED_SEATS_PER_USER = Number(process.env.MAX_BOOKED_SEATS_PER_USER) || 20;
+
+// Whether seat maps refuse selections that would strand a single empty seat,
+// unless their event says otherwise
+const PREVENT_SINGLE_SEAT_GAPS = process.env.PREVENT_SINGLE_SEAT_GAPS === 'true';
+
+// Times a best-available request chooses seats again when another user locks
+// one of its choices before it can
+const BEST_AVAILABLE_ATTEMPTS = 3;
+
+// Event used by the legacy /seats routes
+const DEFAULT_EVENT_ID = 'default';
+
+// Venue layout used when an event does not specify one
+const DEFAULT_LAYOUT = LayoutModel.getLayoutById('default');
+
+// Initialize a seat map from a venue layout
+const initializeSeats = (layout) => {
   const seats = {};
-  const rows = ['A', 'B', 'C', 'D', 'E'];
-  const seatsPerRow = 8;
   
-  rows.forEach(row => {
-    for (let i = 1; i <= seatsPerRow; i++) {
-      const seatId = `${row}${i}`;
-      seats[seatId] = {
-        id: seatId,
-        row: row,
-        number: i,
-        status: SEAT_STATUS.AVAILABLE,
-        userId: null,
-        lockId: null,
-        lockedAt: null,
-        lockExpiresAt: null,
-        bookedAt: null
-      };
-    }
+  LayoutModel.computePlacements(layout).forEach(placement => {
+    seats[placement.id] = {
+      ...placement,
+      status: SEAT_STATUS.AVAILABLE,
+      userId: null,
+      lockId: null,
+      // Who placed the lock: the customer, or 'system' for waitlist offers
+      lockedBy: null,
+      lockedAt: null,
+      lockExpiresAt: null,
+      bookedAt: null,
+      bookingId: null,
+      quotedPrice: null,
+      paymentIntentId: null,
+      note: null,
+      version: 0
+    };
   });
   
   return seats;
 };
 
-// In-memory seat storage
-let seats = initializeSeats();
+// Seat maps are kept in the active store, one record per event
+// eventId -> { eventId, seats, layout, geometry, pricing,
+//   preventSingleSeatGaps, closed, version }
+// They are a projection of the seat journal, which can rebuild them
+const SEAT_MAPS = 'seatMaps';
 
-// Mutex for preventing race conditions during seat operations
-const seatMutex = new Map();
+const loadSeatMap = (eventId) => getStore().get(SEAT_MAPS, eventId);
 
-// Helper function to acquire mutex for a seat
-const acquireMutex = (seatId) => {
-  return new Promise((resolve) => {
-    const checkMutex = () => {
-      if (!seatMutex.has(seatId)) {
-        seatMutex.set(seatId, true);
-        resolve();
-      } else {
-        // Wait a bit and try again (simple spin lock)
-        setTimeout(checkMutex, 1);
-      }
-    };
-    checkMutex();
+// Persist a seat map after mutating it. The map's version moves on with every
+// change, and the changed seats take the new version, so a seat's version
+// only ever grows (even across a reset) and tells clients it has changed.
+// The change is journaled before the map itself is written.
+const saveSeatMap = (seatMap, changedSeatIds = [], changedFields = []) => {
+  if (changedSeatIds.length > 0 || changedFields.length > 0) {
+    seatMap.version = (seatMap.version || 0) + 1;
+    changedSeatIds.forEach(seatId => {
+      seatMap.seats[seatId].version = seatMap.version;
+    });
+    SeatJournalModel.append(seatMap, changedSeatIds, changedFields);
+  }
+  getStore().set(SEAT_MAPS, seatMap.eventId, seatMap);
+};
+
+// Rebuild seat maps that are missing or behind their journal (the process
+// stopped between journaling a change and saving the map) from the latest
+// snapshot and the entries after it. Maps stored before the journal existed
+// are snapshotted as they are, so they can be rebuilt from then on.
+const rebuildSeatMaps = () => {
+  const journaled = new Set(SeatJournalModel.eventIds());
+  getStore().list(SEAT_MAPS)
+    .filter(seatMap => !journaled.has(seatMap.eventId))
+    .forEach(seatMap => SeatJournalModel.snapshot(seatMap));
+  journaled.forEach(eventId => {
+    const stored = loadSeatMap(eventId);
+    const replayed = SeatJournalModel.replay(eventId);
+    if (!stored || (stored.version || 0) < replayed.version) {
+      getStore().set(SEAT_MAPS, eventId, replayed);
+    }
   });
 };
 
-// Helper function to release mutex for a seat
-const releaseMutex = (seatId) => {
-  seatMutex.delete(seatId);
+// Check an If-Match precondition against the current version of a seat, or
+// of the whole seat map for group requests, returning an error result or null
+const checkPrecondition = (ifMatch, version, subject) => {
+  if (!ifMatch || matchesETag(ifMatch, formatETag(version))) {
+    return null;
+  }
+  return {
+    success: false,
+    error: `${subject} has changed (now at version ${version})`,
+    preconditionFailed: true,
+    version
+  };
+};
+
+// Whether a seat map refuses selections that strand a single seat (null
+// means the PREVENT_SINGLE_SEAT_GAPS default applies)
+const preventsGaps = (seatMap) => (typeof seatMap.preventSingleSeatGaps === 'boolean'
+  ? seatMap.preventSingleSeatGaps
+  : PREVENT_SINGLE_SEAT_GAPS);
+
+// Check that locking seats leaves no single empty seat between taken seats,
+// aisles and row ends, returning an error result with the seats it would
+// strand and a selection that would not, or null
+const checkGaps = (seatMap, seatIds) => {
+  if (!preventsGaps(seatMap)) {
+    return null;
+  }
+  const available = Object.values(seatMap.seats).filter(seat => seat.status === SEAT_STATUS.AVAILABLE);
+  const selected = seatIds.map(seatId => seatMap.seats[seatId]);
+  const orphans = orphansOf(available, selected).map(seat => seat.id);
+  if (orphans.length === 0) {
+    return null;
+  }
+  const suggestion = suggestAlternative(available, selected);
+  return {
+    success: false,
+    error: `Seat ${orphans.join(', ')} would be left as a single empty seat` +
+      (suggestion ? `; try ${suggestion.join(', ')} instead` : ''),
+    orphanedSeats: orphans,
+    suggestion
+  };
 };
 
-// Clean up expired locks periodically
-const cleanupExpiredLocks = () => {
+// Look up an event's seat map, returning an error result if it cannot be used
+const getSeatMap = (eventId, { allowClosed = false } = {}) => {
+  const seatMap = loadSeatMap(eventId);
+  if (!seatMap) {
+    return { error: { success: false, error: `Event ${eventId} not found` } };
+  }
+  if (seatMap.closed && !allowClosed) {
+    return { error: { success: false, error: `Event ${eventId} is cancelled` } };
+  }
+  return { seats: seatMap.seats, seatMap };
+};
+
+// How long an operation waits for a seat before giving up (milliseconds)
+const MUTEX_TIMEOUT = Number(process.env.MUTEX_TIMEOUT) || 5000;
+
+// FIFO mutex for preventing race conditions during seat operations
+const seatMutex = new KeyedMutex({ timeout: MUTEX_TIMEOUT });
+
+// Mutex key for a seat within an event
+const mutexKey = (eventId, seatId) => `${eventId}:${seatId}`;
+
+// Acquire mutexes for several seats in a stable (sorted) order so that two
+// overlapping group bookings can never wait on each other in a cycle.
+// Resolves with the release functions; on timeout, whatever was already
+// acquired is released before the error propagates.
+const acquireMutexes = async (eventId, seatIds) => {
+  const ordered = seatIds.map(seatId => mutexKey(eventId, seatId)).sort();
+  const releases = [];
+  try {
+    for (const key of ordered) {
+      releases.push(await seatMutex.acquire(key));
+    }
+  } catch (error) {
+    releaseMutexes(releases);
+    throw error;
+  }
+  return releases;
+};
+
+// Release mutexes in reverse acquisition order
+const releaseMutexes = (releases) => {
+  [...releases].reverse().forEach(release => release());
+};
+
+// FIFO mutex serialising one user's locks within an event, so two requests
+// of theirs cannot both pass the hold limits
+const userMutex = new KeyedMutex({ timeout: MUTEX_TIMEOUT });
+
+// Acquire the mutexes for a user locking seats: the user's first, then the
+// seats'. Nothing takes them in the opposite order, so this cannot deadlock.
+const acquireLockMutexes = async (eventId, userId, seatIds) => {
+  const releaseUser = await userMutex.acquire(mutexKey(eventId, userId));
+  try {
+    return [releaseUser, ...await acquireMutexes(eventId, seatIds)];
+  } catch (error) {
+    releaseUser();
+    throw error;
+  }
+};
+
+// Check that a user may lock more seats of an event: not in a cooldown for
+// letting locks expire, and within the seats they may hold and book.
+// Returns an error result or null.
+const checkHoldLimits = (seatMap, userId, count) => {
   const now = new Date();
-  Object.keys(seats).forEach(seatId => {
-    const seat = seats[seatId];
-    if (seat.status === SEAT_STATUS.LOCKED && seat.lockExpiresAt && now > seat.lockExpiresAt) {
-      seat.status = SEAT_STATUS.AVAILABLE;
-      seat.userId = null;
-      seat.lockId = null;
-      seat.lockedAt = null;
-      seat.lockExpiresAt = null;
-      console.log(`Lock expired for seat ${seatId}`);
+  const cooldownUntil = LockCooldownModel.cooldownUntil(userId, now);
+  if (cooldownUntil) {
+    return {
+      success: false,
+      error: `Too many of your locks expired; you may lock seats again at ${cooldownUntil.toISOString()}`,
+      cooldownUntil,
+      retryAfter: Math.ceil((cooldownUntil.getTime() - now.getTime()) / 1000)
+    };
+  }
+
+  const mine = Object.values(seatMap.seats).filter(seat => seat.userId === userId);
+  const held = mine.filter(seat => seat.status === SEAT_STATUS.LOCKED).length;
+  const booked = mine.filter(seat => seat.status === SEAT_STATUS.BOOKED).length;
+  if (held + count > MAX_HELD_SEATS_PER_USER) {
+    return {
+      success: false,
+      error: `You may hold at most ${MAX_HELD_SEATS_PER_USER} seats at once (holding ${held})`,
+      limitExceeded: true
+    };
+  }
+  if (held + booked + count > MAX_BOOKED_SEATS_PER_USER) {
+    return {
+      success: false,
+      error: `You may book at most ${MAX_BOOKED_SEATS_PER_USER} seats for this event ` +
+        `(holding or booked ${held + booked})`,
+      limitExceeded: true
+    };
+  }
+  return null;
+};
+
+// Reset lock fields so the seat becomes available again
+const clearLock = (seat) => {
+  seat.status = SEAT_STATUS.AVAILABLE;
+  seat.userId = null;
+  seat.lockId = null;
+  seat.lockedBy = null;
+  seat.lockedAt = null;
+  seat.lockExpiresAt = null;
+  seat.quotedPrice = null;
+  seat.paymentIntentId = null;
+};
+
+// Count an event's seats by status
+const countSeats = (seatMap) => {
+  const counts = {
+    total: 0,
+    available: 0,
+    locked: 0,
+    booked: 0,
+    blocked: 0,
+    held: 0
+  };
+  Object.values(seatMap.seats).forEach(seat => {
+    counts.total++;
+    counts[seat.status]++;
+  });
+  return counts;
+};
+
+// Quote seats at the event's prices and current occupancy
+const quoteFor = (seatMap, seats) => quoteSeats(seats, seatMap.pricing, occupancyOf(countSeats(seatMap)));
+
+// Lock in quoted prices on the seats so confirm charges what was quoted
+const applyQuote = (seats, quote) => {
+  seats.forEach((seat, index) => {
+    seat.quotedPrice = quote.seats[index].price;
+  });
+};
+
+// Booking line items for locked seats at the price quoted when they were
+// locked (seats locked before prices were quoted are priced now)
+const bookingItems = (seatMap, seats) => {
+  const current = quoteFor(seatMap, seats);
+  return seats.map((seat, index) => ({
+    seatId: seat.id,
+    section: seat.section,
+    row: seat.row,
+    number: seat.number,
+    category: current.seats[index].category,
+    price: seat.quotedPrice === null || seat.quotedPrice === undefined
+      ? current.seats[index].price
+      : seat.quotedPrice
+  }));
+};
+
+// Normalize a list of seat IDs (uppercase, no duplicates)
+const normalizeSeatIds = (seatIds) => [...new Set(seatIds.map(id => String(id).toUpperCase()))];
+
+// Announce a seat state change on the seat event bus, with snapshots of the
+// affected seats so listeners never need to read the seat map back
+const announce = (type, seatMap, seatIds, details = {}) => {
+  seatEvents.emit(type, {
+    eventId: seatMap.eventId,
+    ...details,
+    seatIds,
+    seats: seatIds.map(seatId => ({ ...seatMap.seats[seatId] }))
+  });
+};
+
+// Picks who is offered a seat the moment it is released, among the users
+// mayLock(userId) accepts; returns { userId, waitlistId } or null
+// (installed by WaitlistModel)
+let releaseHandler = () => null;
+
+// Hand released seats straight to whoever the release handler picks, with a
+// fresh lock of their own. Only users who could lock the seat themselves are
+// offered it: within their hold limits, not in a cooldown, and admitted from
+// the event's waiting room if it has one. Runs under the mutexes the caller
+// already holds, so nobody else can grab the seats in between.
+const offerReleasedSeats = (seatMap, seatIds) => {
+  if (seatMap.closed) {
+    return;
+  }
+  seatIds.forEach(seatId => {
+    const seat = seatMap.seats[seatId];
+    if (!seat || seat.status !== SEAT_STATUS.AVAILABLE) {
+      return;
+    }
+    const mayLock = (userId) => QueueModel.isAdmitted(seatMap.eventId, userId) &&
+      !checkHoldLimits(seatMap, userId, 1);
+    const claim = releaseHandler(seatMap.eventId, { ...seat }, mayLock);
+    if (!claim) {
+      return;
     }
+
+    const lockId = uuidv4();
+    const lockedAt = new Date();
+    const lockExpiresAt = new Date(lockedAt.getTime() + LOCK_DURATION);
+    const quote = quoteFor(seatMap, [seat]);
+
+    seat.status = SEAT_STATUS.LOCKED;
+    seat.userId = claim.userId;
+    seat.lockId = lockId;
+    seat.lockedBy = SYSTEM_ACTOR;
+    seat.lockedAt = lockedAt;
+    seat.lockExpiresAt = lockExpiresAt;
+    applyQuote([seat], quote);
+
+    saveSeatMap(seatMap, [seatId]);
+    scheduleExpiry(seatMap.eventId, lockId, [seatId], lockExpiresAt);
+    announce(SEAT_EVENTS.LOCK_ACQUIRED, seatMap, [seatId], {
+      lockId,
+      userId: claim.userId,
+      actor: SYSTEM_ACTOR,
+      lockExpiresAt,
+      quote,
+      waitlistId: claim.waitlistId
+    });
+  });
+};
+
+// Expiry key for a lock within an event (a group lock has one key)
+const expiryKey = (eventId, lockId) => `${eventId}:${lockId}`;
+
+// Release seats whose lock has run out and announce it (expiredAt is when
+// the lock ran out, if that was well before now)
+// Caller must hold the seats' mutexes (or be loading state at startup)
+const releaseExpiredSeats = (seatMap, seatIds, lockId, expiredAt = new Date()) => {
+  if (seatIds.length === 0) {
+    return;
+  }
+  const { userId, lockedBy } = seatMap.seats[seatIds[0]];
+  seatIds.forEach(seatId => clearLock(seatMap.seats[seatId]));
+  saveSeatMap(seatMap, seatIds);
+  console.log(`Lock expired for seats ${seatIds.join(', ')} (event ${seatMap.eventId})`);
+  announce(SEAT_EVENTS.LOCK_EXPIRED, seatMap, seatIds, {
+    lockId,
+    userId,
+    lockedBy: lockedBy || userId,
+    actor: SYSTEM_ACTOR,
+    expiredAt
+  });
+  offerReleasedSeats(seatMap, seatIds);
+};
+
+// Seats of a lock that are still held under it and past their expiry
+const dueSeats = (seatMap, seatIds, lockId, now = new Date()) => seatIds.filter(seatId => {
+  const seat = seatMap.seats[seatId];
+  return seat && seat.status === SEAT_STATUS.LOCKED && seat.lockId === lockId && seat.lockExpiresAt <= now;
+});
+
+// Release a seat found locked past its expiry before its timer has fired
+const expireIfDue = (seatMap, seat) => {
+  if (seat && seat.status === SEAT_STATUS.LOCKED && seat.lockExpiresAt <= new Date()) {
+    releaseExpiredSeats(seatMap, [seat.id], seat.lockId);
+  }
+};
+
+// Expire a lock when its timer fires
+const expireLock = async (payload) => {
+  const { eventId, lockId, seatIds } = payload;
+  let releases;
+  try {
+    releases = await acquireMutexes(eventId, seatIds);
+  } catch (error) {
+    // The seats are busy; try again shortly rather than leaving the lock behind
+    lockExpiry.schedule(expiryKey(eventId, lockId), Date.now() + 1000, payload);
+    return;
+  }
+  try {
+    const seatMap = loadSeatMap(eventId);
+    if (seatMap) {
+      releaseExpiredSeats(seatMap, dueSeats(seatMap, seatIds, lockId), lockId);
+    }
+  } finally {
+    releaseMutexes(releases);
+  }
+};
+
+// Release every lock of an event found past its expiry before its timer has
+// fired, each under its seats' mutexes (what expireIfDue does for one seat)
+const expireOverdueLocks = async (eventId) => {
+  const seatMap = loadSeatMap(eventId);
+  if (!seatMap) {
+    return;
+  }
+  const now = new Date();
+  const overdue = new Map();
+  Object.values(seatMap.seats)
+    .filter(seat => seat.status === SEAT_STATUS.LOCKED && seat.lockExpiresAt <= now)
+    .forEach(seat => {
+      overdue.set(seat.lockId, [...(overdue.get(seat.lockId) || []), seat.id]);
+    });
+  for (const [lockId, seatIds] of overdue) {
+    await expireLock({ eventId, lockId, seatIds });
+  }
+};
+
+// One timer for the earliest lock expiry instead of periodic sweeps
+const lockExpiry = new ExpiryScheduler(payload => {
+  expireLock(payload).catch(error => console.error('Failed to expire lock:', error));
+});
+
+// Start the expiry timer for a new lock
+const scheduleExpiry = (eventId, lockId, seatIds, lockExpiresAt) => {
+  lockExpiry.schedule(expiryKey(eventId, lockId), lockExpiresAt, { eventId, lockId, seatIds });
+};
+
+// Drop a lock's timer once none of its seats are held under it any more
+const settleExpiry = (seatMap, lockId) => {
+  const key = expiryKey(seatMap.eventId, lockId);
+  const payload = lockExpiry.get(key);
+  if (payload && !payload.seatIds.some(seatId => seatMap.seats[seatId].lockId === lockId)) {
+    lockExpiry.cancel(key);
+  }
+};
+
+// Rebuild expiry timers from loaded state; locks that ran out while the
+// process was down are released immediately, as of when they ran out
+const restoreLockExpiries = () => {
+  lockExpiry.clear();
+  const now = new Date();
+  getStore().list(SEAT_MAPS).forEach(seatMap => {
+    const locks = new Map();
+    Object.values(seatMap.seats)
+      .filter(seat => seat.status === SEAT_STATUS.LOCKED)
+      .forEach(seat => {
+        if (!locks.has(seat.lockId)) {
+          locks.set(seat.lockId, { seatIds: [], lockExpiresAt: seat.lockExpiresAt });
+        }
+        locks.get(seat.lockId).seatIds.push(seat.id);
+      });
+    locks.forEach(({ seatIds, lockExpiresAt }, lockId) => {
+      if (lockExpiresAt <= now) {
+        releaseExpiredSeats(seatMap, seatIds, lockId, lockExpiresAt);
+      } else {
+        scheduleExpiry(seatMap.eventId, lockId, seatIds, lockExpiresAt);
+      }
+    });
+  });
+};
+
+// Begin paying for a lock being confirmed: settle its promo discount, open a
+// payment intent for the amount due and mark the seats as paying, so the lock
+// cannot be confirmed twice while the charge is under way.
+// Caller must hold the seats' mutexes
+const startPayment = (seatMap, group, { userId, lockId, promoCode }) => {
+  if (group.some(seat => seat.paymentIntentId)) {
+    return { error: `Payment for lock ${lockId} is already in progress` };
+  }
+
+  const items = bookingItems(seatMap, group);
+  const seatIds = group.map(seat => seat.id);
+  const partial = Object.values(seatMap.seats).some(seat => seat.lockId === lockId && !seatIds.includes(seat.id));
+  const promo = PromoModel.claim(promoCode, {
+    eventId: seatMap.eventId,
+    userId,
+    lockId,
+    seats: group,
+    lines: items,
+    partial
   });
+  if (promo.error) {
+    return { error: promo.error };
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.price, 0);
+  const intent = PaymentModel.createIntent({
+    eventId: seatMap.eventId,
+    lockId,
+    userId,
+    seatIds,
+    amount: Math.max(0, subtotal - (promo.discount ? promo.discount.amount : 0)),
+    currency: CURRENCY
+  });
+  group.forEach(seat => {
+    seat.paymentIntentId = intent.id;
+  });
+  saveSeatMap(seatMap, seatIds);
+
+  return { items, discount: promo.discount, intentId: intent.id, lockExpiresAt: group[0].lockExpiresAt };
 };
 
-// Run cleanup every 10 seconds
-setInterval(cleanupExpiredLocks, 10000);
+// Charge a started payment without holding any mutex, then finish under the
+// seats' mutexes: book the seats if the lock is still held, release them if
+// the charge failed, or refund the charge if the lock ended mid-payment
+const finishPayment = async (eventId, seatIds, started) => {
+  const { userId, lockId, payment, items, discount, intentId, lockExpiresAt } = started;
+  const charged = await PaymentModel.charge(intentId, payment);
+  const succeeded = charged.status === PAYMENT_STATUS.SUCCEEDED;
+
+  let releases;
+  try {
+    releases = await acquireMutexes(eventId, seatIds);
+  } catch (error) {
+    if (succeeded) {
+      await PaymentModel.refund(intentId);
+    }
+    throw error;
+  }
+
+  // How the lock ended while the charge was under way, if it did
+  let ended = null;
+  try {
+    const seatMap = loadSeatMap(eventId);
+    const seats = seatMap ? seatMap.seats : {};
+    const held = Boolean(seatMap) && !seatMap.closed && seatIds.every(seatId => {
+      const seat = seats[seatId];
+      return seat && seat.status === SEAT_STATUS.LOCKED && seat.lockId === lockId && seat.paymentIntentId === intentId;
+    });
+    const now = new Date();
+
+    if (held && seatIds.some(seatId => now > seats[seatId].lockExpiresAt)) {
+      releaseExpiredSeats(seatMap, seatIds, lockId);
+      settleExpiry(seatMap, lockId);
+      ended = 'expired';
+    } else if (!held) {
+      ended = now > lockExpiresAt ? 'expired' : 'was released';
+    }
+
+    if (!succeeded) {
+      if (!ended) {
+        seatIds.forEach(seatId => clearLock(seats[seatId]));
+        saveSeatMap(seatMap, seatIds);
+        settleExpiry(seatMap, lockId);
+        announce(SEAT_EVENTS.LOCK_RELEASED, seatMap, seatIds, { lockId, userId, reason: 'payment failed' });
+        offerReleasedSeats(seatMap, seatIds);
+      }
+      return {
+        success: false,
+        error: `Payment failed: ${charged.failureReason}`,
+        paymentFailed: true,
+        payment: charged
+      };
+    }
+
+    if (!ended) {
+      const booking = BookingModel.createBooking({ eventId, userId, items, discount, paymentId: intentId, bookedAt: now });
+      PromoModel.redeem(eventId, lockId, booking.id);
+      const paid = PaymentModel.attachBooking(intentId, booking.id);
+      seatIds.forEach(seatId => {
+        const seat = seats[seatId];
+        seat.status = SEAT_STATUS.BOOKED;
+        seat.bookedAt = now;
+        seat.bookingId = booking.id;
+        seat.lockId = null;
+        seat.lockedBy = null;
+        seat.lockedAt = null;
+        seat.lockExpiresAt = null;
+        seat.quotedPrice = null;
+        seat.paymentIntentId = null;
+      });
+
+      saveSeatMap(seatMap, seatIds);
+      settleExpiry(seatMap, lockId);
+      announce(SEAT_EVENTS.BOOKING_CONFIRMED, seatMap, seatIds, { lockId, userId, bookingId: booking.id, bookedAt: now });
+
+      return {
+        success: true,
+        bookedAt: now,
+        seats: seatIds.map(seatId => ({ ...seats[seatId] })),
+        booking,
+        payment: paid
+      };
+    }
+  } finally {
+    releaseMutexes(releases);
+  }
+
+  // Refund outside the mutexes so a slow provider holds up nobody else
+  const refunded = await PaymentModel.refund(intentId);
+  return {
+    success: false,
+    error: `Lock ${lockId} ${ended} during payment; the payment ` +
+      (refunded.status === PAYMENT_STATUS.REFUNDED ? 'was refunded' : 'will be refunded'),
+    payment: refunded
+  };
+};
 
 class SeatModel {
+  // Create the seat map for a new event (null pricing means default prices,
+  // null preventSingleSeatGaps the PREVENT_SINGLE_SEAT_GAPS default)
+  static createSeatMap(eventId, layout = DEFAULT_LAYOUT, pricing = null, preventSingleSeatGaps = null) {
+    const seatMap = {
+      eventId,
+      seats: initializeSeats(layout),
+      layout,
+      geometry: LayoutModel.describeGeometry(layout),
+      pricing,
+      preventSingleSeatGaps,
+      closed: false,
+      version: 0
+    };
+    SeatJournalModel.snapshot(seatMap);
+    saveSeatMap(seatMap);
+  }
+
+  // Change an event's prices; seats already locked keep their quoted price
+  static setPricing(eventId, pricing) {
+    const seatMap = loadSeatMap(eventId);
+    if (!seatMap) {
+      return { success: false, error: `Event ${eventId} not found` };
+    }
+    seatMap.pricing = pricing;
+    saveSeatMap(seatMap, [], ['pricing']);
+    return { success: true };
+  }
+
+  // Turn the single-seat gap rule on or off for an event (null restores the
+  // PREVENT_SINGLE_SEAT_GAPS default)
+  static setGapPrevention(eventId, preventSingleSeatGaps) {
+    const seatMap = loadSeatMap(eventId);
+    if (!seatMap) {
+      return { success: false, error: `Event ${eventId} not found` };
+    }
+    seatMap.preventSingleSeatGaps = preventSingleSeatGaps;
+    saveSeatMap(seatMap, [], ['preventSingleSeatGaps']);
+    return { success: true };
+  }
+
+  // Whether an event refuses selections that strand a single seat
+  static preventsSingleSeatGaps(eventId) {
+    const seatMap = loadSeatMap(eventId);
+    return seatMap ? preventsGaps(seatMap) : null;
+  }
+
+  // An event's prices, with the current occupancy and dynamic multiplier
+  static getPricing(eventId) {
+    const seatMap = loadSeatMap(eventId);
+    if (!seatMap) {
+      return null;
+    }
+    const pricing = resolvePricing(seatMap.pricing);
+    const occupancy = occupancyOf(countSeats(seatMap));
+    return {
+      ...pricing,
+      occupancy,
+      multiplier: multiplierFor(pricing.dynamic, occupancy)
+    };
+  }
+
+  // Close an event's seat map: release every lock and refuse new ones
+  static closeSeatMap(eventId) {
+    const { seatMap, error } = getSeatMap(eventId, { allowClosed: true });
+    if (error) {
+      return error;
+    }
+    seatMap.closed = true;
+    const locked = Object.values(seatMap.seats).filter(seat => seat.status === SEAT_STATUS.LOCKED);
+    // Seats of each lock, so every lock is announced as released on its own
+    const locks = new Map();
+    locked.forEach(seat => {
+      const lock = locks.get(seat.lockId) || { userId: seat.userId, seatIds: [] };
+      lock.seatIds.push(seat.id);
+      locks.set(seat.lockId, lock);
+    });
+    locked.forEach(clearLock);
+    lockExpiry.cancelWhere(payload => payload.eventId === eventId);
+    saveSeatMap(seatMap, locked.map(seat => seat.id), ['closed']);
+    locks.forEach(({ userId, seatIds }, lockId) => {
+      announce(SEAT_EVENTS.LOCK_RELEASED, seatMap, seatIds, {
+        lockId,
+        userId,
+        actor: SYSTEM_ACTOR,
+        reason: 'event cancelled'
+      });
+    });
+    return { success: true };
+  }
+
+  // Current version of an event's seat map (changes with any of its seats)
+  static getVersion(eventId) {
+    const seatMap = loadSeatMap(eventId);
+    return seatMap ? seatMap.version || 0 : null;
+  }
+
+  // An event's seat map as it stood at a version or moment, rebuilt from the
+  // seat journal, or null if the event had no seat map by then (or the
+  // journal has been pruned past that point)
+  static getSeatMapAt(eventId, { version = Infinity, at = null } = {}) {
+    const seatMap = SeatJournalModel.replay(eventId, { version, at });
+    if (!seatMap) {
+      return null;
+    }
+    return {
+      eventId,
+      version: seatMap.version,
+      closed: seatMap.closed,
+      seats: Object.values(seatMap.seats),
+      statistics: countSeats(seatMap)
+    };
+  }
+
+  // Get the layout geometry of an event's seat map
+  static getLayout(eventId) {
+    const seatMap = loadSeatMap(eventId);
+    return seatMap ? seatMap.geometry : null;
+  }
+
   // Get all seats with current status
-  static getAllSeats() {
-    cleanupExpiredLocks();
-    return Object.values(seats);
+  static getAllSeats(eventId) {
+    const seatMap = loadSeatMap(eventId);
+    return seatMap ? Object.values(seatMap.seats) : null;
   }
 
   // Get seat by ID
-  static getSeatById(seatId) {
-    cleanupExpiredLocks();
-    return seats[seatId] || null;
+  static getSeatById(eventId, seatId) {
+    const seatMap = loadSeatMap(eventId);
+    return (seatMap && seatMap.seats[seatId]) || null;
   }
 
-  // Lock a seat (thread-safe)
-  static async lockSeat(seatId, userId) {
-    await acquireMutex(seatId);
+  // Lock a seat (thread-safe), optionally applying a promo code to its quote
+  // ifMatch is an If-Match header the seat's current ETag must match
+  static async lockSeat(eventId, seatId, userId, promoCode = null, { ifMatch = null } = {}) {
+    const releases = await acquireLockMutexes(eventId, userId, [seatId]);
     
     try {
-      cleanupExpiredLocks();
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
       const seat = seats[seatId];
       
       if (!seat) {
         return { success: false, error: 'Seat not found' };
       }
+
+      const stale = checkPrecondition(ifMatch, seat.version, `Seat ${seatId}`);
+      if (stale) {
+        return stale;
+      }
+      
+      expireIfDue(seatMap, seat);
       
       if (seat.status !== SEAT_STATUS.AVAILABLE) {
         return { 
@@ -114,41 +806,73 @@ class SeatModel {
           currentStatus: seat.status 
         };
       }
+
+      const refused = checkHoldLimits(seatMap, userId, 1) || checkGaps(seatMap, [seatId]);
+      if (refused) {
+        return refused;
+      }
       
       // Create lock
       const lockId = uuidv4();
       const lockedAt = new Date();
       const lockExpiresAt = new Date(lockedAt.getTime() + LOCK_DURATION);
+      let quote = quoteFor(seatMap, [seat]);
+
+      if (promoCode) {
+        const promo = PromoModel.reserve(promoCode, { eventId, userId, lockId, seats: [seat], lines: quote.seats });
+        if (promo.error) {
+          return { success: false, error: promo.error };
+        }
+        quote = applyDiscount(quote, promo.discount);
+      }
       
       seat.status = SEAT_STATUS.LOCKED;
       seat.userId = userId;
       seat.lockId = lockId;
+      seat.lockedBy = userId;
       seat.lockedAt = lockedAt;
       seat.lockExpiresAt = lockExpiresAt;
+      applyQuote([seat], quote);
       
+      saveSeatMap(seatMap, [seatId]);
+      scheduleExpiry(eventId, lockId, [seatId], lockExpiresAt);
+      announce(SEAT_EVENTS.LOCK_ACQUIRED, seatMap, [seatId], { lockId, userId, lockExpiresAt, quote });
+
       return {
         success: true,
         message: `Seat ${seatId} locked successfully`,
         lockId: lockId,
         lockExpiresAt: lockExpiresAt,
+        quote,
         seat: { ...seat }
       };
     } finally {
-      releaseMutex(seatId);
+      releaseMutexes(releases);
     }
   }
 
-  // Confirm booking (thread-safe)
-  static async confirmBooking(seatId, userId, lockId) {
-    await acquireMutex(seatId);
+  // Confirm booking (thread-safe): pay for the lock with the promo code
+  // reserved at lock time or one given now, and book the seat once the
+  // payment ({ token }) succeeds
+  static async confirmBooking(eventId, seatId, userId, lockId, promoCode = null, payment = {}, { ifMatch = null } = {}) {
+    const release = await seatMutex.acquire(mutexKey(eventId, seatId));
+    let started;
     
     try {
-      cleanupExpiredLocks();
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
       const seat = seats[seatId];
       
       if (!seat) {
         return { success: false, error: 'Seat not found' };
       }
+
+      const stale = checkPrecondition(ifMatch, seat.version, `Seat ${seatId}`);
+      if (stale) {
+        return stale;
+      }
       
       if (seat.status !== SEAT_STATUS.LOCKED) {
         return { 
@@ -173,44 +897,55 @@ class SeatModel {
       
       // Check if lock has expired
       if (new Date() > seat.lockExpiresAt) {
-        seat.status = SEAT_STATUS.AVAILABLE;
-        seat.userId = null;
-        seat.lockId = null;
-        seat.lockedAt = null;
-        seat.lockExpiresAt = null;
+        releaseExpiredSeats(seatMap, [seatId], lockId);
+        settleExpiry(seatMap, lockId);
         return { 
           success: false, 
           error: `Lock for seat ${seatId} has expired` 
         };
       }
       
-      // Confirm booking
-      seat.status = SEAT_STATUS.BOOKED;
-      seat.bookedAt = new Date();
-      seat.lockId = null;
-      seat.lockedAt = null;
-      seat.lockExpiresAt = null;
-      
-      return {
-        success: true,
-        message: `Seat ${seatId} booked successfully`,
-        seat: { ...seat }
-      };
+      started = startPayment(seatMap, [seat], { userId, lockId, promoCode });
+      if (started.error) {
+        return { success: false, error: started.error };
+      }
     } finally {
-      releaseMutex(seatId);
+      release();
+    }
+
+    const result = await finishPayment(eventId, [seatId], { ...started, userId, lockId, payment });
+    if (!result.success) {
+      return result;
     }
+
+    return {
+      success: true,
+      message: `Seat ${seatId} booked successfully`,
+      seat: result.seats[0],
+      booking: result.booking,
+      payment: result.payment
+    };
   }
 
   // Unlock a seat manually (thread-safe)
-  static async unlockSeat(seatId, userId, lockId) {
-    await acquireMutex(seatId);
+  static async unlockSeat(eventId, seatId, userId, lockId, { ifMatch = null } = {}) {
+    const release = await seatMutex.acquire(mutexKey(eventId, seatId));
     
     try {
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
       const seat = seats[seatId];
       
       if (!seat) {
         return { success: false, error: 'Seat not found' };
       }
+
+      const stale = checkPrecondition(ifMatch, seat.version, `Seat ${seatId}`);
+      if (stale) {
+        return stale;
+      }
       
       if (seat.status !== SEAT_STATUS.LOCKED) {
         return { 
@@ -227,50 +962,678 @@ class SeatModel {
       }
       
       // Release lock
-      seat.status = SEAT_STATUS.AVAILABLE;
-      seat.userId = null;
-      seat.lockId = null;
-      seat.lockedAt = null;
-      seat.lockExpiresAt = null;
+      clearLock(seat);
       
+      saveSeatMap(seatMap, [seatId]);
+      settleExpiry(seatMap, lockId);
+      announce(SEAT_EVENTS.LOCK_RELEASED, seatMap, [seatId], { lockId, userId });
+      offerReleasedSeats(seatMap, [seatId]);
+
       return {
         success: true,
         message: `Seat ${seatId} unlocked successfully`,
         seat: { ...seat }
       };
     } finally {
-      releaseMutex(seatId);
+      release();
     }
   }
 
-  // Get seat statistics
-  static getStatistics() {
-    cleanupExpiredLocks();
-    const stats = {
-      total: 0,
-      available: 0,
-      locked: 0,
-      booked: 0
+  // Extend a lock while the user is still checking out (thread-safe)
+  // Extending any seat of a group lock extends every seat held under it
+  static async extendLock(eventId, seatId, userId, lockId, { ifMatch = null } = {}) {
+    const payload = lockExpiry.get(expiryKey(eventId, lockId));
+    const ids = payload && payload.seatIds.includes(seatId) ? payload.seatIds : [seatId];
+    const releases = await acquireMutexes(eventId, ids);
+
+    try {
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
+      const seat = seats[seatId];
+
+      if (!seat) {
+        return { success: false, error: 'Seat not found' };
+      }
+
+      const stale = checkPrecondition(ifMatch, seat.version, `Seat ${seatId}`);
+      if (stale) {
+        return stale;
+      }
+
+      if (seat.status !== SEAT_STATUS.LOCKED || seat.userId !== userId || seat.lockId !== lockId) {
+        return {
+          success: false,
+          error: `Cannot extend lock on seat ${seatId}. Invalid user or lock ID`
+        };
+      }
+
+      const now = new Date();
+      if (now > seat.lockExpiresAt) {
+        releaseExpiredSeats(seatMap, dueSeats(seatMap, ids, lockId, now), lockId);
+        settleExpiry(seatMap, lockId);
+        return { success: false, error: `Lock for seat ${seatId} has expired` };
+      }
+
+      const maxHoldUntil = new Date(seat.lockedAt.getTime() + MAX_LOCK_HOLD);
+      if (seat.lockExpiresAt >= maxHoldUntil) {
+        return {
+          success: false,
+          error: `Lock ${lockId} has reached the maximum hold time`,
+          maxHoldUntil
+        };
+      }
+
+      const lockExpiresAt = new Date(Math.min(now.getTime() + LOCK_EXTENSION, maxHoldUntil.getTime()));
+      const heldIds = ids.filter(id => seats[id] && seats[id].lockId === lockId);
+
+      heldIds.forEach(id => {
+        seats[id].lockExpiresAt = lockExpiresAt;
+      });
+
+      saveSeatMap(seatMap, heldIds);
+      scheduleExpiry(eventId, lockId, heldIds, lockExpiresAt);
+      announce(SEAT_EVENTS.LOCK_EXTENDED, seatMap, heldIds, { lockId, userId, lockExpiresAt });
+
+      return {
+        success: true,
+        message: `Lock ${lockId} extended until ${lockExpiresAt.toISOString()}`,
+        lockExpiresAt,
+        maxHoldUntil,
+        seats: heldIds.map(id => ({ ...seats[id] }))
+      };
+    } finally {
+      releaseMutexes(releases);
+    }
+  }
+
+  // Lock several seats all-or-nothing under a single lock ID (thread-safe),
+  // optionally applying a promo code to their quote. Group requests check
+  // ifMatch against the seat map's ETag rather than a single seat's
+  static async lockSeats(eventId, seatIds, userId, promoCode = null, { ifMatch = null } = {}) {
+    const ids = normalizeSeatIds(seatIds);
+    const releases = await acquireLockMutexes(eventId, userId, ids);
+
+    try {
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
+      const stale = checkPrecondition(ifMatch, seatMap.version, `Seat map of event ${eventId}`);
+      if (stale) {
+        return stale;
+      }
+      const conflicts = [];
+
+      ids.forEach(seatId => {
+        const seat = seats[seatId];
+        expireIfDue(seatMap, seat);
+        if (!seat) {
+          conflicts.push({ seatId, error: 'Seat not found' });
+        } else if (seat.status !== SEAT_STATUS.AVAILABLE) {
+          conflicts.push({ seatId, error: `Seat ${seatId} is ${seat.status}`, currentStatus: seat.status });
+        }
+      });
+
+      if (conflicts.length > 0) {
+        return {
+          success: false,
+          error: conflicts.every(c => c.error === 'Seat not found')
+            ? 'Seats not found'
+            : `Unable to lock seats: ${conflicts.map(c => c.seatId).join(', ')} unavailable`,
+          conflicts
+        };
+      }
+
+      const refused = checkHoldLimits(seatMap, userId, ids.length) || checkGaps(seatMap, ids);
+      if (refused) {
+        return refused;
+      }
+
+      const lockId = uuidv4();
+      const lockedAt = new Date();
+      const lockExpiresAt = new Date(lockedAt.getTime() + LOCK_DURATION);
+      // The whole group is priced at the occupancy before it was locked
+      const group = ids.map(seatId => seats[seatId]);
+      let quote = quoteFor(seatMap, group);
+
+      if (promoCode) {
+        const promo = PromoModel.reserve(promoCode, { eventId, userId, lockId, seats: group, lines: quote.seats });
+        if (promo.error) {
+          return { success: false, error: promo.error };
+        }
+        quote = applyDiscount(quote, promo.discount);
+      }
+
+      // Every seat was validated while holding all mutexes, so nothing
+      // below can fail part-way and leave half the group locked
+      ids.forEach(seatId => {
+        const seat = seats[seatId];
+        seat.status = SEAT_STATUS.LOCKED;
+        seat.userId = userId;
+        seat.lockId = lockId;
+        seat.lockedBy = userId;
+        seat.lockedAt = lockedAt;
+        seat.lockExpiresAt = lockExpiresAt;
+      });
+      applyQuote(group, quote);
+
+      saveSeatMap(seatMap, ids);
+      scheduleExpiry(eventId, lockId, ids, lockExpiresAt);
+      announce(SEAT_EVENTS.LOCK_ACQUIRED, seatMap, ids, { lockId, userId, lockExpiresAt, quote });
+
+      return {
+        success: true,
+        message: `Seats ${ids.join(', ')} locked successfully`,
+        lockId: lockId,
+        lockExpiresAt: lockExpiresAt,
+        quote,
+        seats: ids.map(seatId => ({ ...seats[seatId] }))
+      };
+    } finally {
+      releaseMutexes(releases);
+    }
+  }
+
+  // Choose and lock the best available seats for a party (thread-safe)
+  // options: { quantity, rows: { from, to }, maxPrice, accessible, contiguous }
+  // A side-by-side block is preferred; without one the party is split across
+  // blocks unless contiguous is set. The chosen seats are locked as a group,
+  // and chosen again if another user takes one of them first.
+  static async lockBestAvailable(eventId, userId, options, promoCode = null) {
+    for (let attempt = 1; ; attempt++) {
+      await expireOverdueLocks(eventId);
+      const { seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
+      const available = Object.values(seatMap.seats).filter(seat => seat.status === SEAT_STATUS.AVAILABLE);
+      const prices = Object.fromEntries(quoteFor(seatMap, available).seats.map(line => [line.seatId, line.price]));
+      const found = findBestSeats(available, seatMap.geometry, {
+        ...options,
+        avoidGaps: preventsGaps(seatMap),
+        prices
+      });
+      if (found.error) {
+        return { success: false, error: found.error };
+      }
+
+      const result = await SeatModel.lockSeats(eventId, found.seatIds, userId, promoCode);
+      if (result.success) {
+        return {
+          ...result,
+          message: found.contiguous
+            ? result.message
+            : `${result.message}; no ${options.quantity} seats were free side by side, ` +
+              `so the party is split into ${found.groups.length} groups`,
+          contiguous: found.contiguous,
+          groups: found.groups
+        };
+      }
+      if (!result.conflicts || attempt === BEST_AVAILABLE_ATTEMPTS) {
+        return result;
+      }
+    }
+  }
+
+  // Confirm a group booking held under a single lock ID (thread-safe): pay
+  // for the lock with the promo code reserved at lock time or one given now,
+  // and book the seats once the payment ({ token }) succeeds
+  static async confirmSeats(eventId, seatIds, userId, lockId, promoCode = null, payment = {}, { ifMatch = null } = {}) {
+    const ids = normalizeSeatIds(seatIds);
+    const releases = await acquireMutexes(eventId, ids);
+    let started;
+
+    try {
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
+      const stale = checkPrecondition(ifMatch, seatMap.version, `Seat map of event ${eventId}`);
+      if (stale) {
+        return stale;
+      }
+      const missing = ids.filter(seatId => !seats[seatId]);
+
+      if (missing.length > 0) {
+        return { success: false, error: `Seats not found: ${missing.join(', ')}` };
+      }
+
+      const notHeld = ids.filter(seatId => {
+        const seat = seats[seatId];
+        return seat.status !== SEAT_STATUS.LOCKED || seat.userId !== userId || seat.lockId !== lockId;
+      });
+
+      if (notHeld.length > 0) {
+        return {
+          success: false,
+          error: `Seats ${notHeld.join(', ')} are not locked under this lock ID`
+        };
+      }
+
+      // Check if lock has expired (all seats share the same expiry)
+      const now = new Date();
+      if (ids.some(seatId => now > seats[seatId].lockExpiresAt)) {
+        releaseExpiredSeats(seatMap, ids, lockId);
+        settleExpiry(seatMap, lockId);
+        return {
+          success: false,
+          error: `Lock ${lockId} has expired`
+        };
+      }
+
+      started = startPayment(seatMap, ids.map(seatId => seats[seatId]), { userId, lockId, promoCode });
+      if (started.error) {
+        return { success: false, error: started.error };
+      }
+    } finally {
+      releaseMutexes(releases);
+    }
+
+    const result = await finishPayment(eventId, ids, { ...started, userId, lockId, payment });
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      message: `Seats ${ids.join(', ')} booked successfully`,
+      bookedAt: result.bookedAt,
+      seats: result.seats,
+      booking: result.booking,
+      payment: result.payment
     };
-    
-    Object.values(seats).forEach(seat => {
-      stats.total++;
-      stats[seat.status]++;
-    });
+  }
+
+  // Release a group lock manually (thread-safe)
+  static async unlockSeats(eventId, seatIds, userId, lockId, { ifMatch = null } = {}) {
+    const ids = normalizeSeatIds(seatIds);
+    const releases = await acquireMutexes(eventId, ids);
+
+    try {
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
+      const stale = checkPrecondition(ifMatch, seatMap.version, `Seat map of event ${eventId}`);
+      if (stale) {
+        return stale;
+      }
+      const missing = ids.filter(seatId => !seats[seatId]);
+
+      if (missing.length > 0) {
+        return { success: false, error: `Seats not found: ${missing.join(', ')}` };
+      }
+
+      const notHeld = ids.filter(seatId => {
+        const seat = seats[seatId];
+        return seat.status !== SEAT_STATUS.LOCKED || seat.userId !== userId || seat.lockId !== lockId;
+      });
+
+      if (notHeld.length > 0) {
+        return {
+          success: false,
+          error: `Cannot unlock seats ${notHeld.join(', ')}. Invalid user or lock ID`
+        };
+      }
+
+      ids.forEach(seatId => clearLock(seats[seatId]));
+
+      saveSeatMap(seatMap, ids);
+      settleExpiry(seatMap, lockId);
+      announce(SEAT_EVENTS.LOCK_RELEASED, seatMap, ids, { lockId, userId });
+      offerReleasedSeats(seatMap, ids);
+
+      return {
+        success: true,
+        message: `Seats ${ids.join(', ')} unlocked successfully`,
+        seats: ids.map(seatId => ({ ...seats[seatId] }))
+      };
+    } finally {
+      releaseMutexes(releases);
+    }
+  }
+
+  // Force-release a lock whoever holds it (admin)
+  // Releases every seat held under the seat's lock, as an expiry would
+  static async forceReleaseLock(eventId, seatId, actor = SYSTEM_ACTOR) {
+    const current = SeatModel.getSeatById(eventId, seatId);
+    const payload = current && current.lockId && lockExpiry.get(expiryKey(eventId, current.lockId));
+    const ids = payload && payload.seatIds.includes(seatId) ? payload.seatIds : [seatId];
+    const releases = await acquireMutexes(eventId, ids);
+
+    try {
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
+      const seat = seats[seatId];
+
+      if (!seat) {
+        return { success: false, error: 'Seat not found' };
+      }
+
+      if (seat.status !== SEAT_STATUS.LOCKED) {
+        return {
+          success: false,
+          error: `Seat ${seatId} is not locked. Current status: ${seat.status}`
+        };
+      }
+
+      const { lockId, userId } = seat;
+      const heldIds = ids.filter(id => seats[id] && seats[id].lockId === lockId);
+      heldIds.forEach(id => clearLock(seats[id]));
+
+      saveSeatMap(seatMap, heldIds);
+      settleExpiry(seatMap, lockId);
+      announce(SEAT_EVENTS.LOCK_RELEASED, seatMap, heldIds, { lockId, userId, actor, reason: 'released by admin' });
+      offerReleasedSeats(seatMap, heldIds);
+
+      return {
+        success: true,
+        message: `Lock ${lockId} of user ${userId} released`,
+        lockId,
+        userId,
+        seatIds: heldIds
+      };
+    } finally {
+      releaseMutexes(releases);
+    }
+  }
+
+  // Cancel a confirmed booking, putting all of its seats back on sale and
+  // refunding the amount paid less feePercent of it through the payment
+  // provider (result.payment is the refunded intent). The booking is re-checked under the seat mutexes, so concurrent
+  // cancellations of the same booking refund it only once
+  static async cancelBooking(bookingId, { cancelledBy, feePercent = 0, reason = null }) {
+    const booking = BookingModel.getBookingById(bookingId);
+
+    if (!booking) {
+      return { success: false, error: `Booking ${bookingId} not found` };
+    }
+
+    const { eventId, seatIds } = booking;
+    const releases = await acquireMutexes(eventId, seatIds);
+    let result;
+
+    try {
+      const current = BookingModel.getBookingById(bookingId);
+
+      if (current.status !== BOOKING_STATUS.CONFIRMED) {
+        return {
+          success: false,
+          error: `Booking ${bookingId} is already ${current.status}`
+        };
+      }
+
+      const { seats, seatMap, error } = getSeatMap(eventId, { allowClosed: true });
+      if (error) {
+        return error;
+      }
+      // Seats the booking still owns (a reset may have cleared them)
+      const released = seatIds.filter(seatId => seats[seatId] && seats[seatId].bookingId === bookingId);
+
+      released.forEach(seatId => {
+        const seat = seats[seatId];
+        seat.status = SEAT_STATUS.AVAILABLE;
+        seat.userId = null;
+        seat.bookedAt = null;
+        seat.bookingId = null;
+      });
+
+      saveSeatMap(seatMap, released);
+      const { fee, refundAmount } = computeRefund(current.amount, feePercent);
+      const cancelled = BookingModel.markCancelled(bookingId, {
+        cancelledBy,
+        reason,
+        feePercent,
+        fee,
+        refundAmount
+      });
+      announce(SEAT_EVENTS.BOOKING_CANCELLED, seatMap, released, {
+        bookingId,
+        userId: current.userId,
+        actor: cancelledBy,
+        bookedAt: current.bookedAt,
+        refundAmount,
+        reason
+      });
+      offerReleasedSeats(seatMap, released);
+
+      result = {
+        success: true,
+        message: `Booking ${bookingId} cancelled, refunding ${refundAmount} ${current.currency}`,
+        booking: cancelled,
+        seats: released.map(seatId => ({ ...seats[seatId] }))
+      };
+    } finally {
+      releaseMutexes(releases);
+    }
+
+    // Refund outside the mutexes so a slow provider holds up nobody else
+    const { paymentId, cancellation } = result.booking;
+    if (paymentId && cancellation.refundAmount > 0) {
+      result.payment = await PaymentModel.refund(paymentId, cancellation.refundAmount);
+    }
+    return result;
+  }
+
+  // Take seats out of sale as blocked or held (admin, all-or-nothing)
+  // Seats already blocked or held can be switched; locked or booked seats
+  // must be released first
+  static async restrictSeats(eventId, seatIds, status, note = null, actor = SYSTEM_ACTOR) {
+    if (!RESTRICTED_STATUSES.includes(status)) {
+      return { success: false, error: `Seats can only be restricted as ${RESTRICTED_STATUSES.join(' or ')}` };
+    }
+    const ids = normalizeSeatIds(seatIds);
+    const releases = await acquireMutexes(eventId, ids);
+
+    try {
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
+      const missing = ids.filter(seatId => !seats[seatId]);
+
+      if (missing.length > 0) {
+        return { success: false, error: `Seats not found: ${missing.join(', ')}` };
+      }
+
+      ids.forEach(seatId => expireIfDue(seatMap, seats[seatId]));
+      const conflicts = ids
+        .filter(seatId => ![SEAT_STATUS.AVAILABLE, ...RESTRICTED_STATUSES].includes(seats[seatId].status))
+        .map(seatId => ({ seatId, currentStatus: seats[seatId].status }));
+
+      if (conflicts.length > 0) {
+        return {
+          success: false,
+          error: `Seats ${conflicts.map(c => c.seatId).join(', ')} must be released first`,
+          conflicts
+        };
+      }
+
+      ids.forEach(seatId => {
+        seats[seatId].status = status;
+        seats[seatId].note = note;
+      });
+
+      saveSeatMap(seatMap, ids);
+      announce(
+        status === SEAT_STATUS.BLOCKED ? SEAT_EVENTS.SEATS_BLOCKED : SEAT_EVENTS.SEATS_HELD,
+        seatMap,
+        ids,
+        { note, actor }
+      );
+
+      return {
+        success: true,
+        message: `Seats ${ids.join(', ')} are now ${status}`,
+        seats: ids.map(seatId => ({ ...seats[seatId] }))
+      };
+    } finally {
+      releaseMutexes(releases);
+    }
+  }
+
+  // Put blocked or held seats back on sale (admin, all-or-nothing)
+  static async reopenSeats(eventId, seatIds, actor = SYSTEM_ACTOR) {
+    const ids = normalizeSeatIds(seatIds);
+    const releases = await acquireMutexes(eventId, ids);
+
+    try {
+      const { seats, seatMap, error } = getSeatMap(eventId);
+      if (error) {
+        return error;
+      }
+      const missing = ids.filter(seatId => !seats[seatId]);
+
+      if (missing.length > 0) {
+        return { success: false, error: `Seats not found: ${missing.join(', ')}` };
+      }
+
+      const notRestricted = ids.filter(seatId => !RESTRICTED_STATUSES.includes(seats[seatId].status));
+
+      if (notRestricted.length > 0) {
+        return {
+          success: false,
+          error: `Seats ${notRestricted.join(', ')} are not blocked or held`
+        };
+      }
+
+      ids.forEach(seatId => {
+        seats[seatId].status = SEAT_STATUS.AVAILABLE;
+        seats[seatId].note = null;
+      });
+
+      saveSeatMap(seatMap, ids);
+      announce(SEAT_EVENTS.SEATS_REOPENED, seatMap, ids, { actor });
+      offerReleasedSeats(seatMap, ids);
+
+      return {
+        success: true,
+        message: `Seats ${ids.join(', ')} are back on sale`,
+        seats: ids.map(seatId => ({ ...seats[seatId] }))
+      };
+    } finally {
+      releaseMutexes(releases);
+    }
+  }
+
+  // Get seat statistics
+  static getStatistics(eventId) {
+    const seatMap = loadSeatMap(eventId);
+    if (!seatMap) {
+      return null;
+    }
+    const stats = countSeats(seatMap);
+
+    const cancelled = BookingModel.listBookings({ eventId })
+      .filter(booking => booking.status === BOOKING_STATUS.CANCELLED);
+    stats.cancellations = cancelled.length;
+    stats.refunded = cancelled.reduce((sum, booking) => sum + booking.cancellation.refundAmount, 0);
     
     return stats;
   }
 
-  // Reset all seats (for testing)
-  static resetSeats() {
-    seats = initializeSeats();
-    seatMutex.clear();
-    return { success: true, message: 'All seats reset to available' };
+  // Choose who is offered seats as they are released (see offerReleasedSeats)
+  static setReleaseHandler(handler) {
+    releaseHandler = handler;
+  }
+
+  // Number of locks waiting to expire
+  static getPendingExpiries() {
+    return lockExpiry.size;
+  }
+
+  // Seat mutex wait-time and contention metrics
+  static getMutexMetrics() {
+    return seatMutex.getMetrics();
+  }
+
+  // Reset all seats of an event (for testing). Confirmed bookings are
+  // cancelled and refunded in full through the payment provider first, and
+  // their payment intents kept. The reset is refused while a payment is in
+  // progress, or if a refund fails (bookings already refunded stay cancelled,
+  // so the reset can simply be retried).
+  static async resetSeats(eventId, actor = SYSTEM_ACTOR) {
+    const seatMap = loadSeatMap(eventId);
+    if (!seatMap) {
+      return { success: false, error: `Event ${eventId} not found` };
+    }
+    const releases = await acquireMutexes(eventId, Object.keys(seatMap.seats));
+
+    try {
+      const current = loadSeatMap(eventId);
+      if (Object.values(current.seats).some(seat => seat.paymentIntentId)) {
+        return { success: false, error: `Payments for event ${eventId} are in progress; reset once they are over` };
+      }
+
+      // Refunds run under the mutexes so no booking or payment can start meanwhile
+      const unrefunded = [];
+      const confirmed = BookingModel.listBookings({ eventId })
+        .filter(booking => booking.status === BOOKING_STATUS.CONFIRMED);
+      for (const booking of confirmed) {
+        if (booking.paymentId && booking.amount > 0) {
+          const refunded = await PaymentModel.refund(booking.paymentId);
+          if (refunded.status !== PAYMENT_STATUS.REFUNDED) {
+            unrefunded.push(booking.reference);
+            continue;
+          }
+        }
+        BookingModel.markCancelled(booking.id, {
+          cancelledBy: actor,
+          reason: 'Event reset',
+          feePercent: 0,
+          fee: 0,
+          refundAmount: booking.amount
+        });
+      }
+      if (unrefunded.length > 0) {
+        return {
+          success: false,
+          error: `Could not refund bookings ${unrefunded.join(', ')}; the seats were not reset`
+        };
+      }
+
+      current.seats = initializeSeats(current.layout);
+      lockExpiry.cancelWhere(payload => payload.eventId === eventId);
+      BookingModel.deleteBookings(eventId);
+      saveSeatMap(current, Object.keys(current.seats));
+      announce(SEAT_EVENTS.SEATS_RESET, current, Object.keys(current.seats), { actor });
+      return {
+        success: true,
+        message: 'All seats reset to available',
+        refundedBookings: confirmed.length
+      };
+    } finally {
+      releaseMutexes(releases);
+    }
   }
 }
 
+// Prepare every store as it becomes active: seat maps are rebuilt from their
+// journal, the default event backs the legacy /seats routes, and locks that
+// expired while the process was down are released straight away
+onStoreChange(store => {
+  rebuildSeatMaps();
+  if (!store.get(SEAT_MAPS, DEFAULT_EVENT_ID)) {
+    SeatModel.createSeatMap(DEFAULT_EVENT_ID);
+  }
+  restoreLockExpiries();
+});
+
 module.exports = {
   SeatModel,
   SEAT_STATUS,
-  LOCK_DURATION
-};
\ No newline at end of file
+  RESTRICTED_STATUSES,
+  LOCK_DURATION,
+  LOCK_EXTENSION,
+  MAX_LOCK_HOLD,
+  MAX_BATCH_SIZE,
+  MAX_HELD_SEATS_PER_USER,
+  MAX_BOOKED_SEATS_PER_USER,
+  DEFAULT_EVENT_ID,
+  DEFAULT_LAYOUT,
+  MUTEX_TIMEOUT
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { getStore, onStoreChange } = require('../storage');
+
+// User roles
+const ROLES = {
+  USER: 'user',
+  ADMIN: 'admin'
+};
+
+// User IDs made admins when the server starts (comma-separated). Their
+// accounts must already exist, or are created with ADMIN_PASSWORD if it is set;
+// registering one of these IDs through the API never makes an admin.
+const ADMIN_USERS = (process.env.ADMIN_USERS || '')
+  .split(',')
+  .map(userId => userId.trim())
+  .filter(Boolean);
+
+// Password for the ADMIN_USERS accounts created at startup
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
+
+// User accounts are kept in the active store, keyed by user ID
+const USERS = 'users';
+
+// Length of the derived password hash in bytes
+const KEY_LENGTH = 64;
+
+// Hash a password with scrypt and a per-user salt
+const hashPassword = (password, salt) =>
+  crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+
+// Public view of an account
+const toPublic = (user) => ({ id: user.id, role: user.role || ROLES.USER, createdAt: user.createdAt });
+
+// Store a new account with a freshly salted password hash
+const createAccount = (userId, password, role) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const user = {
+    id: userId,
+    salt,
+    passwordHash: hashPassword(password, salt),
+    role,
+    createdAt: new Date()
+  };
+  getStore().set(USERS, userId, user);
+  return user;
+};
+
+class UserModel {
+  // Register a new user (always as a customer)
+  static register(userId, password) {
+    if (getStore().get(USERS, userId)) {
+      return { success: false, error: `User ${userId} already exists` };
+    }
+
+    const user = createAccount(userId, password, ROLES.USER);
+    return { success: true, user: toPublic(user) };
+  }
+
+  // Check a user's password
+  static verifyCredentials(userId, password) {
+    const user = getStore().get(USERS, userId);
+    // Hash anyway for unknown users so response times do not reveal them
+    const expected = Buffer.from(user ? user.passwordHash : '0'.repeat(KEY_LENGTH * 2), 'hex');
+    const actual = Buffer.from(hashPassword(password, user ? user.salt : ''), 'hex');
+
+    if (!user || !crypto.timingSafeEqual(actual, expected)) {
+      return { success: false, error: 'Invalid user ID or password' };
+    }
+
+    return { success: true, user: toPublic(user) };
+  }
+
+  // A user's stored role, or null for unknown users
+  static getRole(userId) {
+    const user = getStore().get(USERS, userId);
+    return user ? user.role || ROLES.USER : null;
+  }
+
+  // Change a user's role (takes effect on their next request)
+  static setRole(userId, role) {
+    if (!Object.values(ROLES).includes(role)) {
+      return { success: false, error: `Unknown role ${role}` };
+    }
+    const user = getStore().get(USERS, userId);
+    if (!user) {
+      return { success: false, error: `User ${userId} not found` };
+    }
+    user.role = role;
+    getStore().set(USERS, userId, user);
+    return { success: true, user: toPublic(user) };
+  }
+}
+
+// Set up the ADMIN_USERS accounts in every store as it becomes active:
+// existing accounts are promoted, missing ones created if ADMIN_PASSWORD is set
+onStoreChange(() => {
+  ADMIN_USERS.forEach(userId => {
+    if (getStore().get(USERS, userId)) {
+      UserModel.setRole(userId, ROLES.ADMIN);
+    } else if (ADMIN_PASSWORD) {
+      createAccount(userId, ADMIN_PASSWORD, ROLES.ADMIN);
+    }
+  });
+});
+
+module.exports = {
+  UserModel,
+  ROLES,
+  ADMIN_USERS
+};
@@ -0,0 +1,198 @@
+const { v4: uuidv4 } = require('uuid');
+const { SeatModel, SEAT_STATUS } = require('./seatModel');
+const { getStore } = require('../storage');
+const { seatEvents, SEAT_EVENTS } = require('../events/seatEvents');
+
+// Waitlist entry states
+const WAITLIST_STATUS = {
+  WAITING: 'waiting',
+  OFFERED: 'offered',
+  FULFILLED: 'fulfilled',
+  EXPIRED: 'expired',
+  DECLINED: 'declined',
+  LEFT: 'left'
+};
+
+// Waitlist entries are kept in the active store in the order they joined
+const WAITLISTS = 'waitlists';
+
+const listEntries = () => getStore().list(WAITLISTS);
+
+// Persist an entry after mutating it
+const saveEntry = (entry) => getStore().set(WAITLISTS, entry.id, entry);
+
+// Whether an entry waits for the given seat
+const wantsSeat = (entry, seat) =>
+  (entry.seatId && entry.seatId === seat.id) ||
+  (entry.row && entry.row === seat.row) ||
+  (entry.section && entry.section === seat.section);
+
+// Whether two entries wait for the same seat, row or section
+const sameTarget = (a, b) =>
+  a.seatId === b.seatId && a.row === b.row && a.section === b.section;
+
+// Entry copy with the caller's place in line
+const withPosition = (entry) => {
+  let position = null;
+  if (entry.status === WAITLIST_STATUS.WAITING) {
+    const ahead = listEntries().filter(other =>
+      other.eventId === entry.eventId &&
+      other.status === WAITLIST_STATUS.WAITING &&
+      sameTarget(other, entry)
+    );
+    position = ahead.findIndex(other => other.id === entry.id) + 1;
+  }
+  return { ...entry, position };
+};
+
+// The offered entry holding a lock, if any
+const findOffer = (eventId, lockId) => listEntries().find(entry =>
+  entry.eventId === eventId &&
+  entry.status === WAITLIST_STATUS.OFFERED &&
+  entry.lockId === lockId
+);
+
+// Close the offer a lock was made under
+const settleOffer = (status) => ({ eventId, lockId }) => {
+  const entry = findOffer(eventId, lockId);
+  if (entry) {
+    entry.status = status;
+    entry.updatedAt = new Date();
+    saveEntry(entry);
+  }
+};
+
+class WaitlistModel {
+  // Join the waitlist for a seat, or any seat of a row or section
+  static joinWaitlist(eventId, { userId, seatId, row, section }) {
+    const seats = SeatModel.getAllSeats(eventId);
+    if (!seats) {
+      return { success: false, error: `Event ${eventId} not found` };
+    }
+
+    const target = { seatId: seatId || null, row: row || null, section: section || null };
+    const matching = seats.filter(seat => wantsSeat(target, seat));
+    const label = seatId ? `Seat ${seatId}` : row ? `Row ${row}` : `Section ${section}`;
+
+    if (matching.length === 0) {
+      return { success: false, error: `${label} not found` };
+    }
+
+    if (matching.some(seat => seat.status === SEAT_STATUS.AVAILABLE)) {
+      return { success: false, error: `${label} has available seats; lock one instead` };
+    }
+
+    const active = listEntries().find(entry =>
+      entry.eventId === eventId &&
+      entry.userId === userId &&
+      [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED].includes(entry.status) &&
+      sameTarget(entry, target)
+    );
+    if (active) {
+      return { success: false, error: `User ${userId} is already on the waitlist for ${label}` };
+    }
+
+    const now = new Date();
+    const entry = {
+      id: uuidv4(),
+      eventId,
+      userId,
+      ...target,
+      status: WAITLIST_STATUS.WAITING,
+      seatOffered: null,
+      lockId: null,
+      lockExpiresAt: null,
+      joinedAt: now,
+      updatedAt: now
+    };
+    saveEntry(entry);
+
+    return { success: true, entry: withPosition(entry) };
+  }
+
+  // Get an entry with its current position
+  static getEntry(eventId, waitlistId) {
+    const entry = getStore().get(WAITLISTS, waitlistId);
+    return entry && entry.eventId === eventId ? withPosition(entry) : null;
+  }
+
+  // Leave the waitlist before being offered a seat
+  static leaveWaitlist(eventId, waitlistId, userId) {
+    const entry = getStore().get(WAITLISTS, waitlistId);
+    if (!entry || entry.eventId !== eventId) {
+      return { success: false, error: `Waitlist entry ${waitlistId} not found` };
+    }
+    if (entry.userId !== userId) {
+      return { success: false, error: `Waitlist entry ${waitlistId} belongs to another user` };
+    }
+    if (entry.status !== WAITLIST_STATUS.WAITING) {
+      return { success: false, error: `Waitlist entry ${waitlistId} is ${entry.status}` };
+    }
+
+    entry.status = WAITLIST_STATUS.LEFT;
+    entry.updatedAt = new Date();
+    saveEntry(entry);
+
+    return { success: true, entry: withPosition(entry) };
+  }
+
+  // Claim a released seat for the longest-waiting matching entry whose user
+  // mayLock it; entries passed over keep their place for the next seat
+  // Called by SeatModel while it holds the seat's mutex
+  static claimReleasedSeat(eventId, seat, mayLock = () => true) {
+    const entry = listEntries().find(candidate =>
+      candidate.eventId === eventId &&
+      candidate.status === WAITLIST_STATUS.WAITING &&
+      wantsSeat(candidate, seat) &&
+      mayLock(candidate.userId)
+    );
+    if (!entry) {
+      return null;
+    }
+
+    entry.status = WAITLIST_STATUS.OFFERED;
+    entry.seatOffered = seat.id;
+    entry.updatedAt = new Date();
+    saveEntry(entry);
+
+    return { userId: entry.userId, waitlistId: entry.id };
+  }
+}
+
+SeatModel.setReleaseHandler(WaitlistModel.claimReleasedSeat);
+
+// Record the lock an offer was made under
+seatEvents.on(SEAT_EVENTS.LOCK_ACQUIRED, ({ waitlistId, lockId, lockExpiresAt }) => {
+  const entry = waitlistId && getStore().get(WAITLISTS, waitlistId);
+  if (entry) {
+    entry.lockId = lockId;
+    entry.lockExpiresAt = lockExpiresAt;
+    saveEntry(entry);
+  }
+});
+
+// Follow offered locks to their outcome
+seatEvents.on(SEAT_EVENTS.BOOKING_CONFIRMED, settleOffer(WAITLIST_STATUS.FULFILLED));
+seatEvents.on(SEAT_EVENTS.LOCK_EXPIRED, settleOffer(WAITLIST_STATUS.EXPIRED));
+seatEvents.on(SEAT_EVENTS.LOCK_RELEASED, settleOffer(WAITLIST_STATUS.DECLINED));
+
+// Extensions move an offer's expiry too
+seatEvents.on(SEAT_EVENTS.LOCK_EXTENDED, ({ eventId, lockId, lockExpiresAt }) => {
+  const entry = findOffer(eventId, lockId);
+  if (entry) {
+    entry.lockExpiresAt = lockExpiresAt;
+    saveEntry(entry);
+  }
+});
+
+// A reset starts the event over, waitlist included
+seatEvents.on(SEAT_EVENTS.SEATS_RESET, ({ eventId }) => {
+  listEntries()
+    .filter(entry => entry.eventId === eventId)
+    .forEach(entry => getStore().delete(WAITLISTS, entry.id));
+});
+
+module.exports = {
+  WaitlistModel,
+  WAITLIST_STATUS
+};
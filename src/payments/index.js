@@ -0,0 +1,41 @@
+const { MockGateway, MOCK_TOKENS } = require('./mockGateway');
+
+// Payment providers take money for bookings. A provider is an object with:
+//   name                                 - recorded on payment intents
+//   charge({ intentId, amount, currency, token })
+//     -> Promise<{ status: 'succeeded', reference } | { status: 'declined', reason }>
+//   refund({ reference, amount, currency })
+//     -> Promise<{ status: 'refunded' } | { status: 'failed', reason }>
+// Amounts are in minor currency units. A charge that never settles is
+// treated as timed out by PaymentModel.
+
+// Create a payment provider by name (only 'mock' is bundled)
+const createPaymentProvider = (type = 'mock', options = {}) => {
+  switch (type) {
+    case 'mock':
+      return new MockGateway({ latency: options.latency });
+    default:
+      throw new Error(`Unknown payment provider: ${type}`);
+  }
+};
+
+let provider = createPaymentProvider(process.env.PAYMENT_PROVIDER || 'mock', {
+  latency: Number(process.env.MOCK_PAYMENT_LATENCY_MS) || 0
+});
+
+// Get the active payment provider
+const getPaymentProvider = () => provider;
+
+// Replace the active payment provider (used at startup and by tests)
+const setPaymentProvider = (nextProvider) => {
+  provider = nextProvider;
+  return provider;
+};
+
+module.exports = {
+  createPaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+  MockGateway,
+  MOCK_TOKENS
+};
@@ -0,0 +1,61 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Test tokens the mock gateway understands, one per simulated outcome
+const MOCK_TOKENS = {
+  SUCCESS: 'tok_success',
+  DECLINE: 'tok_decline',
+  TIMEOUT: 'tok_timeout'
+};
+
+// Local payment gateway for development and tests
+// Charges succeed, are declined or never answer depending on the token, after
+// an optional latency, so the payment step can be exercised without a real
+// provider. Charges without a token are declined.
+class MockGateway {
+  constructor({ latency = 0 } = {}) {
+    this.name = 'mock';
+    this.latency = latency;
+    this.charges = new Map();
+  }
+
+  // Wait for the simulated network round trip
+  respond(result) {
+    if (this.latency === 0) {
+      return Promise.resolve(result);
+    }
+    return new Promise(resolve => setTimeout(() => resolve(result), this.latency));
+  }
+
+  // Charge an amount; resolves with { status: 'succeeded', reference } or
+  // { status: 'declined', reason }
+  charge({ amount, currency, token }) {
+    if (!token) {
+      return this.respond({ status: 'declined', reason: 'A payment token is required' });
+    }
+    if (token === MOCK_TOKENS.TIMEOUT) {
+      return new Promise(() => {});
+    }
+    if (token !== MOCK_TOKENS.SUCCESS) {
+      return this.respond({ status: 'declined', reason: 'Card declined' });
+    }
+    const reference = `mock_ch_${uuidv4()}`;
+    this.charges.set(reference, { amount, currency, refunded: 0 });
+    return this.respond({ status: 'succeeded', reference });
+  }
+
+  // Refund all or part of a charge; resolves with { status: 'refunded' } or
+  // { status: 'failed', reason }
+  refund({ reference, amount }) {
+    const charge = this.charges.get(reference);
+    if (!charge || charge.refunded + amount > charge.amount) {
+      return this.respond({ status: 'failed', reason: `No refundable charge ${reference}` });
+    }
+    charge.refunded += amount;
+    return this.respond({ status: 'refunded' });
+  }
+}
+
+module.exports = {
+  MockGateway,
+  MOCK_TOKENS
+};
@@ -0,0 +1,38 @@
+const MemoryBucketStore = require('./memoryBucketStore');
+
+// Rate limit stores keep the token buckets behind the rate limiter. A store
+// is an object with:
+//   type                                  - name of the backend
+//   take(key, { limit, windowMs }, now)
+//     -> { allowed, remaining, resetMs, retryAfterMs } (or a Promise of it)
+//   clear()                               - forget every bucket
+// Only the in-process store is bundled; a shared store (e.g. Redis) lets
+// several server processes enforce one budget.
+
+// Create a rate limit store by name (only 'memory' is bundled)
+const createRateLimitStore = (type = 'memory') => {
+  switch (type) {
+    case 'memory':
+      return new MemoryBucketStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${type}`);
+  }
+};
+
+let store = createRateLimitStore(process.env.RATE_LIMIT_STORE || 'memory');
+
+// Get the active rate limit store
+const getRateLimitStore = () => store;
+
+// Replace the active rate limit store (used at startup and by tests)
+const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+  return store;
+};
+
+module.exports = {
+  createRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  MemoryBucketStore
+};
@@ -0,0 +1,64 @@
+// Buckets kept before full ones are swept away (a full bucket is the same as
+// no bucket, so nothing is lost)
+const SWEEP_THRESHOLD = 10000;
+
+// In-process token buckets
+// Each key has a bucket holding up to `limit` tokens that refills at `limit`
+// tokens per `windowMs`. A request takes one token, and is refused when the
+// bucket is empty.
+class MemoryBucketStore {
+  constructor() {
+    this.type = 'memory';
+    // key -> { tokens, updatedAt, limit, windowMs }
+    this.buckets = new Map();
+  }
+
+  // Tokens in a bucket after refilling it up to now
+  refill(bucket, now) {
+    const refillRate = bucket.limit / bucket.windowMs;
+    return Math.min(bucket.limit, bucket.tokens + (now - bucket.updatedAt) * refillRate);
+  }
+
+  // Take a token from a key's bucket
+  // Returns { allowed, remaining, resetMs, retryAfterMs } where resetMs is the
+  // time until the bucket is full again and retryAfterMs the time until a
+  // refused request could succeed
+  take(key, { limit, windowMs }, now = Date.now()) {
+    if (this.buckets.size >= SWEEP_THRESHOLD) {
+      this.sweep(now);
+    }
+    const bucket = this.buckets.get(key) || { tokens: limit, updatedAt: now, limit, windowMs };
+    const msPerToken = windowMs / limit;
+
+    bucket.tokens = this.refill(bucket, now);
+    bucket.updatedAt = now;
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetMs: Math.ceil((limit - bucket.tokens) * msPerToken),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) * msPerToken)
+    };
+  }
+
+  // Drop buckets that have refilled completely
+  sweep(now = Date.now()) {
+    this.buckets.forEach((bucket, key) => {
+      if (this.refill(bucket, now) >= bucket.limit) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+
+  // Forget every bucket
+  clear() {
+    this.buckets.clear();
+  }
+}
+
+module.exports = MemoryBucketStore;
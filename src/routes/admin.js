@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+// mergeParams exposes :eventId when mounted under /admin/events/:eventId/seats
+const seatRouter = express.Router({ mergeParams: true });
+const queueRouter = express.Router({ mergeParams: true });
+const AdminController = require('../controllers/adminController');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { ROLES } = require('../models/userModel');
+
+// Every admin endpoint needs an admin token
+router.use(requireAuth, requireRole(ROLES.ADMIN));
+
+// POST /admin/seats/:id/release-lock - Force-release a lock
+seatRouter.post('/:id/release-lock', AdminController.releaseLock);
+
+// POST /admin/seats/:id/cancel-booking - Cancel a confirmed booking
+seatRouter.post('/:id/cancel-booking', AdminController.cancelBooking);
+
+// POST /admin/seats/block - Take seats out of sale
+seatRouter.post('/block', AdminController.blockSeats);
+
+// POST /admin/seats/hold - Keep seats back as house seats
+seatRouter.post('/hold', AdminController.holdSeats);
+
+// POST /admin/seats/reopen - Put blocked or held seats back on sale
+seatRouter.post('/reopen', AdminController.reopenSeats);
+
+// /admin/seats is an alias for the default event
+router.use('/seats', seatRouter);
+router.use('/events/:eventId/seats', seatRouter);
+
+// GET /admin/queue - A waiting room with its settings and queue length
+queueRouter.get('/', AdminController.getQueue);
+
+// PUT /admin/queue - Open a waiting room or change its batch size and interval
+queueRouter.put('/', AdminController.configureQueue);
+
+// POST /admin/queue/pause - Stop admitting customers
+queueRouter.post('/pause', AdminController.pauseQueue);
+
+// POST /admin/queue/resume - Start admitting customers again
+queueRouter.post('/resume', AdminController.resumeQueue);
+
+// POST /admin/queue/close - Close a waiting room
+queueRouter.post('/close', AdminController.closeQueue);
+
+// /admin/queue is an alias for the default event
+router.use('/queue', queueRouter);
+router.use('/events/:eventId/queue', queueRouter);
+
+// POST /admin/promo-codes - Create a promo code
+router.post('/promo-codes', AdminController.createPromoCode);
+
+// GET /admin/promo-codes - List promo codes with their usage
+router.get('/promo-codes', AdminController.listPromoCodes);
+
+// GET /admin/promo-codes/:code - A promo code with its usage
+router.get('/promo-codes/:code', AdminController.getPromoCode);
+
+// POST /admin/promo-codes/:code/deactivate - Stop a promo code being applied
+router.post('/promo-codes/:code/deactivate', AdminController.deactivatePromoCode);
+
+// GET /admin/audit - Admin actions, most recent first
+router.get('/audit', AdminController.getAudit);
+
+// PUT /admin/users/:userId/role - Grant or revoke a role
+router.put('/users/:userId/role', AdminController.setUserRole);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const HistoryController = require('../controllers/historyController');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { ROLES } = require('../models/userModel');
+
+// GET /audit - Seat state transitions, optionally ?from=&to= (admin)
+router.get('/', requireAuth, requireRole(ROLES.ADMIN), HistoryController.getAudit);
+
+module.exports = router;
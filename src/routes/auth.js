@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const AuthController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+
+// POST /auth/register - Create an account and receive an access token
+router.post('/register', AuthController.register);
+
+// POST /auth/login - Exchange credentials for an access token
+router.post('/login', AuthController.login);
+
+// GET /auth/me - Identity of the token's holder
+router.get('/me', requireAuth, AuthController.me);
+
+module.exports = router;
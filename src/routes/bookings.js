@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const BookingController = require('../controllers/bookingController');
+const { requireAuth } = require('../middleware/auth');
+
+// GET /bookings/:bookingId - Booking details by ID or reference (owner or admin)
+router.get('/:bookingId', requireAuth, BookingController.getBooking);
+
+// POST /bookings/:bookingId/cancel - Cancel a booking and refund it under the cancellation policy
+router.post('/:bookingId/cancel', requireAuth, BookingController.cancelBooking);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const EventController = require('../controllers/eventController');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { ROLES } = require('../models/userModel');
+
+// GET /events - List all events
+router.get('/', EventController.getAllEvents);
+
+// POST /events - Create an event with its own seat map (admin)
+router.post('/', requireAuth, requireRole(ROLES.ADMIN), EventController.createEvent);
+
+// GET /events/layouts - List bundled venue layouts
+router.get('/layouts', EventController.getLayouts);
+
+// GET /events/:eventId - Get specific event
+router.get('/:eventId', EventController.getEvent);
+
+// PATCH /events/:eventId - Update event details (admin)
+router.patch('/:eventId', requireAuth, requireRole(ROLES.ADMIN), EventController.updateEvent);
+
+// POST /events/:eventId/cancel - Cancel an event (admin)
+router.post('/:eventId/cancel', requireAuth, requireRole(ROLES.ADMIN), EventController.cancelEvent);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+// mergeParams exposes :eventId when mounted under /events/:eventId/queue
+const router = express.Router({ mergeParams: true });
+const QueueController = require('../controllers/queueController');
+const { requireAuth } = require('../middleware/auth');
+
+// POST /queue/join - Join the waiting room for a queue token
+router.post('/join', requireAuth, QueueController.joinQueue);
+
+// GET /queue/status - Position and estimated admission time of a queue token
+router.get('/status', requireAuth, QueueController.getStatus);
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
-const router = express.Router();
+// mergeParams exposes :eventId when mounted under /events/:eventId/seats
+const router = express.Router({ mergeParams: true });
 const SeatController = require('../controllers/seatController');
+const WaitlistController = require('../controllers/waitlistController');
+const HistoryController = require('../controllers/historyController');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { requireAdmission } = require('../middleware/queue');
+const { ROLES } = require('../models/userModel');
 
 // GET /seats - List all seats with status
 router.get('/', SeatController.getAllSeats);
@@ -8,19 +15,52 @@ router.get('/', SeatController.getAllSeats);
 // GET /seats/statistics - Get seat statistics
 router.get('/statistics', SeatController.getStatistics);
 
+// GET /seats/stream - Live seat status changes (Server-Sent Events)
+router.get('/stream', SeatController.streamSeats);
+
+// POST /seats/lock - Lock several seats all-or-nothing
+router.post('/lock', requireAuth, idempotent, requireAdmission, SeatController.lockSeats);
+
+// POST /seats/best-available - Choose and lock the best seats for a party
+router.post('/best-available', requireAuth, idempotent, requireAdmission, SeatController.lockBestAvailable);
+
+// POST /seats/confirm - Confirm a group booking
+router.post('/confirm', requireAuth, idempotent, SeatController.confirmSeats);
+
+// DELETE /seats/unlock - Release a group lock manually
+router.delete('/unlock', requireAuth, idempotent, SeatController.unlockSeats);
+
+// GET /seats/replay - The seat map as of ?at= or ?version=, rebuilt from its journal (admin)
+router.get('/replay', requireAuth, requireRole(ROLES.ADMIN), HistoryController.getSeatMapAt);
+
+// POST /seats/waitlist - Join the waitlist for a seat, row or section
+router.post('/waitlist', requireAuth, WaitlistController.joinWaitlist);
+
+// GET /seats/waitlist/:waitlistId - View a waitlist entry and its position (owner or admin)
+router.get('/waitlist/:waitlistId', requireAuth, WaitlistController.getEntry);
+
+// DELETE /seats/waitlist/:waitlistId - Leave the waitlist
+router.delete('/waitlist/:waitlistId', requireAuth, WaitlistController.leaveWaitlist);
+
 // GET /seats/:id - Get specific seat
 router.get('/:id', SeatController.getSeat);
 
+// GET /seats/:id/history - Every state transition of a seat (admin)
+router.get('/:id/history', requireAuth, requireRole(ROLES.ADMIN), HistoryController.getSeatHistory);
+
 // POST /seats/:id/lock - Lock a seat temporarily
-router.post('/:id/lock', SeatController.lockSeat);
+router.post('/:id/lock', requireAuth, idempotent, requireAdmission, SeatController.lockSeat);
+
+// POST /seats/:id/lock/extend - Extend a lock while checking out
+router.post('/:id/lock/extend', requireAuth, SeatController.extendLock);
 
 // POST /seats/:id/confirm - Confirm booking (requires lock)
-router.post('/:id/confirm', SeatController.confirmBooking);
+router.post('/:id/confirm', requireAuth, idempotent, SeatController.confirmBooking);
 
 // DELETE /seats/:id/unlock - Release lock manually
-router.delete('/:id/unlock', SeatController.unlockSeat);
+router.delete('/:id/unlock', requireAuth, idempotent, SeatController.unlockSeat);
 
-// POST /seats/reset - Reset all seats (for testing)
-router.post('/reset', SeatController.resetSeats);
+// POST /seats/reset - Reset all seats (admin)
+router.post('/reset', requireAuth, requireRole(ROLES.ADMIN), SeatController.resetSeats);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const BookingController = require('../controllers/bookingController');
+const { requireAuth } = require('../middleware/auth');
+
+// GET /users/:userId/bookings - A user's bookings (the user themselves or an admin)
+router.get('/:userId/bookings', requireAuth, BookingController.getUserBookings);
+
+module.exports = router;
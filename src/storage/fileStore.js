@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+// Changes appended to the log before it is folded into the state file
+const COMPACT_AFTER = Number(process.env.STORAGE_COMPACT_AFTER) || 1000;
+
+// Dates are written tagged as { "$date": "<ISO-8601>" }, so strings that
+// merely look like timestamps are never mistaken for dates
+// (a replacer sees the Date itself as this[key], before toJSON ran)
+function tagDates(key, value) {
+  return this[key] instanceof Date ? { $date: value } : value;
+}
+
+// Turn tagged timestamps back into Date objects
+const reviveDates = (key, value) =>
+  value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1
+    ? new Date(value.$date)
+    : value;
+
+// File-backed storage backend
+// Keeps the working set in memory and appends every change to a log next to
+// the state file (one JSON line per change), so a write costs the size of the
+// record rather than of the whole state. The log is folded into the state
+// file on load and every COMPACT_AFTER changes. The state file is written to
+// a temporary file that is renamed over the old one, so a crash mid-write
+// never leaves a truncated state file behind; a log line cut short by a crash
+// is skipped on load.
+class FileStore extends MemoryStore {
+  constructor({ filePath, compactAfter = COMPACT_AFTER }) {
+    super();
+    this.type = 'file';
+    this.filePath = filePath;
+    this.logPath = `${filePath}.log`;
+    this.compactAfter = compactAfter;
+    this.logged = 0;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.load();
+  }
+
+  // Read the state file and replay the log written since, if there are any
+  load() {
+    this.collections.clear();
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'), reviveDates);
+      Object.entries(data).forEach(([name, records]) => {
+        this.collections.set(name, new Map(Object.entries(records)));
+      });
+    }
+    if (!fs.existsSync(this.logPath)) {
+      return;
+    }
+    fs.readFileSync(this.logPath, 'utf8').split('\n').forEach(line => {
+      let change;
+      try {
+        change = JSON.parse(line, reviveDates);
+      } catch (error) {
+        return; // blank, or cut short by a crash
+      }
+      if (change.op === 'set') {
+        super.set(change.collection, change.id, change.value);
+      } else if (change.op === 'delete') {
+        super.delete(change.collection, change.id);
+      }
+    });
+    this.compact();
+  }
+
+  // Append one change to the log, folding the log in once it is long enough
+  append(change) {
+    fs.appendFileSync(this.logPath, `${JSON.stringify(change, tagDates)}\n`);
+    this.logged += 1;
+    if (this.logged >= this.compactAfter) {
+      this.compact();
+    }
+  }
+
+  // Write the full state to disk atomically and start a new log
+  compact() {
+    const data = {};
+    this.collections.forEach((records, name) => {
+      data[name] = Object.fromEntries(records);
+    });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, tagDates));
+    fs.renameSync(tmpPath, this.filePath);
+    fs.rmSync(this.logPath, { force: true });
+    this.logged = 0;
+  }
+
+  set(collection, id, value) {
+    super.set(collection, id, value);
+    this.append({ op: 'set', collection, id, value });
+    return value;
+  }
+
+  delete(collection, id) {
+    const deleted = super.delete(collection, id);
+    if (deleted) {
+      this.append({ op: 'delete', collection, id });
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.compact();
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,51 @@
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+// Default location of the file backend's state
+const DEFAULT_FILE_PATH = path.join(__dirname, '../../data/booking-state.json');
+
+// Create a storage backend by name ('memory' or 'file')
+const createStore = (type = 'memory', options = {}) => {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore({ filePath: options.filePath || DEFAULT_FILE_PATH });
+    default:
+      throw new Error(`Unknown storage backend: ${type}`);
+  }
+};
+
+let store = createStore(process.env.STORAGE_BACKEND || 'memory', {
+  filePath: process.env.STORAGE_FILE
+});
+
+// Models register here to prepare freshly loaded state (default records,
+// expired locks) whenever the active store is replaced
+const changeListeners = [];
+
+// Get the active store
+const getStore = () => store;
+
+// Replace the active store (used at startup and by tests)
+const setStore = (nextStore) => {
+  store = nextStore;
+  changeListeners.forEach(listener => listener(store));
+  return store;
+};
+
+// Run a listener for the active store and for every future one
+const onStoreChange = (listener) => {
+  changeListeners.push(listener);
+  listener(store);
+};
+
+module.exports = {
+  createStore,
+  getStore,
+  setStore,
+  onStoreChange,
+  MemoryStore,
+  FileStore
+};
@@ -0,0 +1,46 @@
+// In-memory storage backend
+// Records are grouped in named collections (e.g. 'events', 'seatMaps') and
+// returned by reference, so callers mutate them in place and then call set()
+// to persist the change.
+class MemoryStore {
+  constructor() {
+    this.type = 'memory';
+    this.collections = new Map();
+  }
+
+  // Get (or create) the Map backing a collection
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  // Get a record by ID
+  get(collection, id) {
+    return this.collection(collection).get(id) || null;
+  }
+
+  // Insert or replace a record
+  set(collection, id, value) {
+    this.collection(collection).set(id, value);
+    return value;
+  }
+
+  // Remove a record
+  delete(collection, id) {
+    return this.collection(collection).delete(id);
+  }
+
+  // List every record of a collection
+  list(collection) {
+    return [...this.collection(collection).values()];
+  }
+
+  // Remove every record of every collection
+  clear() {
+    this.collections.clear();
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Secret used to sign access tokens. Without AUTH_SECRET a random one is
+// generated, so tokens stop working when the process restarts.
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+
+// How long an access token stays valid (default 12 hours)
+const TOKEN_TTL = Number(process.env.AUTH_TOKEN_TTL_MS) || 12 * 60 * 60 * 1000;
+
+// Error raised for a missing, malformed, forged or expired token
+// (errorHandler maps code 'UNAUTHORIZED' to a 401 response)
+class AuthenticationError extends Error {
+  constructor(message = 'Authentication required') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.code = 'UNAUTHORIZED';
+  }
+}
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+
+// Issue a signed token (JWT, HS256) identifying a user and their role
+const signToken = (userId, { role = 'user', ttl = TOKEN_TTL, now = Date.now() } = {}) => {
+  const payload = {
+    sub: userId,
+    role,
+    iat: Math.floor(now / 1000),
+    exp: Math.floor((now + ttl) / 1000)
+  };
+  const data = `${encode(HEADER)}.${encode(payload)}`;
+  return `${data}.${sign(data)}`;
+};
+
+// Check a token's signature and expiry; returns its payload or throws
+// AuthenticationError
+const verifyToken = (token) => {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Malformed access token');
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new AuthenticationError('Invalid access token');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    throw new AuthenticationError('Malformed access token');
+  }
+
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw new AuthenticationError('Access token has no subject');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+    throw new AuthenticationError('Access token has expired');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  AuthenticationError,
+  TOKEN_TTL
+};
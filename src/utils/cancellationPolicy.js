@@ -0,0 +1,63 @@
+// Cancellation policy used when an event does not set its own:
+// customers may cancel until cutoffMinutes before the show, paying feePercent
+// of the booking amount
+const DEFAULT_CANCELLATION_POLICY = {
+  cutoffMinutes: process.env.CANCELLATION_CUTOFF_MINUTES !== undefined
+    ? Number(process.env.CANCELLATION_CUTOFF_MINUTES)
+    : 24 * 60,
+  feePercent: process.env.CANCELLATION_FEE_PERCENT !== undefined
+    ? Number(process.env.CANCELLATION_FEE_PERCENT)
+    : 10
+};
+
+// Validate a cancellation policy, returning an error message or null
+const validatePolicy = (policy) => {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    return 'cancellationPolicy must be an object';
+  }
+  const { cutoffMinutes, feePercent } = policy;
+  if (cutoffMinutes !== undefined && (!Number.isFinite(cutoffMinutes) || cutoffMinutes < 0)) {
+    return 'cancellationPolicy.cutoffMinutes must be a non-negative number';
+  }
+  if (feePercent !== undefined && (!Number.isFinite(feePercent) || feePercent < 0 || feePercent > 100)) {
+    return 'cancellationPolicy.feePercent must be between 0 and 100';
+  }
+  return null;
+};
+
+// An event's policy with defaults filled in
+const resolvePolicy = (policy) => ({ ...DEFAULT_CANCELLATION_POLICY, ...(policy || {}) });
+
+// Decide whether a booking for a show starting at startsAt may be cancelled
+// now; events without a start time can always be cancelled. Bookings for an
+// event that was itself cancelled are refunded in full at any time.
+const evaluateCancellation = (policy, startsAt, now = new Date(), { eventCancelled = false } = {}) => {
+  if (eventCancelled) {
+    return { allowed: true, feePercent: 0 };
+  }
+  const { cutoffMinutes, feePercent } = resolvePolicy(policy);
+  if (startsAt) {
+    const closesAt = new Date(new Date(startsAt).getTime() - cutoffMinutes * 60 * 1000);
+    if (now >= closesAt) {
+      return {
+        allowed: false,
+        error: `Cancellations closed at ${closesAt.toISOString()} (${cutoffMinutes} minutes before the show)`
+      };
+    }
+  }
+  return { allowed: true, feePercent };
+};
+
+// Split a booking amount (minor currency units) into fee and refund
+const computeRefund = (amount, feePercent) => {
+  const fee = Math.round((amount * feePercent) / 100);
+  return { fee, refundAmount: amount - fee };
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICY,
+  validatePolicy,
+  resolvePolicy,
+  evaluateCancellation,
+  computeRefund
+};
@@ -0,0 +1,15 @@
+// Strong ETag for a version number
+const formatETag = (version) => `"${version}"`;
+
+// Whether an If-Match or If-None-Match header matches an ETag
+// The header may list several tags or be "*" (any version); weak tags
+// (W/"...") compare equal to their strong form
+const matchesETag = (header, etag) => header
+  .split(',')
+  .map(tag => tag.trim().replace(/^W\//, ''))
+  .some(tag => tag === '*' || tag === etag);
+
+module.exports = {
+  formatETag,
+  matchesETag
+};
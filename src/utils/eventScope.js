@@ -0,0 +1,9 @@
+const { DEFAULT_EVENT_ID } = require('../models/seatModel');
+
+// Event addressed by the request: the :eventId route parameter, or the
+// default event for the legacy unscoped routes (/seats, /queue, /admin/seats)
+const eventIdOf = (req) => req.params.eventId || DEFAULT_EVENT_ID;
+
+module.exports = {
+  eventIdOf
+};
@@ -0,0 +1,169 @@
+// Binary min-heap of { key, expiresAt } entries ordered by expiry time
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0] || null;
+  }
+
+  push(item) {
+    this.items.push(item);
+    let index = this.items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.items[parent].expiresAt <= item.expiresAt) {
+        break;
+      }
+      this.items[index] = this.items[parent];
+      index = parent;
+    }
+    this.items[index] = item;
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    const length = this.items.length;
+    if (length === 0) {
+      return top;
+    }
+
+    // Sift the last item down from the root
+    let index = 0;
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = null;
+      let smallestValue = last.expiresAt;
+      if (left < length && this.items[left].expiresAt < smallestValue) {
+        smallest = left;
+        smallestValue = this.items[left].expiresAt;
+      }
+      if (right < length && this.items[right].expiresAt < smallestValue) {
+        smallest = right;
+      }
+      if (smallest === null) {
+        break;
+      }
+      this.items[index] = this.items[smallest];
+      index = smallest;
+    }
+    this.items[index] = last;
+    return top;
+  }
+
+  clear() {
+    this.items = [];
+  }
+}
+
+// Runs a callback for each scheduled key exactly when it expires
+// Keeps one timer armed for the earliest expiry instead of sweeping every
+// entry periodically. Rescheduling or cancelling a key leaves its old heap
+// entry behind; stale entries are recognised and skipped when they surface.
+class ExpiryScheduler {
+  constructor(onExpire) {
+    this.onExpire = onExpire;
+    this.heap = new MinHeap();
+    // key -> { key, expiresAt, payload } (the live entry for each key)
+    this.entries = new Map();
+    this.timer = null;
+    this.timerAt = null;
+  }
+
+  // Schedule (or reschedule) a key to expire at a given time
+  schedule(key, expiresAt, payload) {
+    const entry = { key, expiresAt: new Date(expiresAt).getTime(), payload };
+    this.entries.set(key, entry);
+    this.heap.push(entry);
+    this.arm();
+  }
+
+  // Stop a key from expiring
+  cancel(key) {
+    return this.entries.delete(key);
+  }
+
+  // Payload of a scheduled key
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.payload : null;
+  }
+
+  // Cancel every key whose payload matches a predicate
+  cancelWhere(predicate) {
+    [...this.entries.values()]
+      .filter(entry => predicate(entry.payload))
+      .forEach(entry => this.entries.delete(entry.key));
+  }
+
+  // Cancel everything
+  clear() {
+    this.entries.clear();
+    this.heap.clear();
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.timerAt = null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Drop stale entries from the top of the heap
+  prune() {
+    let top = this.heap.peek();
+    while (top && this.entries.get(top.key) !== top) {
+      this.heap.pop();
+      top = this.heap.peek();
+    }
+    return top;
+  }
+
+  // Make sure the timer fires for the earliest live entry
+  arm() {
+    const next = this.prune();
+    if (!next) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.timerAt = null;
+      return;
+    }
+    if (this.timer && this.timerAt <= next.expiresAt) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timerAt = next.expiresAt;
+    this.timer = setTimeout(() => this.fire(), Math.max(0, next.expiresAt - Date.now()));
+    // Pending expiries alone should not keep the process alive
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  // Expire every entry that is due, then re-arm for the next one
+  fire() {
+    this.timer = null;
+    this.timerAt = null;
+    const now = Date.now();
+    let next = this.prune();
+    while (next && next.expiresAt <= now) {
+      this.heap.pop();
+      this.entries.delete(next.key);
+      this.onExpire(next.payload, next.key);
+      next = this.prune();
+    }
+    this.arm();
+  }
+}
+
+module.exports = {
+  ExpiryScheduler,
+  MinHeap
+};
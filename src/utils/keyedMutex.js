@@ -0,0 +1,123 @@
+// Error raised when a mutex cannot be acquired in time
+// (errorHandler maps code 'TIMEOUT' to a 408 response)
+class MutexTimeoutError extends Error {
+  constructor(key, timeout) {
+    super(`Timed out after ${timeout}ms waiting for lock on ${key}`);
+    this.name = 'MutexTimeoutError';
+    this.code = 'TIMEOUT';
+    this.key = key;
+  }
+}
+
+// Queue-based async mutex keyed by resource (e.g. one key per seat)
+// Waiters are served strictly first-in first-out: on release, ownership is
+// handed directly to the oldest waiter so later arrivals cannot barge in.
+class KeyedMutex {
+  constructor({ timeout = 5000 } = {}) {
+    this.timeout = timeout;
+    // key -> array of pending waiters; a key is present while it is held
+    this.queues = new Map();
+    this.resetMetrics();
+  }
+
+  // Acquire the lock for a key; resolves with a release function
+  acquire(key, { timeout = this.timeout } = {}) {
+    const requestedAt = Date.now();
+
+    if (!this.queues.has(key)) {
+      this.queues.set(key, []);
+      this.recordAcquisition(0);
+      return Promise.resolve(this.createRelease(key));
+    }
+
+    return new Promise((resolve, reject) => {
+      const queue = this.queues.get(key);
+      const waiter = { resolve, requestedAt, timer: null };
+
+      waiter.timer = setTimeout(() => {
+        const index = queue.indexOf(waiter);
+        if (index !== -1) {
+          queue.splice(index, 1);
+        }
+        this.metrics.timeouts++;
+        reject(new MutexTimeoutError(key, timeout));
+      }, timeout);
+
+      queue.push(waiter);
+      this.metrics.contended++;
+      this.metrics.maxQueueLength = Math.max(this.metrics.maxQueueLength, queue.length);
+    });
+  }
+
+  // Build a release function that can only release once
+  createRelease(key) {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.release(key);
+    };
+  }
+
+  // Hand the lock to the next waiter, or free the key
+  release(key) {
+    const queue = this.queues.get(key);
+    if (!queue) {
+      return;
+    }
+
+    const next = queue.shift();
+    if (!next) {
+      this.queues.delete(key);
+      return;
+    }
+
+    clearTimeout(next.timer);
+    this.recordAcquisition(Date.now() - next.requestedAt);
+    next.resolve(this.createRelease(key));
+  }
+
+  // Whether a key is currently held
+  isLocked(key) {
+    return this.queues.has(key);
+  }
+
+  recordAcquisition(waitMs) {
+    this.metrics.acquisitions++;
+    this.metrics.totalWaitMs += waitMs;
+    this.metrics.maxWaitMs = Math.max(this.metrics.maxWaitMs, waitMs);
+  }
+
+  // Wait-time and contention metrics
+  getMetrics() {
+    let waiting = 0;
+    this.queues.forEach(queue => { waiting += queue.length; });
+
+    return {
+      ...this.metrics,
+      averageWaitMs: this.metrics.acquisitions > 0
+        ? Number((this.metrics.totalWaitMs / this.metrics.acquisitions).toFixed(2))
+        : 0,
+      held: this.queues.size,
+      waiting
+    };
+  }
+
+  resetMetrics() {
+    this.metrics = {
+      acquisitions: 0,
+      contended: 0,
+      timeouts: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      maxQueueLength: 0
+    };
+  }
+}
+
+module.exports = {
+  KeyedMutex,
+  MutexTimeoutError
+};
@@ -0,0 +1,112 @@
+const { PRICE_CATEGORY } = require('../models/layoutModel');
+
+// Currency of all prices
+const CURRENCY = process.env.CURRENCY || 'USD';
+
+// Price of a standard seat in minor currency units (e.g. cents)
+const TICKET_PRICE = Number(process.env.TICKET_PRICE) || 5000;
+
+// Prices per category used when an event does not set its own
+const DEFAULT_PRICES = {
+  [PRICE_CATEGORY.PREMIUM]: Number(process.env.PREMIUM_TICKET_PRICE) || 8000,
+  [PRICE_CATEGORY.STANDARD]: TICKET_PRICE,
+  [PRICE_CATEGORY.ACCESSIBLE]: Number(process.env.ACCESSIBLE_TICKET_PRICE) || 4000
+};
+
+// Validate an event's pricing, returning an error message or null
+// { prices: { premium, standard, accessible },
+//   dynamic: { tiers: [{ occupancy: 0.5, multiplier: 1.2 }, ...] } }
+const validatePricing = (pricing) => {
+  if (typeof pricing !== 'object' || pricing === null || Array.isArray(pricing)) {
+    return 'pricing must be an object';
+  }
+  const { prices = {}, dynamic = null } = pricing;
+  const categories = Object.values(PRICE_CATEGORY);
+
+  const unknown = Object.keys(prices).find(category => !categories.includes(category));
+  if (unknown) {
+    return `Unknown price category ${unknown} (expected ${categories.join(', ')})`;
+  }
+  const invalid = Object.keys(prices).find(category => !Number.isInteger(prices[category]) || prices[category] < 0);
+  if (invalid) {
+    return `pricing.prices.${invalid} must be a non-negative integer (minor currency units)`;
+  }
+
+  if (dynamic !== null) {
+    if (!dynamic || !Array.isArray(dynamic.tiers) || dynamic.tiers.length === 0) {
+      return 'pricing.dynamic.tiers must be a non-empty array';
+    }
+    const badTier = dynamic.tiers.find(tier => !tier ||
+      !Number.isFinite(tier.occupancy) || tier.occupancy < 0 || tier.occupancy > 1 ||
+      !Number.isFinite(tier.multiplier) || tier.multiplier <= 0);
+    if (badTier) {
+      return 'Every pricing.dynamic tier needs an occupancy between 0 and 1 and a positive multiplier';
+    }
+  }
+  return null;
+};
+
+// An event's pricing with defaults filled in
+const resolvePricing = (pricing) => ({
+  prices: { ...DEFAULT_PRICES, ...((pricing && pricing.prices) || {}) },
+  dynamic: (pricing && pricing.dynamic) || null,
+  currency: CURRENCY
+});
+
+// Share of sellable seats (not blocked or held) that are locked or booked
+const occupancyOf = (stats) => {
+  const sellable = stats.total - stats.blocked - stats.held;
+  return sellable > 0 ? (stats.locked + stats.booked) / sellable : 0;
+};
+
+// Price multiplier of the highest dynamic tier the occupancy has reached
+const multiplierFor = (dynamic, occupancy) => {
+  if (!dynamic) {
+    return 1;
+  }
+  return dynamic.tiers
+    .filter(tier => occupancy >= tier.occupancy)
+    .reduce((best, tier) => (tier.occupancy >= best.occupancy ? tier : best), { occupancy: -1, multiplier: 1 })
+    .multiplier;
+};
+
+// Quote seats at the current occupancy: a line per seat and the total
+// (discount is filled in when a promo code is applied, see applyDiscount)
+const quoteSeats = (seats, pricing, occupancy) => {
+  const { prices, dynamic, currency } = resolvePricing(pricing);
+  const multiplier = multiplierFor(dynamic, occupancy);
+  const lines = seats.map(seat => {
+    const category = seat.category || PRICE_CATEGORY.STANDARD;
+    return { seatId: seat.id, category, price: Math.round(prices[category] * multiplier) };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price, 0);
+
+  return {
+    seats: lines,
+    subtotal,
+    discount: null,
+    total: subtotal,
+    currency,
+    multiplier
+  };
+};
+
+// Take a promo discount ({ code, amount }) off a quote
+const applyDiscount = (quote, discount) => ({
+  ...quote,
+  discount,
+  total: Math.max(0, quote.subtotal - discount.amount)
+});
+
+module.exports = {
+  CURRENCY,
+  TICKET_PRICE,
+  DEFAULT_PRICES,
+  validatePricing,
+  resolvePricing,
+  occupancyOf,
+  multiplierFor,
+  quoteSeats,
+  applyDiscount
+};
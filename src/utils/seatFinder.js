@@ -0,0 +1,225 @@
+const { SEAT_TYPE } = require('../models/layoutModel');
+
+// How far back the ideal row is, as a share of the venue's depth (0 is the
+// front row); rows further from it score worse
+const IDEAL_ROW_DEPTH = 1 / 3;
+
+// Weight of the distance from the ideal row against the distance from the
+// centre line
+const ROW_WEIGHT = 1;
+
+const isAccessible = (seat) => seat.type === SEAT_TYPE.ACCESSIBLE;
+
+// Score a seat by how far it is from the centre line and from the ideal row,
+// each relative to the size of the venue; lower is better
+const scoreSeat = (seat, geometry) => {
+  const centreX = (geometry.width - 1) / 2;
+  const idealY = (geometry.height - 1) * IDEAL_ROW_DEPTH;
+  return Math.abs(seat.x - centreX) / geometry.width +
+    ROW_WEIGHT * Math.abs(seat.y - idealY) / geometry.height;
+};
+
+// Split seats into runs of side-by-side seats: same row, nothing (aisle or
+// missing seat) in between
+const runsOf = (seats) => {
+  const rows = new Map();
+  seats.forEach(seat => {
+    if (!rows.has(seat.row)) {
+      rows.set(seat.row, []);
+    }
+    rows.get(seat.row).push(seat);
+  });
+
+  const runs = [];
+  rows.forEach(rowSeats => {
+    let run = [];
+    [...rowSeats].sort((a, b) => a.x - b.x).forEach(seat => {
+      if (run.length > 0 && seat.x !== run[run.length - 1].x + 1) {
+        runs.push(run);
+        run = [];
+      }
+      run.push(seat);
+    });
+    runs.push(run);
+  });
+  return runs;
+};
+
+// Available seats a selection would strand: seats next to it that would have
+// no available neighbour left on either side (an aisle, the end of the row,
+// a missing seat or a taken seat on both sides)
+const orphansOf = (available, selected) => {
+  const selectedIds = new Set(selected.map(seat => seat.id));
+  const free = new Map(available
+    .filter(seat => !selectedIds.has(seat.id))
+    .map(seat => [`${seat.row}:${seat.x}`, seat]));
+  const isFree = (row, x) => free.has(`${row}:${x}`);
+
+  const orphans = new Map();
+  selected.forEach(seat => {
+    [seat.x - 1, seat.x + 1].forEach(x => {
+      const neighbour = free.get(`${seat.row}:${x}`);
+      if (neighbour && !isFree(seat.row, x - 1) && !isFree(seat.row, x + 1)) {
+        orphans.set(neighbour.id, neighbour);
+      }
+    });
+  });
+  return [...orphans.values()];
+};
+
+// A selection like the given one that strands no seat: the seats chosen in
+// the first stranding row are swapped for the nearest block of as many
+// side-by-side available seats there. Returns seat IDs or null.
+const suggestAlternative = (available, selected) => {
+  const [orphan] = orphansOf(available, selected);
+  if (!orphan) {
+    return null;
+  }
+  const inRow = selected.filter(seat => seat.row === orphan.row);
+  const others = selected.filter(seat => seat.row !== orphan.row);
+  const startX = Math.min(...inRow.map(seat => seat.x));
+
+  let best = null;
+  runsOf(available.filter(seat => seat.row === orphan.row)).forEach(run => {
+    for (let start = 0; start + inRow.length <= run.length; start++) {
+      const block = run.slice(start, start + inRow.length);
+      const distance = Math.abs(block[0].x - startX);
+      if ((!best || distance < best.distance) && orphansOf(available, [...others, ...block]).length === 0) {
+        best = { block, distance };
+      }
+    }
+  });
+  return best ? [...others, ...best.block].map(seat => seat.id) : null;
+};
+
+// The best-scoring block of `size` side-by-side seats within the runs (one
+// with an accessible seat if needed, and one accept() allows), or null; ties
+// go to the block found first, nearer the front and the left
+const bestBlock = (runs, size, geometry, needsAccessible, accept = () => true) => {
+  let best = null;
+  runs.forEach(run => {
+    for (let start = 0; start + size <= run.length; start++) {
+      const seats = run.slice(start, start + size);
+      if ((needsAccessible && !seats.some(isAccessible)) || !accept(seats)) {
+        continue;
+      }
+      const score = seats.reduce((sum, seat) => sum + scoreSeat(seat, geometry), 0) / size;
+      if (!best || score < best.score) {
+        best = { seats, score };
+      }
+    }
+  });
+  return best;
+};
+
+// Resolve a { from, to } range of row labels to the rows' depth in the venue,
+// returning { minY, maxY } or { error }
+const rowRangeOf = (geometry, { from = null, to = null }) => {
+  const rowY = new Map(geometry.sections.flatMap(section => section.rows).map(row => [row.label, row.y]));
+  const unknown = [from, to].find(label => label !== null && !rowY.has(label));
+  if (unknown !== undefined) {
+    return { error: `Row ${unknown} not found` };
+  }
+  const ys = [from, to].map(label => (label === null ? null : rowY.get(label)));
+  return {
+    minY: ys[0] === null ? -Infinity : Math.min(...ys.filter(y => y !== null)),
+    maxY: ys[1] === null ? Infinity : Math.max(...ys.filter(y => y !== null))
+  };
+};
+
+// Split a party across the fewest blocks: repeatedly take the best block of
+// the longest run still free (capped at the seats still needed) that accept()
+// allows alongside the blocks already taken. The first block carries the
+// accessible seat if one is needed. Returns the groups, or null if the party
+// cannot be seated.
+const splitParty = (seats, quantity, geometry, needsAccessible, accept) => {
+  let remaining = seats;
+  let needed = quantity;
+  let needsAccess = needsAccessible;
+  const chosen = [];
+  const groups = [];
+
+  while (needed > 0) {
+    const runs = runsOf(remaining);
+    const fits = (size) => bestBlock(runs, size, geometry, needsAccess, block => accept([...chosen, ...block]));
+    let size = Math.min(needed, Math.max(0, ...runs.map(run => run.length)));
+    let block = size > 0 ? fits(size) : null;
+    while (!block && size > 1) {
+      size--;
+      block = fits(size);
+    }
+    if (!block) {
+      return null;
+    }
+    const taken = new Set(block.seats.map(seat => seat.id));
+
+    chosen.push(...block.seats);
+    groups.push(block.seats.map(seat => seat.id));
+    remaining = remaining.filter(seat => !taken.has(seat.id));
+    needed -= block.seats.length;
+    needsAccess = false;
+  }
+  return groups;
+};
+
+// Choose the best of the available seats for a party
+// options: { quantity, rows: { from, to }, maxPrice, accessible, contiguous,
+// avoidGaps, prices: { seatId: price } }
+// Seats are scored by centrality and row, and a side-by-side block is
+// preferred. Without one the party is split, unless contiguous is set.
+// accessible asks for a block with an accessible seat; otherwise accessible
+// and companion seats are left for those who need them. avoidGaps skips
+// choices that would strand a single seat.
+// Returns { seatIds, groups, contiguous } or { error }
+const findBestSeats = (seats, geometry, options) => {
+  const {
+    quantity,
+    rows = null,
+    maxPrice = null,
+    accessible = false,
+    contiguous = false,
+    avoidGaps = false,
+    prices = {}
+  } = options;
+  const range = rows ? rowRangeOf(geometry, rows) : { minY: -Infinity, maxY: Infinity };
+  if (range.error) {
+    return { error: range.error };
+  }
+
+  const eligible = seats.filter(seat => seat.y >= range.minY && seat.y <= range.maxY &&
+    (maxPrice === null || prices[seat.id] <= maxPrice) &&
+    (accessible || seat.type === SEAT_TYPE.STANDARD));
+
+  if (eligible.length < quantity) {
+    return { error: `Only ${eligible.length} available seats match the request for ${quantity}` };
+  }
+  if (accessible && !eligible.some(isAccessible)) {
+    return { error: 'No accessible seat matches the request' };
+  }
+
+  // Gaps are judged against every available seat, not only the eligible ones
+  const accept = avoidGaps ? (selected) => orphansOf(seats, selected).length === 0 : () => true;
+  const gapNote = avoidGaps ? ' without leaving a single empty seat' : '';
+
+  const block = bestBlock(runsOf(eligible), quantity, geometry, accessible, accept);
+  if (block) {
+    const seatIds = block.seats.map(seat => seat.id);
+    return { seatIds, groups: [seatIds], contiguous: true };
+  }
+  if (contiguous) {
+    return { error: `No ${quantity} side-by-side seats match the request${gapNote}` };
+  }
+
+  const groups = splitParty(eligible, quantity, geometry, accessible, accept);
+  if (!groups) {
+    return { error: `No ${quantity} seats match the request${gapNote}` };
+  }
+  return { seatIds: groups.flat(), groups, contiguous: false };
+};
+
+module.exports = {
+  findBestSeats,
+  orphansOf,
+  suggestAlternative,
+  scoreSeat
+};
@@ -0,0 +1,214 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+const admin = auth('boxoffice', 'admin');
+
+describe('Admin API', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const lock = (seatId, userId) => request(app).post(`/seats/${seatId}/lock`).set(auth(userId));
+
+  describe('Access control', () => {
+    it('should reject anonymous and non-admin callers', async () => {
+      const anonymous = await request(app).post('/admin/seats/block').send({ seatIds: ['A1'] });
+      const customer = await request(app)
+        .post('/admin/seats/block')
+        .set(auth('user1'))
+        .send({ seatIds: ['A1'] });
+
+      expect(anonymous.status).toBe(401);
+      expect(customer.status).toBe(403);
+      expect(customer.body.details).toContain('admin');
+    });
+  });
+
+  describe('POST /admin/seats/:id/release-lock', () => {
+    it('should release a whole group lock held by another user', async () => {
+      await request(app).post('/seats/lock').set(auth('user1')).send({ seatIds: ['B1', 'B2'] });
+
+      const res = await request(app).post('/admin/seats/B1/release-lock').set(admin);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ userId: 'user1', seatIds: ['B1', 'B2'] });
+      const stats = await request(app).get('/seats/statistics');
+      expect(stats.body.data.locked).toBe(0);
+    });
+
+    it('should return 409 for a seat that is not locked', async () => {
+      const res = await request(app).post('/admin/seats/B1/release-lock').set(admin);
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('POST /admin/seats/:id/cancel-booking', () => {
+    it('should cancel a booking and put the seat back on sale', async () => {
+      const lockRes = await lock('C1', 'user1');
+      await request(app)
+        .post('/seats/C1/confirm')
+        .set(auth('user1'))
+        .send({ lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+      const res = await request(app)
+        .post('/admin/seats/C1/cancel-booking')
+        .set(admin)
+        .send({ reason: 'duplicate order' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.seats[0]).toMatchObject({ status: 'available', userId: null, bookedAt: null });
+      expect(res.body.data.booking).toMatchObject({
+        status: 'cancelled',
+        cancellation: { cancelledBy: 'boxoffice', reason: 'duplicate order', fee: 0 }
+      });
+      expect(res.body.data.booking.cancellation.refundAmount).toBe(res.body.data.booking.amount);
+    });
+
+    it('should return 409 for a seat that is not booked', async () => {
+      const res = await request(app).post('/admin/seats/C1/cancel-booking').set(admin);
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('Blocked and held seats', () => {
+    it('should block seats so nobody can lock them', async () => {
+      const res = await request(app)
+        .post('/admin/seats/block')
+        .set(admin)
+        .send({ seatIds: ['e1', 'E2'], note: 'camera position' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.seats.map(seat => seat.status)).toEqual(['blocked', 'blocked']);
+      expect(res.body.data.seats[0].note).toBe('camera position');
+
+      const lockRes = await lock('E1', 'user1');
+      expect(lockRes.status).toBe(409);
+      expect(lockRes.body.error).toContain('blocked');
+
+      const stats = await request(app).get('/seats/statistics');
+      expect(stats.body.data.blocked).toBe(2);
+    });
+
+    it('should hold house seats and reopen them for sale', async () => {
+      await request(app).post('/admin/seats/hold').set(admin).send({ seatIds: ['D4', 'D5'] });
+
+      const stats = await request(app).get('/seats/statistics');
+      expect(stats.body.data.held).toBe(2);
+
+      const reopenRes = await request(app).post('/admin/seats/reopen').set(admin).send({ seatIds: ['D4', 'D5'] });
+      expect(reopenRes.status).toBe(200);
+
+      const lockRes = await lock('D4', 'user1');
+      expect(lockRes.status).toBe(200);
+    });
+
+    it('should refuse to block locked seats, all-or-nothing', async () => {
+      await lock('A2', 'user1');
+
+      const res = await request(app).post('/admin/seats/block').set(admin).send({ seatIds: ['A1', 'A2'] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.conflicts).toEqual([{ seatId: 'A2', currentStatus: 'locked' }]);
+      const seatRes = await request(app).get('/seats/A1');
+      expect(seatRes.body.data.status).toBe('available');
+    });
+
+    it('should refuse to reopen seats that are not restricted', async () => {
+      const res = await request(app).post('/admin/seats/reopen').set(admin).send({ seatIds: ['A1'] });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should work per event', async () => {
+      const created = await request(app).post('/events').set(admin).send({ name: 'Matinee' });
+      const eventId = created.body.data.id;
+
+      await request(app)
+        .post(`/admin/events/${eventId}/seats/block`)
+        .set(admin)
+        .send({ seatIds: ['A1'] });
+
+      const eventSeat = await request(app).get(`/events/${eventId}/seats/A1`);
+      const defaultSeat = await request(app).get('/seats/A1');
+      expect(eventSeat.body.data.status).toBe('blocked');
+      expect(defaultSeat.body.data.status).toBe('available');
+    });
+  });
+
+  describe('GET /admin/audit', () => {
+    it('should record who did what, most recent first', async () => {
+      await request(app).post('/admin/seats/block').set(admin).send({ seatIds: ['A1'], note: 'camera' });
+      await request(app).post('/seats/reset').set(admin);
+
+      const res = await request(app).get('/admin/audit').set(admin);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(entry => entry.action)).toEqual(['seats.reset', 'seats.blocked']);
+      expect(res.body.data[1]).toMatchObject({
+        actor: 'boxoffice',
+        eventId: 'default',
+        seatIds: ['A1'],
+        details: { note: 'camera' }
+      });
+    });
+
+    it('should not record refused actions', async () => {
+      await request(app).post('/admin/seats/reopen').set(admin).send({ seatIds: ['A1'] });
+
+      const res = await request(app).get('/admin/audit').set(admin);
+
+      expect(res.body.data).toEqual([]);
+    });
+  });
+
+  describe('PUT /admin/users/:userId/role', () => {
+    it('should apply a role change to tokens already issued', async () => {
+      const registered = await request(app).post('/auth/register').send({ userId: 'carol', password: 'pw-carol' });
+      const carol = { Authorization: `Bearer ${registered.body.data.token}` };
+
+      const res = await request(app)
+        .put('/admin/users/carol/role')
+        .set(admin)
+        .send({ role: 'admin' });
+      expect(res.status).toBe(200);
+      expect(res.body.data.role).toBe('admin');
+      expect((await request(app).get('/admin/audit').set(carol)).status).toBe(200);
+
+      await request(app).put('/admin/users/carol/role').set(admin).send({ role: 'user' });
+      expect((await request(app).get('/admin/audit').set(carol)).status).toBe(403);
+    });
+
+    it('should not trust the role claimed by a token', async () => {
+      await request(app).post('/auth/register').send({ userId: 'carol', password: 'pw-carol' });
+
+      const res = await request(app).get('/admin/audit').set(auth('carol', 'admin'));
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should reject unknown roles', async () => {
+      await request(app).post('/auth/register').send({ userId: 'carol', password: 'pw-carol' });
+
+      const res = await request(app)
+        .put('/admin/users/carol/role')
+        .set(admin)
+        .send({ role: 'superuser' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken, verifyToken } = require('../src/utils/authToken');
+const { createStore, setStore } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+describe('Authentication', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const register = (userId, password = 's3cret-pass') =>
+    request(app).post('/auth/register').send({ userId, password });
+
+  describe('POST /auth/register', () => {
+    it('should create an account and return a token', async () => {
+      const res = await register('alice');
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.user.id).toBe('alice');
+      expect(res.body.data.tokenType).toBe('Bearer');
+      expect(verifyToken(res.body.data.token).sub).toBe('alice');
+      expect(JSON.stringify(res.body)).not.toContain('passwordHash');
+    });
+
+    it('should reject a taken user ID', async () => {
+      await register('alice');
+      const res = await register('alice');
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should return 400 without a password', async () => {
+      const res = await request(app).post('/auth/register').send({ userId: 'alice' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /auth/login', () => {
+    it('should issue a token for valid credentials', async () => {
+      await register('alice');
+      const res = await request(app).post('/auth/login').send({ userId: 'alice', password: 's3cret-pass' });
+
+      expect(res.status).toBe(200);
+      expect(verifyToken(res.body.data.token).sub).toBe('alice');
+    });
+
+    it('should return 401 for a wrong password or unknown user', async () => {
+      await register('alice');
+      const wrong = await request(app).post('/auth/login').send({ userId: 'alice', password: 'nope' });
+      const unknown = await request(app).post('/auth/login').send({ userId: 'bob', password: 'nope' });
+
+      expect(wrong.status).toBe(401);
+      expect(unknown.status).toBe(401);
+    });
+  });
+
+  describe('Access tokens', () => {
+    it('should identify the caller on GET /auth/me', async () => {
+      const { body } = await register('alice');
+      const res = await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${body.data.token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.id).toBe('alice');
+    });
+
+    it('should lock seats as the token holder, ignoring a body userId', async () => {
+      const res = await request(app)
+        .post('/seats/A1/lock')
+        .set('Authorization', `Bearer ${signToken('alice')}`)
+        .send({ userId: 'mallory' });
+
+      expect(res.status).toBe(200);
+      const seatRes = await request(app).get('/seats/A1');
+      expect(seatRes.body.data.userId).toBe('alice');
+    });
+
+    it('should not let another user confirm a lock even with its lockId', async () => {
+      const lockRes = await request(app)
+        .post('/seats/A1/lock')
+        .set('Authorization', `Bearer ${signToken('alice')}`);
+      const res = await request(app)
+        .post('/seats/A1/confirm')
+        .set('Authorization', `Bearer ${signToken('mallory')}`)
+        .send({ userId: 'alice', lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should reject expired tokens', async () => {
+      const token = signToken('alice', { ttl: 1000, now: Date.now() - 5000 });
+      const res = await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+      expect(res.body.details).toContain('expired');
+    });
+
+    it('should reject tokens with a tampered payload', async () => {
+      const [header, , signature] = signToken('alice').split('.');
+      const payload = Buffer.from(JSON.stringify({ sub: 'admin', exp: 9999999999 })).toString('base64url');
+      const res = await request(app)
+        .get('/auth/me')
+        .set('Authorization', `Bearer ${header}.${payload}.${signature}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reject a non-Bearer Authorization header', async () => {
+      const res = await request(app)
+        .get('/seats')
+        .set('Authorization', 'Basic YWxpY2U6cGFzcw==');
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
+
+describe('ADMIN_USERS', () => {
+  afterEach(() => {
+    delete process.env.ADMIN_USERS;
+    delete process.env.ADMIN_PASSWORD;
+  });
+
+  // Load the user model afresh so it reads the environment
+  const loadUsers = () => {
+    let modules;
+    jest.isolateModules(() => {
+      modules = {
+        ...require('../src/storage'),
+        ...require('../src/models/userModel')
+      };
+    });
+    return modules;
+  };
+
+  it('should promote listed accounts that exist and create the others with ADMIN_PASSWORD', () => {
+    process.env.ADMIN_USERS = 'root,ops';
+    process.env.ADMIN_PASSWORD = 'admin-pass';
+    const { UserModel, createStore, setStore } = loadUsers();
+    const store = setStore(createStore('memory'));
+    UserModel.register('ops', 'ops-pass');
+
+    // Restart on the same state
+    setStore(store);
+
+    expect(UserModel.getRole('ops')).toBe('admin');
+    expect(UserModel.verifyCredentials('root', 'admin-pass').user.role).toBe('admin');
+  });
+
+  it('should not make an admin of whoever registers a listed ID', () => {
+    process.env.ADMIN_USERS = 'root';
+    const { UserModel, createStore, setStore } = loadUsers();
+    setStore(createStore('memory'));
+
+    expect(UserModel.register('root', 'squatter-pass').user.role).toBe('user');
+    expect(UserModel.getRole('root')).toBe('user');
+  });
+});
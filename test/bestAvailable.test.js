@@ -0,0 +1,121 @@
+// One customer locks several parties here, more than the default hold limit
+process.env.MAX_HELD_SEATS_PER_USER = '20';
+
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { SeatModel, LOCK_DURATION, DEFAULT_EVENT_ID } = require('../src/models/seatModel');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+describe('POST /seats/best-available', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const bestAvailable = (body, path = '/seats') => request(app)
+    .post(`${path}/best-available`)
+    .set(auth('user1'))
+    .send(body);
+
+  const playhouse = async () => {
+    const res = await request(app).post('/events').set(auth('boxoffice', 'admin')).send({ name: 'Matinee', layoutId: 'playhouse' });
+    return `/events/${res.body.data.id}/seats`;
+  };
+
+  it('should lock the most central block in the preferred rows', async () => {
+    const res = await bestAvailable({ quantity: 4 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.seatIds).toEqual(['B3', 'B4', 'B5', 'B6']);
+    expect(res.body.data.contiguous).toBe(true);
+    expect(res.body.data.groups).toEqual([['B3', 'B4', 'B5', 'B6']]);
+    expect(res.body.data.quote.total).toBe(4 * 5000);
+
+    const seat = await request(app).get('/seats/B4');
+    expect(seat.body.data).toMatchObject({ status: 'locked', userId: 'user1', lockId: res.body.data.lockId });
+  });
+
+  it('should keep to a row range and skip taken seats', async () => {
+    await request(app).post('/seats/D4/lock').set(auth('user2'));
+
+    const res = await bestAvailable({ quantity: 3, rows: { from: 'D', to: 'E' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.seatIds).toEqual(['D5', 'D6', 'D7']);
+  });
+
+  it('should pick seats whose lock ran out before its timer fired', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      await SeatModel.lockSeats(DEFAULT_EVENT_ID, ['B3', 'B4', 'B5', 'B6'], 'user2');
+      // The clock moves on without the expiry timer getting to run
+      jest.setSystemTime(Date.now() + LOCK_DURATION);
+
+      const res = await SeatModel.lockBestAvailable(DEFAULT_EVENT_ID, 'user1', { quantity: 4 });
+
+      expect(res.success).toBe(true);
+      expect(res.seats.map(seat => seat.id)).toEqual(['B3', 'B4', 'B5', 'B6']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should split the party when no block is free and say so', async () => {
+    // Leave only pairs free in every row
+    const seatIds = ['A', 'B', 'C', 'D', 'E'].flatMap(row => [`${row}3`, `${row}6`]);
+    await request(app).post('/admin/seats/block').set(auth('boxoffice', 'admin')).send({ seatIds });
+
+    const together = await bestAvailable({ quantity: 4, contiguous: true });
+    const split = await bestAvailable({ quantity: 4 });
+
+    expect(together.status).toBe(409);
+    expect(split.status).toBe(200);
+    expect(split.body.data.contiguous).toBe(false);
+    expect(split.body.data.groups).toHaveLength(2);
+    expect(split.body.data.groups.every(group => group.length === 2)).toBe(true);
+    expect(split.body.message).toContain('split into 2 groups');
+  });
+
+  it('should apply price and accessibility constraints', async () => {
+    const path = await playhouse();
+
+    const accessible = await bestAvailable({ quantity: 2, accessible: true }, path);
+    const standard = await bestAvailable({ quantity: 10 }, path);
+    const tooDear = await bestAvailable({ quantity: 2, rows: { from: 'A', to: 'B' }, maxPrice: 5000 }, path);
+    const premium = await bestAvailable({ quantity: 2, rows: { from: 'A', to: 'B' } }, path);
+
+    expect(accessible.status).toBe(200);
+    expect(accessible.body.data.seats.map(seat => seat.type)).toContain('accessible');
+    expect(standard.body.data.seats.every(seat => seat.type === 'standard')).toBe(true);
+    expect(tooDear.status).toBe(409);
+    expect(premium.status).toBe(200);
+    expect(premium.body.data.seats.every(seat => seat.category === 'premium')).toBe(true);
+  });
+
+  it('should validate the request', async () => {
+    const missing = await bestAvailable({});
+    const tooMany = await bestAvailable({ quantity: 11 });
+    const badRows = await bestAvailable({ quantity: 2, rows: 'A-C' });
+    const badFlag = await bestAvailable({ quantity: 2, contiguous: 'yes' });
+    const unknownRow = await bestAvailable({ quantity: 2, rows: { from: 'Z' } });
+    const anonymous = await request(app).post('/seats/best-available').send({ quantity: 2 });
+    const soldOut = await bestAvailable({ quantity: 2, rows: { from: 'A', to: 'A' }, maxPrice: 100 });
+
+    expect(missing.status).toBe(400);
+    expect(tooMany.status).toBe(400);
+    expect(badRows.status).toBe(400);
+    expect(badFlag.status).toBe(400);
+    expect(unknownRow.status).toBe(404);
+    expect(anonymous.status).toBe(401);
+    expect(soldOut.status).toBe(409);
+  });
+});
@@ -1,10 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['admin']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+const STORAGE_BACKENDS = ['memory', 'file'];
+
+describe.each(STORAGE_BACKENDS)('Concurrent Ticket Booking System (%s storage)', (backend) => {
+  const filePath = path.join(os.tmpdir(), `booking-test-${process.pid}.json`);
+
+  beforeAll(() => {
+    setStore(createStore(backend, { filePath }));
+  });
+
+  afterAll(() => {
+    setStore(createStore('memory'));
+    fs.rmSync(filePath, { force: true });
+    fs.rmSync(`${filePath}.log`, { force: true });
+  });
 
-describe('Concurrent Ticket Booking System', () => {
   beforeEach(async () => {
     // Reset seats before each test
-    await request(app).post('/seats/reset');
+    await request(app).post('/seats/reset').set(auth('admin', 'admin'));
   });
 
   describe('GET /seats', () => {
@@ -43,7 +72,7 @@ describe('Concurrent Ticket Booking System', () => {
     it('should lock an available seat', async () => {
       const res = await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user123' });
+        .set(auth('user123'));
       
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -55,26 +84,94 @@ describe('Concurrent Ticket Booking System', () => {
       // Lock the seat first
       await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user1' });
+        .set(auth('user1'));
       
       // Try to lock again with different user
       const res = await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user2' });
+        .set(auth('user2'));
       
       expect(res.status).toBe(409);
       expect(res.body.success).toBe(false);
       expect(res.body.error).toContain('locked');
     });
 
-    it('should return 400 if userId is missing', async () => {
+    it('should return 401 without an access token', async () => {
       const res = await request(app)
         .post('/seats/A1/lock')
-        .send({});
+        .send({ userId: 'user1' });
       
-      expect(res.status).toBe(400);
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return 401 for a forged access token', async () => {
+      const token = signToken('user1');
+      const res = await request(app)
+        .post('/seats/A1/lock')
+        .set('Authorization', `Bearer ${token.slice(0, -2)}xx`);
+      
+      expect(res.status).toBe(401);
       expect(res.body.success).toBe(false);
-      expect(res.body.error).toContain('userId is required');
+    });
+  });
+
+  describe('POST /seats/:id/lock/extend', () => {
+    it('should push the lock expiry forward', async () => {
+      const lockRes = await request(app)
+        .post('/seats/A1/lock')
+        .set(auth('user123'));
+      
+      const res = await request(app)
+        .post('/seats/A1/lock/extend')
+        .set(auth('user123'))
+        .send({ lockId: lockRes.body.data.lockId });
+      
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(new Date(res.body.data.lockExpiresAt).getTime())
+        .toBeGreaterThanOrEqual(new Date(lockRes.body.data.lockExpiresAt).getTime());
+      expect(res.body.data.maxHoldUntil).toBeDefined();
+      
+      const seatRes = await request(app).get('/seats/A1');
+      expect(seatRes.body.data.lockExpiresAt).toBe(res.body.data.lockExpiresAt);
+    });
+
+    it('should extend every seat of a group lock', async () => {
+      const lockRes = await request(app)
+        .post('/seats/lock')
+        .set(auth('family1'))
+        .send({ seatIds: ['B1', 'B2'] });
+      
+      const res = await request(app)
+        .post('/seats/B2/lock/extend')
+        .set(auth('family1'))
+        .send({ lockId: lockRes.body.data.lockId });
+      
+      expect(res.status).toBe(200);
+      expect(res.body.data.seatIds).toEqual(['B1', 'B2']);
+    });
+
+    it('should not extend a lock held by another user', async () => {
+      const lockRes = await request(app)
+        .post('/seats/A1/lock')
+        .set(auth('user1'));
+      
+      const res = await request(app)
+        .post('/seats/A1/lock/extend')
+        .set(auth('user2'))
+        .send({ lockId: lockRes.body.data.lockId });
+      
+      expect(res.status).toBe(403);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return 400 if lockId is missing', async () => {
+      const res = await request(app)
+        .post('/seats/A1/lock/extend')
+        .set(auth('user1'));
+      
+      expect(res.status).toBe(400);
     });
   });
 
@@ -83,14 +180,15 @@ describe('Concurrent Ticket Booking System', () => {
       // Lock the seat first
       const lockRes = await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user123' });
+        .set(auth('user123'));
       
       const lockId = lockRes.body.data.lockId;
       
       // Confirm booking
       const res = await request(app)
         .post('/seats/A1/confirm')
-        .send({ userId: 'user123', lockId });
+        .set(auth('user123'))
+        .send({ lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
       
       expect(res.status).toBe(201);
       expect(res.body.success).toBe(true);
@@ -100,7 +198,8 @@ describe('Concurrent Ticket Booking System', () => {
     it('should not confirm booking without lock', async () => {
       const res = await request(app)
         .post('/seats/A1/confirm')
-        .send({ userId: 'user123', lockId: 'fake-lock-id' });
+        .set(auth('user123'))
+        .send({ lockId: 'fake-lock-id' });
       
       expect(res.status).toBe(409);
       expect(res.body.success).toBe(false);
@@ -110,14 +209,15 @@ describe('Concurrent Ticket Booking System', () => {
       // Lock with user1
       const lockRes = await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user1' });
+        .set(auth('user1'));
       
       const lockId = lockRes.body.data.lockId;
       
       // Try to confirm with user2
       const res = await request(app)
         .post('/seats/A1/confirm')
-        .send({ userId: 'user2', lockId });
+        .set(auth('user2'))
+        .send({ lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
       
       expect(res.status).toBe(409);
       expect(res.body.success).toBe(false);
@@ -129,14 +229,15 @@ describe('Concurrent Ticket Booking System', () => {
       // Lock the seat first
       const lockRes = await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user123' });
+        .set(auth('user123'));
       
       const lockId = lockRes.body.data.lockId;
       
       // Unlock the seat
       const res = await request(app)
         .delete('/seats/A1/unlock')
-        .send({ userId: 'user123', lockId });
+        .set(auth('user123'))
+        .send({ lockId });
       
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
@@ -147,14 +248,15 @@ describe('Concurrent Ticket Booking System', () => {
       // Lock with user1
       const lockRes = await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user1' });
+        .set(auth('user1'));
       
       const lockId = lockRes.body.data.lockId;
       
       // Try to unlock with user2
       const res = await request(app)
         .delete('/seats/A1/unlock')
-        .send({ userId: 'user2', lockId });
+        .set(auth('user2'))
+        .send({ lockId });
       
       expect(res.status).toBe(403);
       expect(res.body.success).toBe(false);
@@ -166,15 +268,16 @@ describe('Concurrent Ticket Booking System', () => {
       // Lock one seat and book another
       const lockRes = await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user1' });
+        .set(auth('user1'));
       
       await request(app)
         .post('/seats/A2/lock')
-        .send({ userId: 'user2' });
+        .set(auth('user2'));
       
       await request(app)
         .post('/seats/A2/confirm')
-        .send({ userId: 'user2', lockId: lockRes.body.data.lockId });
+        .set(auth('user2'))
+        .send({ lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
       
       const res = await request(app).get('/seats/statistics');
       
@@ -187,6 +290,119 @@ describe('Concurrent Ticket Booking System', () => {
     });
   });
 
+  describe('Group bookings', () => {
+    it('should lock several seats under a single lockId', async () => {
+      const res = await request(app)
+        .post('/seats/lock')
+        .set(auth('family1'))
+        .send({ seatIds: ['a1', 'A2', 'A3'] });
+      
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.seatIds).toEqual(['A1', 'A2', 'A3']);
+      res.body.data.seats.forEach(seat => {
+        expect(seat.status).toBe('locked');
+        expect(seat.lockId).toBe(res.body.data.lockId);
+      });
+    });
+
+    it('should lock nothing when any seat is unavailable', async () => {
+      await request(app)
+        .post('/seats/A3/lock')
+        .set(auth('user1'));
+      
+      const res = await request(app)
+        .post('/seats/lock')
+        .set(auth('family1'))
+        .send({ seatIds: ['A1', 'A2', 'A3'] });
+      
+      expect(res.status).toBe(409);
+      expect(res.body.success).toBe(false);
+      expect(res.body.conflicts).toEqual([
+        expect.objectContaining({ seatId: 'A3', currentStatus: 'locked' })
+      ]);
+      
+      const stats = await request(app).get('/seats/statistics');
+      expect(stats.body.data.locked).toBe(1);
+    });
+
+    it('should confirm and unlock a group with its lockId', async () => {
+      const lockRes = await request(app)
+        .post('/seats/lock')
+        .set(auth('family1'))
+        .send({ seatIds: ['B1', 'B2'] });
+      const { lockId } = lockRes.body.data;
+      
+      const confirmRes = await request(app)
+        .post('/seats/confirm')
+        .set(auth('family1'))
+        .send({ lockId, seatIds: ['B1', 'B2'], payment: { token: MOCK_TOKENS.SUCCESS } });
+      
+      expect(confirmRes.status).toBe(201);
+      confirmRes.body.data.seats.forEach(seat => expect(seat.status).toBe('booked'));
+      
+      const otherLock = await request(app)
+        .post('/seats/lock')
+        .set(auth('family2'))
+        .send({ seatIds: ['C1', 'C2'] });
+      const unlockRes = await request(app)
+        .delete('/seats/unlock')
+        .set(auth('family2'))
+        .send({ lockId: otherLock.body.data.lockId, seatIds: ['C1', 'C2'] });
+      
+      expect(unlockRes.status).toBe(200);
+      unlockRes.body.data.seats.forEach(seat => expect(seat.status).toBe('available'));
+    });
+
+    it('should reject a group confirm with the wrong lockId', async () => {
+      await request(app)
+        .post('/seats/lock')
+        .set(auth('family1'))
+        .send({ seatIds: ['B1', 'B2'] });
+      
+      const res = await request(app)
+        .post('/seats/confirm')
+        .set(auth('family1'))
+        .send({ lockId: 'fake-lock-id', seatIds: ['B1', 'B2'] });
+      
+      expect(res.status).toBe(409);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return 400 for an empty seat list', async () => {
+      const res = await request(app)
+        .post('/seats/lock')
+        .set(auth('family1'))
+        .send({ seatIds: [] });
+      
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should not deadlock or double-lock with overlapping concurrent groups', async () => {
+      const groups = [
+        ['A1', 'A2', 'A3'],
+        ['A3', 'A2', 'A1'],
+        ['A2', 'A4'],
+        ['A4', 'A1']
+      ];
+      const results = await Promise.all(groups.map((seatIds, index) =>
+        request(app)
+          .post('/seats/lock')
+          .set(auth(`family${index}`))
+          .send({ seatIds })
+      ));
+      
+      const lockedSeats = results
+        .filter(res => res.body.success)
+        .flatMap(res => res.body.data.seatIds);
+      
+      expect(new Set(lockedSeats).size).toBe(lockedSeats.length);
+      const stats = await request(app).get('/seats/statistics');
+      expect(stats.body.data.locked).toBe(lockedSeats.length);
+    });
+  });
+
   describe('Concurrent Access', () => {
     it('should prevent race conditions when multiple users try to lock same seat', async () => {
       const promises = [];
@@ -197,7 +413,7 @@ describe('Concurrent Ticket Booking System', () => {
         promises.push(
           request(app)
             .post('/seats/A1/lock')
-            .send({ userId: `user${i}` })
+            .set(auth(`user${i}`))
         );
       }
       
@@ -220,7 +436,7 @@ describe('Concurrent Ticket Booking System', () => {
       const promises = seats.map((seat, index) => 
         request(app)
           .post(`/seats/${seat}/lock`)
-          .send({ userId: `user${index + 1}` })
+          .set(auth(`user${index + 1}`))
       );
       
       const results = await Promise.all(promises);
@@ -241,7 +457,7 @@ describe('Concurrent Ticket Booking System', () => {
       // This is a simplified test - in real scenarios, you'd mock the timing
       const lockRes = await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user123' });
+        .set(auth('user123'));
       
       expect(lockRes.body.success).toBe(true);
       
@@ -258,18 +474,19 @@ describe('Concurrent Ticket Booking System', () => {
       // Lock and book some seats first
       await request(app)
         .post('/seats/A1/lock')
-        .send({ userId: 'user1' });
+        .set(auth('user1'));
       
       const lockRes = await request(app)
         .post('/seats/A2/lock')
-        .send({ userId: 'user2' });
+        .set(auth('user2'));
       
       await request(app)
         .post('/seats/A2/confirm')
-        .send({ userId: 'user2', lockId: lockRes.body.data.lockId });
+        .set(auth('user2'))
+        .send({ lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
       
       // Reset all seats
-      const resetRes = await request(app).post('/seats/reset');
+      const resetRes = await request(app).post('/seats/reset').set(auth('admin', 'admin'));
       
       expect(resetRes.status).toBe(200);
       expect(resetRes.body.success).toBe(true);
@@ -280,6 +497,14 @@ describe('Concurrent Ticket Booking System', () => {
       expect(seatsRes.body.data.statistics.locked).toBe(0);
       expect(seatsRes.body.data.statistics.booked).toBe(0);
     });
+
+    it('should only let admins reset seats', async () => {
+      const anonymous = await request(app).post('/seats/reset');
+      const customer = await request(app).post('/seats/reset').set(auth('user1'));
+      
+      expect(anonymous.status).toBe(401);
+      expect(customer.status).toBe(403);
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,281 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { REFERENCE_LENGTH } = require('../src/models/bookingModel');
+const { TICKET_PRICE } = require('../src/utils/pricing');
+const { DEFAULT_CANCELLATION_POLICY } = require('../src/utils/cancellationPolicy');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice', 'support']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+const HOUR = 60 * 60 * 1000;
+
+// Lock and confirm seats for a user, returning the booking
+const book = async (seatIds, userId, base = '/seats') => {
+  const lockRes = await request(app).post(`${base}/lock`).set(auth(userId)).send({ seatIds });
+  const confirmRes = await request(app)
+    .post(`${base}/confirm`)
+    .set(auth(userId))
+    .send({ seatIds, lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+  return confirmRes.body.data.booking;
+};
+
+describe('Bookings', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  it('should record the seats, price and a receipt reference', async () => {
+    const booking = await book(['A1', 'A2'], 'user1');
+
+    expect(booking.reference).toMatch(new RegExp(`^[A-Z2-9]{${REFERENCE_LENGTH}}$`));
+    expect(booking.seats).toEqual([
+      { seatId: 'A1', section: 'main', row: 'A', number: 1, category: 'standard', price: TICKET_PRICE },
+      { seatId: 'A2', section: 'main', row: 'A', number: 2, category: 'standard', price: TICKET_PRICE }
+    ]);
+    expect(booking.createdAt).toBe(booking.bookedAt);
+  });
+
+  it('should record single-seat bookings too', async () => {
+    const lockRes = await request(app).post('/seats/B3/lock').set(auth('user1'));
+    const res = await request(app)
+      .post('/seats/B3/confirm')
+      .set(auth('user1'))
+      .send({ lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+    expect(res.body.data.booking).toMatchObject({ seatIds: ['B3'], amount: TICKET_PRICE, status: 'confirmed' });
+  });
+
+  describe('GET /bookings/:bookingId', () => {
+    it('should return the booking with its event', async () => {
+      const booking = await book(['C1'], 'user1');
+
+      const res = await request(app).get(`/bookings/${booking.id}`).set(auth('user1'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ id: booking.id, userId: 'user1', seatIds: ['C1'] });
+      expect(res.body.data.event).toMatchObject({ id: 'default', name: 'Default showing' });
+    });
+
+    it('should find a booking by its reference', async () => {
+      const booking = await book(['C2'], 'user1');
+
+      const res = await request(app)
+        .get(`/bookings/${booking.reference.toLowerCase()}`)
+        .set(auth('support', 'admin'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.id).toBe(booking.id);
+    });
+
+    it("should hide other users' bookings", async () => {
+      const booking = await book(['C3'], 'user1');
+
+      const anonymous = await request(app).get(`/bookings/${booking.id}`);
+      const other = await request(app).get(`/bookings/${booking.id}`).set(auth('user2'));
+
+      expect(anonymous.status).toBe(401);
+      expect(other.status).toBe(403);
+    });
+
+    it('should return 404 for an unknown booking', async () => {
+      const res = await request(app).get('/bookings/no-such-booking').set(auth('user1'));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /users/:userId/bookings', () => {
+    it("should list a user's bookings, most recent first", async () => {
+      const first = await book(['D1'], 'user1');
+      await book(['D2'], 'user2');
+      const second = await book(['D3', 'D4'], 'user1');
+
+      const res = await request(app).get('/users/user1/bookings').set(auth('user1'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(booking => booking.id)).toEqual([second.id, first.id]);
+    });
+
+    it('should filter by status', async () => {
+      const kept = await book(['E1'], 'user1');
+      const cancelled = await book(['E2'], 'user1');
+      await request(app).post(`/bookings/${cancelled.id}/cancel`).set(auth('user1'));
+
+      const res = await request(app).get('/users/user1/bookings?status=confirmed').set(auth('user1'));
+      const invalid = await request(app).get('/users/user1/bookings?status=pending').set(auth('user1'));
+
+      expect(res.body.data.map(booking => booking.id)).toEqual([kept.id]);
+      expect(invalid.status).toBe(400);
+    });
+
+    it("should only let admins list other users' bookings", async () => {
+      await book(['E3'], 'user1');
+
+      const other = await request(app).get('/users/user1/bookings').set(auth('user2'));
+      const support = await request(app).get('/users/user1/bookings').set(auth('support', 'admin'));
+
+      expect(other.status).toBe(403);
+      expect(support.body.data).toHaveLength(1);
+    });
+  });
+});
+
+describe('Booking cancellation', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const cancel = (bookingId, userId, role) => request(app)
+    .post(`/bookings/${bookingId}/cancel`)
+    .set(auth(userId, role));
+
+  it('should return a booking when seats are confirmed', async () => {
+    const booking = await book(['A1', 'A2'], 'user1');
+
+    expect(booking).toMatchObject({
+      eventId: 'default',
+      userId: 'user1',
+      seatIds: ['A1', 'A2'],
+      status: 'confirmed',
+      amount: 2 * TICKET_PRICE
+    });
+    const seatRes = await request(app).get('/seats/A1');
+    expect(seatRes.body.data.bookingId).toBe(booking.id);
+  });
+
+  it('should put the seats back on sale and refund the amount less the fee', async () => {
+    const booking = await book(['B1', 'B2'], 'user1');
+
+    const res = await cancel(booking.id, 'user1').send({ reason: 'cannot attend' });
+
+    const fee = Math.round((booking.amount * DEFAULT_CANCELLATION_POLICY.feePercent) / 100);
+    expect(res.status).toBe(200);
+    expect(res.body.data.booking).toMatchObject({
+      status: 'cancelled',
+      cancellation: {
+        cancelledBy: 'user1',
+        reason: 'cannot attend',
+        fee,
+        refundAmount: booking.amount - fee
+      }
+    });
+    expect(res.body.data.seats.map(seat => seat.status)).toEqual(['available', 'available']);
+
+    const lockRes = await request(app).post('/seats/B1/lock').set(auth('user2'));
+    expect(lockRes.status).toBe(200);
+  });
+
+  it('should count cancellations and refunds in statistics', async () => {
+    const booking = await book(['C1'], 'user1');
+    const res = await cancel(booking.id, 'user1');
+
+    const stats = await request(app).get('/seats/statistics');
+
+    expect(stats.body.data.cancellations).toBe(1);
+    expect(stats.body.data.refunded).toBe(res.body.data.booking.cancellation.refundAmount);
+    expect(stats.body.data.booked).toBe(0);
+  });
+
+  it('should refund a booking only once under concurrent cancellations', async () => {
+    const booking = await book(['D1', 'D2'], 'user1');
+
+    const results = await Promise.all([cancel(booking.id, 'user1'), cancel(booking.id, 'user1')]);
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 409]);
+    const stats = await request(app).get('/seats/statistics');
+    expect(stats.body.data.cancellations).toBe(1);
+  });
+
+  it("should not let users cancel other users' bookings", async () => {
+    const booking = await book(['E1'], 'user1');
+
+    const anonymous = await request(app).post(`/bookings/${booking.id}/cancel`);
+    const other = await cancel(booking.id, 'user2');
+    const admin = await cancel(booking.id, 'boxoffice', 'admin');
+
+    expect(anonymous.status).toBe(401);
+    expect(other.status).toBe(403);
+    expect(admin.status).toBe(200);
+  });
+
+  it('should return 404 for an unknown booking', async () => {
+    const res = await cancel('no-such-booking', 'user1');
+
+    expect(res.status).toBe(404);
+  });
+
+  describe('Cancellation policy', () => {
+    const createEvent = async (fields) => {
+      const res = await request(app).post('/events').set(auth('boxoffice', 'admin')).send({ name: 'Evening show', ...fields });
+      return res.body.data.id;
+    };
+
+    it('should refuse cancellations inside the cutoff before the show', async () => {
+      const eventId = await createEvent({
+        startsAt: new Date(Date.now() + 2 * HOUR).toISOString(),
+        cancellationPolicy: { cutoffMinutes: 3 * 60 }
+      });
+      const booking = await book(['A1'], 'user1', `/events/${eventId}/seats`);
+
+      const res = await cancel(booking.id, 'user1');
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toContain('Cancellations closed');
+      const seatRes = await request(app).get(`/events/${eventId}/seats/A1`);
+      expect(seatRes.body.data.status).toBe('booked');
+    });
+
+    it("should apply the event's own fee", async () => {
+      const eventId = await createEvent({
+        startsAt: new Date(Date.now() + 48 * HOUR).toISOString(),
+        cancellationPolicy: { cutoffMinutes: 60, feePercent: 25 }
+      });
+      const booking = await book(['A1'], 'user1', `/events/${eventId}/seats`);
+
+      const res = await cancel(booking.id, 'user1');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.booking.cancellation).toMatchObject({
+        feePercent: 25,
+        refundAmount: booking.amount - Math.round(booking.amount / 4)
+      });
+    });
+
+    it('should refund in full once the event itself is cancelled', async () => {
+      const eventId = await createEvent({
+        startsAt: new Date(Date.now() + 2 * HOUR).toISOString(),
+        cancellationPolicy: { cutoffMinutes: 3 * 60, feePercent: 25 }
+      });
+      const booking = await book(['A1'], 'user1', `/events/${eventId}/seats`);
+      await request(app).post(`/events/${eventId}/cancel`).set(auth('boxoffice', 'admin'));
+
+      const res = await cancel(booking.id, 'user1');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.booking.cancellation).toMatchObject({
+        feePercent: 0,
+        fee: 0,
+        refundAmount: booking.amount
+      });
+    });
+
+    it('should reject an invalid policy', async () => {
+      const res = await request(app)
+        .post('/events')
+        .set(auth('boxoffice', 'admin'))
+        .send({ name: 'Evening show', cancellationPolicy: { feePercent: 150 } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('feePercent');
+    });
+  });
+});
@@ -3,8 +3,11 @@ const http = require('http');
 
 const API_BASE = 'http://localhost:4000';
 
-// Helper function to make HTTP requests
-function makeRequest(method, path, data = null) {
+// Password for the simulated users
+const TEST_PASSWORD = 'concurrent-test';
+
+// Helper function to make HTTP requests (token: bearer access token)
+function makeRequest(method, path, data = null, token = null) {
   return new Promise((resolve, reject) => {
     const url = new URL(API_BASE + path);
     const options = {
@@ -13,7 +16,8 @@ function makeRequest(method, path, data = null) {
       path: url.pathname,
       method: method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
       }
     };
 
@@ -43,6 +47,30 @@ function makeRequest(method, path, data = null) {
   });
 }
 
+// Sign a test user in, registering the account on first use; resolves with a token
+async function signIn(userId) {
+  const credentials = { userId, password: TEST_PASSWORD };
+  let result = await makeRequest('POST', '/auth/login', credentials);
+  if (result.status === 401) {
+    result = await makeRequest('POST', '/auth/register', credentials);
+  }
+  if (!result.data.success) {
+    throw new Error(`Failed to sign in ${userId}: ${result.data.error}`);
+  }
+  return result.data.data.token;
+}
+
+// Reset seats as the admin user (the server must list it in ADMIN_USERS, with
+// TEST_PASSWORD as ADMIN_PASSWORD)
+async function resetSeats() {
+  const adminId = process.env.ADMIN_USER || 'admin';
+  const result = await makeRequest('POST', '/seats/reset', null, await signIn(adminId));
+  if (result.status === 403) {
+    console.log(`⚠️  Could not reset seats: start the server with ADMIN_USERS=${adminId} ADMIN_PASSWORD=${TEST_PASSWORD}`);
+  }
+  return result;
+}
+
 // Test concurrent seat locking
 async function testConcurrentLocking() {
   console.log('🚀 Starting Concurrent Seat Locking Test\n');
@@ -53,16 +81,20 @@ async function testConcurrentLocking() {
   console.log(`Testing ${userCount} users trying to lock seat ${seatId} simultaneously...`);
   
   // Reset seats first
-  await makeRequest('POST', '/seats/reset');
+  await resetSeats();
+  
+  // Sign everyone in first so the lock requests go out together
+  const userIds = Array.from({ length: userCount }, (_, i) => `concurrentUser${i + 1}`);
+  const tokens = await Promise.all(userIds.map(signIn));
   
   // Create concurrent lock requests
   const promises = [];
   const startTime = Date.now();
   
-  for (let i = 1; i <= userCount; i++) {
-    const userId = `concurrentUser${i}`;
+  for (let i = 0; i < userCount; i++) {
+    const userId = userIds[i];
     promises.push(
-      makeRequest('POST', `/seats/${seatId}/lock`, { userId })
+      makeRequest('POST', `/seats/${seatId}/lock`, null, tokens[i])
         .then(result => ({ userId, ...result }))
         .catch(error => ({ userId, error: error.message }))
     );
@@ -108,6 +140,62 @@ async function testConcurrentLocking() {
   }
 }
 
+// Test fairness and throughput of the seat mutex under heavy contention.
+// Runs in-process against SeatModel: HTTP requests reach the server one at a
+// time, whereas calls issued in the same tick genuinely queue on the mutex.
+async function testMutexContention() {
+  console.log('\n🏁 Starting Mutex Contention Test\n');
+  
+  const { SeatModel, DEFAULT_EVENT_ID } = require('../src/models/seatModel');
+  const { createStore, setStore } = require('../src/storage');
+  setStore(createStore('memory'));
+  
+  const seatId = 'D4';
+  const contenders = 150;
+  const completionOrder = [];
+  
+  console.log(`${contenders} contenders each locking and releasing seat ${seatId}...`);
+  
+  // Each contender waits for the seat, locks it and releases it again, so the
+  // mutex queue holds all of them at once
+  const startTime = process.hrtime.bigint();
+  const cycles = [];
+  
+  for (let i = 0; i < contenders; i++) {
+    const userId = `contender${i}`;
+    cycles.push(
+      SeatModel.lockSeat(DEFAULT_EVENT_ID, seatId, userId)
+        .then(lock => {
+          completionOrder.push(i);
+          return lock.success
+            ? SeatModel.unlockSeat(DEFAULT_EVENT_ID, seatId, userId, lock.lockId)
+            : lock;
+        })
+    );
+  }
+  
+  const results = await Promise.all(cycles);
+  const elapsedMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+  const metrics = SeatModel.getMutexMetrics();
+  
+  const inOrder = completionOrder.every((contender, index) => contender === index);
+  const refused = results.filter(result => !result.success).length;
+  
+  console.log(`\n⏱️  ${contenders} contenders served in ${elapsedMs.toFixed(1)}ms`);
+  console.log(`🚀 Throughput: ${(metrics.acquisitions / (elapsedMs / 1000)).toFixed(0)} acquisitions/s`);
+  console.log(`✅ Seat won by contender${completionOrder[0]}, ${refused} others saw it locked`);
+  console.log('\n📊 Seat mutex metrics:');
+  console.log(`   Acquisitions:   ${metrics.acquisitions}`);
+  console.log(`   Contended:      ${metrics.contended}`);
+  console.log(`   Longest queue:  ${metrics.maxQueueLength}`);
+  console.log(`   Average wait:   ${metrics.averageWaitMs}ms`);
+  console.log(`   Max wait:       ${metrics.maxWaitMs}ms`);
+  console.log(`   Timeouts:       ${metrics.timeouts}`);
+  
+  console.log(`\n🎯 FIFO fairness (served in arrival order): ${inOrder ? 'PASSED' : 'FAILED'}`);
+  console.log(`🎯 No starvation (no timeouts): ${metrics.timeouts === 0 ? 'PASSED' : 'FAILED'}\n`);
+}
+
 // Test lock expiration
 async function testLockExpiration() {
   console.log('\n🕐 Starting Lock Expiration Test\n');
@@ -116,11 +204,12 @@ async function testLockExpiration() {
   const userId = 'expirationTestUser';
   
   // Reset seats
-  await makeRequest('POST', '/seats/reset');
+  await resetSeats();
   
   // Lock a seat
   console.log('Locking seat B3...');
-  const lockResult = await makeRequest('POST', `/seats/${seatId}/lock`, { userId });
+  const token = await signIn(userId);
+  const lockResult = await makeRequest('POST', `/seats/${seatId}/lock`, null, token);
   
   if (lockResult.data.success) {
     console.log(`✅ Seat locked successfully!`);
@@ -159,7 +248,7 @@ async function testBookingWorkflow() {
   
   try {
     // Reset seats
-    await makeRequest('POST', '/seats/reset');
+    await resetSeats();
     console.log('✅ Seats reset');
     
     // Step 1: Check seat is available
@@ -172,7 +261,8 @@ async function testBookingWorkflow() {
     
     // Step 2: Lock the seat
     console.log('2️⃣ Locking seat...');
-    const lockResult = await makeRequest('POST', `/seats/${seatId}/lock`, { userId });
+    const token = await signIn(userId);
+    const lockResult = await makeRequest('POST', `/seats/${seatId}/lock`, null, token);
     
     if (!lockResult.data.success) {
       throw new Error('Failed to lock seat: ' + lockResult.data.error);
@@ -190,7 +280,7 @@ async function testBookingWorkflow() {
     
     // Step 4: Try to lock again (should fail)
     console.log('4️⃣ Attempting to lock same seat with different user...');
-    const doubleLockResult = await makeRequest('POST', `/seats/${seatId}/lock`, { userId: 'anotherUser' });
+    const doubleLockResult = await makeRequest('POST', `/seats/${seatId}/lock`, null, await signIn('anotherUser'));
     
     if (doubleLockResult.data.success) {
       throw new Error('Double locking should have failed');
@@ -201,9 +291,9 @@ async function testBookingWorkflow() {
     // Step 5: Confirm booking
     console.log('5️⃣ Confirming booking...');
     const confirmResult = await makeRequest('POST', `/seats/${seatId}/confirm`, {
-      userId,
-      lockId: lockResult.data.data.lockId
-    });
+      lockId: lockResult.data.data.lockId,
+      payment: { token: 'tok_success' }
+    }, token);
     
     if (!confirmResult.data.success) {
       throw new Error('Failed to confirm booking: ' + confirmResult.data.error);
@@ -221,7 +311,7 @@ async function testBookingWorkflow() {
     
     // Step 7: Try to lock booked seat (should fail)
     console.log('7️⃣ Attempting to lock booked seat...');
-    const lockBookedResult = await makeRequest('POST', `/seats/${seatId}/lock`, { userId: 'newUser' });
+    const lockBookedResult = await makeRequest('POST', `/seats/${seatId}/lock`, null, await signIn('newUser'));
     
     if (lockBookedResult.data.success) {
       throw new Error('Locking booked seat should have failed');
@@ -244,6 +334,7 @@ async function runAllTests() {
   try {
     await testConcurrentLocking();
     await testBookingWorkflow();
+    await testMutexContention();
     await testLockExpiration();
     
     console.log('\n✨ All tests completed!');
@@ -280,6 +371,7 @@ if (require.main === module) {
 
 module.exports = {
   testConcurrentLocking,
+  testMutexContention,
   testLockExpiration,
   testBookingWorkflow
 };
\ No newline at end of file
@@ -0,0 +1,275 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { MOCK_TOKENS } = require('../src/payments');
+const { onStoreChange } = require('../src/storage');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['admin', 'boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+const admin = auth('boxoffice', 'admin');
+
+describe('Events and showtimes', () => {
+  const createEvent = (body = {}) =>
+    request(app)
+      .post('/events')
+      .set(admin)
+      .send({ name: 'Evening show', startsAt: '2030-01-01T19:30:00Z', ...body });
+
+  beforeEach(async () => {
+    await request(app).post('/seats/reset').set(auth('admin', 'admin'));
+  });
+
+  describe('POST /events', () => {
+    it('should create an event with its own seat map', async () => {
+      const res = await createEvent({
+        layout: {
+          sections: [{ id: 'floor', rows: [{ label: 'A', seats: 4 }, { label: 'B', seats: 4 }] }]
+        }
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.id).toBeDefined();
+      expect(res.body.data.status).toBe('scheduled');
+      expect(res.body.data.layout.total).toBe(8);
+
+      const seatsRes = await request(app).get(`/events/${res.body.data.id}/seats`);
+      expect(seatsRes.status).toBe(200);
+      expect(seatsRes.body.data.seats).toHaveLength(8);
+      expect(seatsRes.body.data.layout.sections[0].rows.map(row => row.label)).toEqual(['A', 'B']);
+    });
+
+    it('should create an event from a bundled layout', async () => {
+      const res = await createEvent({ layoutId: 'playhouse' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.layout.id).toBe('playhouse');
+      expect(res.body.data.layout.sections.map(section => section.id)).toEqual(['stalls', 'circle']);
+    });
+
+    it('should return 400 for an unknown layoutId', async () => {
+      const res = await createEvent({ layoutId: 'stadium' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('not found');
+    });
+
+    it('should return 400 when name is missing', async () => {
+      const res = await request(app).post('/events').set(admin).send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return 400 for an invalid layout', async () => {
+      const res = await createEvent({
+        layout: { sections: [{ id: 'floor', rows: [{ label: 'A', seats: 4, missing: [9] }] }] }
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+      expect(res.body.error).toContain('missing');
+    });
+
+    it('should return 400 for row labels that are not capital letters', async () => {
+      const lowercase = await createEvent({
+        layout: { sections: [{ id: 'floor', rows: [{ label: 'b', seats: 4 }] }] }
+      });
+      const colliding = await createEvent({
+        layout: { sections: [{ id: 'floor', rows: [{ label: 'A', seats: 12 }, { label: 'A1', seats: 2 }] }] }
+      });
+
+      expect(lowercase.status).toBe(400);
+      expect(lowercase.body.error).toContain('capital letters');
+      expect(colliding.status).toBe(400);
+      expect(colliding.body.error).toContain('A1');
+    });
+
+    it('should return 400 for duplicate row labels', async () => {
+      const res = await createEvent({
+        layout: {
+          sections: [
+            { id: 'left', rows: [{ label: 'A', seats: 4 }] },
+            { id: 'right', rows: [{ label: 'A', seats: 4 }] }
+          ]
+        }
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Duplicate row label');
+    });
+  });
+
+  describe('GET /events', () => {
+    it('should list events including the default event', async () => {
+      const created = await createEvent();
+      const res = await request(app).get('/events');
+
+      expect(res.status).toBe(200);
+      const ids = res.body.data.map(event => event.id);
+      expect(ids).toContain('default');
+      expect(ids).toContain(created.body.data.id);
+    });
+
+    it('should return 404 for an unknown event', async () => {
+      const res = await request(app).get('/events/missing');
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('Venue layouts', () => {
+    it('should place seats around aisles, gaps and missing seats', async () => {
+      const created = await createEvent({
+        layout: {
+          sectionGap: 2,
+          sections: [
+            {
+              id: 'stalls',
+              rows: [{ label: 'A', seats: 6, offset: 1, aisleAfter: [3], missing: [5], accessible: [1], companion: [2] }]
+            },
+            { id: 'balcony', rows: [{ label: 'B', seats: 4 }] }
+          ]
+        }
+      });
+      const res = await request(app).get(`/events/${created.body.data.id}/seats`);
+      const seats = Object.fromEntries(res.body.data.seats.map(seat => [seat.id, seat]));
+
+      expect(res.body.data.seats).toHaveLength(9);
+      expect(seats.A5).toBeUndefined();
+      expect(seats.A1).toMatchObject({ x: 1, y: 0, section: 'stalls', type: 'accessible' });
+      expect(seats.A2.type).toBe('companion');
+      expect(seats.A3.x).toBe(3);
+      expect(seats.A4.x).toBe(5);
+      expect(seats.A6.x).toBe(7);
+      expect(seats.B1).toMatchObject({ x: 0, y: 3, section: 'balcony', type: 'standard' });
+      expect(res.body.data.layout).toMatchObject({ width: 8, height: 4, total: 9 });
+    });
+
+    it('should list bundled layouts', async () => {
+      const res = await request(app).get('/events/layouts');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(layout => layout.id)).toEqual(expect.arrayContaining(['default', 'playhouse']));
+    });
+  });
+
+  describe('PATCH /events/:eventId', () => {
+    it('should update event details', async () => {
+      const created = await createEvent();
+      const res = await request(app)
+        .patch(`/events/${created.body.data.id}`)
+        .set(admin)
+        .send({ name: 'Matinee', startsAt: '2030-01-01T14:00:00Z' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.name).toBe('Matinee');
+      expect(res.body.data.startsAt).toBe('2030-01-01T14:00:00.000Z');
+    });
+  });
+
+  describe('Event management', () => {
+    it('should only let admins create, update or cancel events', async () => {
+      const eventId = (await createEvent()).body.data.id;
+
+      const anonymous = await request(app).post('/events').send({ name: 'Free show' });
+      const customer = await request(app).post('/events').set(auth('user1')).send({ name: 'Free show' });
+      const update = await request(app)
+        .patch(`/events/${eventId}`)
+        .send({ pricing: { prices: { standard: 0 } } });
+      const cancel = await request(app).post(`/events/${eventId}/cancel`).set(auth('user1'));
+      const event = await request(app).get(`/events/${eventId}`);
+
+      expect(anonymous.status).toBe(401);
+      expect(customer.status).toBe(403);
+      expect(update.status).toBe(401);
+      expect(cancel.status).toBe(403);
+      expect(event.body.data.status).toBe('scheduled');
+    });
+
+    it('should record event changes in the admin audit log', async () => {
+      const eventId = (await createEvent()).body.data.id;
+      await request(app).patch(`/events/${eventId}`).set(admin).send({ name: 'Matinee' });
+      await request(app).post(`/events/${eventId}/cancel`).set(admin);
+
+      const audit = await request(app).get('/admin/audit').query({ eventId }).set(admin);
+
+      expect(audit.body.data.map(entry => entry.action)).toEqual(['event.cancelled', 'event.updated', 'event.created']);
+      expect(audit.body.data[1]).toMatchObject({ actor: 'boxoffice', details: { fields: ['name'] } });
+    });
+  });
+
+  describe('Seat state per event', () => {
+    it('should keep lock and booking state independent between events', async () => {
+      const first = await createEvent();
+      const second = await createEvent();
+
+      const lockRes = await request(app)
+        .post(`/events/${first.body.data.id}/seats/A1/lock`)
+        .set(auth('user1'));
+      expect(lockRes.status).toBe(200);
+
+      const otherRes = await request(app)
+        .post(`/events/${second.body.data.id}/seats/A1/lock`)
+        .set(auth('user2'));
+      expect(otherRes.status).toBe(200);
+
+      const defaultRes = await request(app).get('/seats/A1');
+      expect(defaultRes.body.data.status).toBe('available');
+
+      const confirmRes = await request(app)
+        .post(`/events/${first.body.data.id}/seats/A1/confirm`)
+        .set(auth('user1'))
+        .send({ lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+      expect(confirmRes.status).toBe(201);
+
+      const stats = await request(app).get(`/events/${second.body.data.id}/seats/statistics`);
+      expect(stats.body.data.booked).toBe(0);
+      expect(stats.body.data.locked).toBe(1);
+    });
+
+    it('should return 404 for seats of an unknown event', async () => {
+      const res = await request(app)
+        .post('/events/missing/seats/A1/lock')
+        .set(auth('user1'));
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /events/:eventId/cancel', () => {
+    it('should release locks and reject new ones', async () => {
+      const created = await createEvent();
+      const eventId = created.body.data.id;
+
+      await request(app)
+        .post(`/events/${eventId}/seats/B2/lock`)
+        .set(auth('user1'));
+
+      const cancelRes = await request(app).post(`/events/${eventId}/cancel`).set(admin);
+      expect(cancelRes.status).toBe(200);
+      expect(cancelRes.body.data.status).toBe('cancelled');
+
+      const seatRes = await request(app).get(`/events/${eventId}/seats/B2`);
+      expect(seatRes.body.data.status).toBe('available');
+
+      const lockRes = await request(app)
+        .post(`/events/${eventId}/seats/B2/lock`)
+        .set(auth('user2'));
+      expect(lockRes.status).toBe(409);
+      expect(lockRes.body.error).toContain('cancelled');
+
+      const again = await request(app).post(`/events/${eventId}/cancel`).set(admin);
+      expect(again.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { ExpiryScheduler, MinHeap } = require('../src/utils/expiryScheduler');
+const {
+  SeatModel,
+  LOCK_DURATION,
+  LOCK_EXTENSION,
+  MAX_LOCK_HOLD,
+  DEFAULT_EVENT_ID
+} = require('../src/models/seatModel');
+const { seatEvents, SEAT_EVENTS } = require('../src/events/seatEvents');
+const { createStore, setStore } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+describe('MinHeap', () => {
+  it('should pop entries in expiry order', () => {
+    const heap = new MinHeap();
+    [50, 10, 40, 30, 20, 60, 5].forEach(expiresAt => heap.push({ expiresAt }));
+
+    const popped = [];
+    while (heap.size > 0) {
+      popped.push(heap.pop().expiresAt);
+    }
+
+    expect(popped).toEqual([5, 10, 20, 30, 40, 50, 60]);
+  });
+});
+
+describe('ExpiryScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should fire each key exactly when it expires', () => {
+    const fired = [];
+    const scheduler = new ExpiryScheduler(payload => fired.push([payload, Date.now()]));
+    const start = Date.now();
+
+    scheduler.schedule('b', start + 200, 'b');
+    scheduler.schedule('a', start + 100, 'a');
+
+    jest.advanceTimersByTime(99);
+    expect(fired).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    expect(fired).toEqual([['a', start + 100]]);
+
+    jest.advanceTimersByTime(100);
+    expect(fired).toEqual([['a', start + 100], ['b', start + 200]]);
+    expect(scheduler.size).toBe(0);
+  });
+
+  it('should skip cancelled keys and honour rescheduling', () => {
+    const fired = [];
+    const scheduler = new ExpiryScheduler(payload => fired.push(payload));
+    const start = Date.now();
+
+    scheduler.schedule('a', start + 100, 'a');
+    scheduler.schedule('b', start + 100, 'b');
+    scheduler.cancel('a');
+    scheduler.schedule('b', start + 300, 'b-later');
+
+    jest.advanceTimersByTime(200);
+    expect(fired).toEqual([]);
+
+    jest.advanceTimersByTime(100);
+    expect(fired).toEqual(['b-later']);
+  });
+});
+
+describe('SeatModel lock expiry', () => {
+  let expired;
+  const onExpired = event => expired.push(event);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setStore(createStore('memory'));
+    expired = [];
+    seatEvents.on(SEAT_EVENTS.LOCK_EXPIRED, onExpired);
+  });
+
+  afterEach(() => {
+    seatEvents.off(SEAT_EVENTS.LOCK_EXPIRED, onExpired);
+    jest.useRealTimers();
+  });
+
+  it('should release a lock at its expiry and emit lock.expired', async () => {
+    const lock = await SeatModel.lockSeats(DEFAULT_EVENT_ID, ['C1', 'C2'], 'user1');
+
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION - 1);
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'C1').status).toBe('locked');
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'C1').status).toBe('available');
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'C2').status).toBe('available');
+    expect(expired).toEqual([
+      expect.objectContaining({
+        eventId: DEFAULT_EVENT_ID,
+        lockId: lock.lockId,
+        userId: 'user1',
+        seatIds: ['C1', 'C2']
+      })
+    ]);
+  });
+
+  it('should drop the timer once a lock is confirmed', async () => {
+    const lock = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'C3', 'user1');
+    expect(SeatModel.getPendingExpiries()).toBe(1);
+
+    await SeatModel.confirmBooking(DEFAULT_EVENT_ID, 'C3', 'user1', lock.lockId, null, { token: MOCK_TOKENS.SUCCESS });
+    expect(SeatModel.getPendingExpiries()).toBe(0);
+
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'C3').status).toBe('booked');
+    expect(expired).toEqual([]);
+  });
+
+  it('should keep the timer while part of a group is still locked', async () => {
+    const lock = await SeatModel.lockSeats(DEFAULT_EVENT_ID, ['C4', 'C5'], 'user1');
+
+    await SeatModel.unlockSeats(DEFAULT_EVENT_ID, ['C4'], 'user1', lock.lockId);
+    expect(SeatModel.getPendingExpiries()).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'C5').status).toBe('available');
+    expect(expired).toEqual([expect.objectContaining({ seatIds: ['C5'] })]);
+  });
+
+  it('should move the expiry timer when a lock is extended', async () => {
+    const lock = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D1', 'user1');
+
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION - 1000);
+    const extended = await SeatModel.extendLock(DEFAULT_EVENT_ID, 'D1', 'user1', lock.lockId);
+    expect(extended.success).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(LOCK_EXTENSION - 1);
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D1').status).toBe('locked');
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D1').status).toBe('available');
+  });
+
+  it('should never extend past the maximum hold time', async () => {
+    const lock = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D2', 'user1');
+    const maxHoldUntil = new Date(lock.seat.lockedAt.getTime() + MAX_LOCK_HOLD);
+    let result;
+
+    do {
+      await jest.advanceTimersByTimeAsync(LOCK_EXTENSION / 2);
+      result = await SeatModel.extendLock(DEFAULT_EVENT_ID, 'D2', 'user1', lock.lockId);
+      if (result.success) {
+        expect(result.lockExpiresAt.getTime()).toBeLessThanOrEqual(maxHoldUntil.getTime());
+      }
+    } while (result.success);
+
+    expect(result.error).toContain('maximum hold time');
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D2').lockExpiresAt).toEqual(maxHoldUntil);
+
+    await jest.advanceTimersByTimeAsync(maxHoldUntil.getTime() - Date.now());
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D2').status).toBe('available');
+  });
+});
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { SeatModel, LOCK_DURATION, DEFAULT_EVENT_ID } = require('../src/models/seatModel');
+const { SeatHistoryModel, HISTORY_RETENTION } = require('../src/models/seatHistoryModel');
+const { createStore, getStore, setStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+const admin = auth('boxoffice', 'admin');
+
+describe('Seat history', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const history = (seatId) => request(app).get(`/seats/${seatId}/history`).set(admin);
+
+  it('should record every transition with actor, statuses and lock', async () => {
+    const lockRes = await request(app).post('/seats/A5/lock').set(auth('alice'));
+    const { lockId } = lockRes.body.data;
+    await request(app).post('/seats/A5/lock/extend').set(auth('alice')).send({ lockId });
+    const confirmRes = await request(app)
+      .post('/seats/A5/confirm')
+      .set(auth('alice'))
+      .send({ lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+    const res = await history('a5');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.history).toEqual([
+      expect.objectContaining({ type: 'lock.acquired', actor: 'alice', fromStatus: 'available', toStatus: 'locked', lockId }),
+      expect.objectContaining({ type: 'lock.extended', actor: 'alice', fromStatus: 'locked', toStatus: 'locked', lockId }),
+      expect.objectContaining({
+        type: 'booking.confirmed',
+        actor: 'alice',
+        fromStatus: 'locked',
+        toStatus: 'booked',
+        lockId,
+        bookingId: confirmRes.body.data.booking.id
+      })
+    ]);
+  });
+
+  it('should record who released a lock and which lock it was', async () => {
+    const lockRes = await request(app).post('/seats/A6/lock').set(auth('alice'));
+    await request(app).post('/admin/seats/A6/release-lock').set(admin);
+    await request(app).post('/seats/A6/lock').set(auth('bob'));
+    await request(app).post('/seats/reset').set(admin);
+
+    const entries = (await history('A6')).body.data.history;
+
+    expect(entries.map(entry => [entry.type, entry.actor, entry.userId])).toEqual([
+      ['lock.acquired', 'alice', 'alice'],
+      ['lock.released', 'boxoffice', 'alice'],
+      ['lock.acquired', 'bob', 'bob'],
+      ['seats.reset', 'boxoffice', null]
+    ]);
+    expect(entries[1].lockId).toBe(lockRes.body.data.lockId);
+    expect(entries[3]).toMatchObject({ fromStatus: 'locked', toStatus: 'available', lockId: entries[2].lockId });
+  });
+
+  it('should list transitions in a time range', async () => {
+    await request(app).post('/seats/B1/lock').set(auth('alice'));
+    const middle = new Date();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await request(app).post('/seats/B2/lock').set(auth('bob'));
+
+    const before = await request(app).get('/audit').query({ to: middle.toISOString() }).set(admin);
+    const after = await request(app).get('/audit').query({ from: new Date(middle.getTime() + 1).toISOString() }).set(admin);
+    const all = await request(app).get('/audit').set(admin);
+
+    expect(before.body.data.map(entry => entry.seatId)).toEqual(['B1']);
+    expect(after.body.data.map(entry => entry.seatId)).toEqual(['B2']);
+    expect(all.body.data).toHaveLength(2);
+  });
+
+  it('should write a group change as a single record', async () => {
+    await request(app).post('/seats/lock').set(auth('alice')).send({ seatIds: ['D1', 'D2', 'D3'] });
+
+    const changes = getStore().list('seatHistory');
+    const entries = SeatHistoryModel.list();
+
+    expect(changes).toHaveLength(1);
+    expect(entries.map(entry => [entry.seatId, entry.type, entry.fromStatus, entry.toStatus])).toEqual([
+      ['D1', 'lock.acquired', 'available', 'locked'],
+      ['D2', 'lock.acquired', 'available', 'locked'],
+      ['D3', 'lock.acquired', 'available', 'locked']
+    ]);
+  });
+
+  it('should validate audit queries and restrict them to admins', async () => {
+    const badDate = await request(app).get('/audit?from=yesterday').set(admin);
+    const reversed = await request(app)
+      .get('/audit')
+      .query({ from: '2025-01-02T00:00:00Z', to: '2025-01-01T00:00:00Z' })
+      .set(admin);
+    const customer = await request(app).get('/audit').set(auth('alice'));
+    const seatHistory = await request(app).get('/seats/A1/history').set(auth('alice'));
+    const unknownSeat = await history('Z9');
+
+    expect(badDate.status).toBe(400);
+    expect(reversed.status).toBe(400);
+    expect(customer.status).toBe(403);
+    expect(seatHistory.status).toBe(403);
+    expect(unknownSeat.status).toBe(404);
+  });
+});
+
+describe('Seat history on lock expiry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setStore(createStore('memory'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should drop changes once they are older than the retention period', async () => {
+    await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'C2', 'alice');
+    jest.setSystemTime(Date.now() + HISTORY_RETENTION + 1);
+    await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'C3', 'bob');
+
+    expect(SeatHistoryModel.list().map(entry => entry.seatId)).toEqual(['C3']);
+  });
+
+  it('should record expiries as system transitions', async () => {
+    const locked = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'C1', 'alice');
+
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+
+    expect(SeatHistoryModel.forSeat(DEFAULT_EVENT_ID, 'C1')[1]).toMatchObject({
+      type: 'lock.expired',
+      actor: 'system',
+      userId: 'alice',
+      fromStatus: 'locked',
+      toStatus: 'available',
+      lockId: locked.lockId
+    });
+  });
+});
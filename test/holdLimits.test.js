@@ -0,0 +1,141 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { SeatModel, LOCK_DURATION, DEFAULT_EVENT_ID } = require('../src/models/seatModel');
+const {
+  LockCooldownModel,
+  COOLDOWN_STRIKES,
+  COOLDOWN_WINDOW,
+  COOLDOWN_DURATION
+} = require('../src/models/lockCooldownModel');
+const { createStore, getStore, setStore } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Seats 1-8 of each given row
+const rowsOf = (...rows) => rows.flatMap(row => [1, 2, 3, 4, 5, 6, 7, 8].map(number => `${row}${number}`));
+
+describe('Per-user hold limits', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const lockGroup = (seatIds, userId = 'hoarder') => request(app)
+    .post('/seats/lock')
+    .set(auth(userId))
+    .send({ seatIds });
+
+  it('should cap the seats a user holds at once', async () => {
+    await lockGroup([...rowsOf('A'), 'B1', 'B2']);
+
+    const oneMore = await request(app).post('/seats/B3/lock').set(auth('hoarder'));
+    const someoneElse = await request(app).post('/seats/B3/lock').set(auth('user2'));
+
+    expect(oneMore.status).toBe(409);
+    expect(oneMore.body.error).toBe('You may hold at most 10 seats at once (holding 10)');
+    expect(someoneElse.status).toBe(200);
+  });
+
+  it('should cap the seats a user books for an event', async () => {
+    const book = async (seatIds) => {
+      const locked = await lockGroup(seatIds);
+      return request(app)
+        .post('/seats/confirm')
+        .set(auth('hoarder'))
+        .send({ seatIds, lockId: locked.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+    };
+    await book(rowsOf('A').concat('B1', 'B2'));
+    await book(rowsOf('C'));
+
+    const withinLimit = await lockGroup(['D1', 'D2']);
+    const overLimit = await lockGroup(['E1']);
+
+    expect(withinLimit.status).toBe(200);
+    expect(overLimit.status).toBe(409);
+    expect(overLimit.body.error).toBe('You may book at most 20 seats for this event (holding or booked 20)');
+  });
+
+  it('should apply the limit atomically to concurrent requests', async () => {
+    const results = await Promise.all([
+      lockGroup(rowsOf('A').slice(0, 6)),
+      lockGroup(rowsOf('B').slice(0, 6))
+    ]);
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 409]);
+  });
+});
+
+describe('Cooldown after expired locks', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setStore(createStore('memory'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Lock a seat and let the lock run out
+  const letExpire = async (seatId, userId) => {
+    await SeatModel.lockSeat(DEFAULT_EVENT_ID, seatId, userId);
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+  };
+
+  it('should refuse locks for a while after repeated expiries', async () => {
+    for (let strike = 0; strike < COOLDOWN_STRIKES; strike++) {
+      await letExpire('C1', 'hoarder');
+    }
+
+    const refused = await SeatModel.lockSeats(DEFAULT_EVENT_ID, ['C1'], 'hoarder');
+    const other = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'C2', 'user2');
+    await jest.advanceTimersByTimeAsync(COOLDOWN_DURATION);
+    const later = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'C1', 'hoarder');
+
+    expect(refused).toMatchObject({ success: false, retryAfter: COOLDOWN_DURATION / 1000 });
+    expect(refused.error).toContain('Too many of your locks expired');
+    expect(other.success).toBe(true);
+    expect(later.success).toBe(true);
+  });
+
+  it('should count a group lock as one strike even when its seats expire one by one', async () => {
+    await SeatModel.lockSeats(DEFAULT_EVENT_ID, ['C4', 'C5', 'C6'], 'hoarder');
+    // The lock runs out, and other customers reach its seats before its timer
+    jest.setSystemTime(Date.now() + LOCK_DURATION);
+    for (const seatId of ['C4', 'C5', 'C6']) {
+      await SeatModel.lockSeats(DEFAULT_EVENT_ID, [seatId], `user-${seatId}`);
+    }
+
+    const next = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'C7', 'hoarder');
+
+    expect(next.success).toBe(true);
+    expect(LockCooldownModel.cooldownUntil('hoarder')).toBeNull();
+  });
+
+  it('should not count locks that ran out long before a restart', async () => {
+    for (const seatId of ['C4', 'C5', 'C6']) {
+      await SeatModel.lockSeat(DEFAULT_EVENT_ID, seatId, 'hoarder');
+    }
+    const store = getStore();
+    // The process is down well past the strike window, then loads its state
+    jest.setSystemTime(Date.now() + LOCK_DURATION + COOLDOWN_WINDOW);
+    setStore(store);
+
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'C4').status).toBe('available');
+    expect(LockCooldownModel.cooldownUntil('hoarder')).toBeNull();
+  });
+
+  it('should answer locks during a cooldown with 429 and Retry-After', async () => {
+    for (let strike = 0; strike < COOLDOWN_STRIKES; strike++) {
+      await letExpire('C3', 'hoarder');
+    }
+    jest.useRealTimers();
+
+    const res = await request(app).post('/seats/C3/lock').set(auth('hoarder'));
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.body.cooldownUntil).toBeDefined();
+  });
+});
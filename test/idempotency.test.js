@@ -0,0 +1,153 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { BookingModel } = require('../src/models/bookingModel');
+const {
+  IdempotencyModel,
+  IDEMPOTENCY_STATUS,
+  IDEMPOTENCY_TTL,
+  IN_PROGRESS_TTL
+} = require('../src/models/idempotencyModel');
+const { createPaymentProvider, setPaymentProvider, MockGateway, MOCK_TOKENS } = require('../src/payments');
+const { createStore, getStore, setStore } = require('../src/storage');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+describe('Idempotency keys', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const lock = (seatId, userId, key) => request(app)
+    .post(`/seats/${seatId}/lock`)
+    .set(auth(userId))
+    .set('Idempotency-Key', key);
+
+  const confirm = (seatId, userId, lockId, key) => request(app)
+    .post(`/seats/${seatId}/confirm`)
+    .set(auth(userId))
+    .set('Idempotency-Key', key)
+    .send({ lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+  it('should replay a retried confirm instead of answering "not locked"', async () => {
+    const lockRes = await lock('A1', 'user1', 'lock-1');
+
+    const first = await confirm('A1', 'user1', lockRes.body.data.lockId, 'confirm-1');
+    const retry = await confirm('A1', 'user1', lockRes.body.data.lockId, 'confirm-1');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(first.headers.etag).toBeDefined();
+    expect(retry.headers.etag).toBe(first.headers.etag);
+    expect(BookingModel.listBookings()).toHaveLength(1);
+  });
+
+  it('should replay retried locks and unlocks', async () => {
+    const first = await lock('A2', 'user1', 'lock-2');
+    const retry = await lock('A2', 'user1', 'lock-2');
+
+    expect(retry.status).toBe(200);
+    expect(retry.body.data.lockId).toBe(first.body.data.lockId);
+
+    const unlock = () => request(app)
+      .delete('/seats/unlock')
+      .set(auth('user1'))
+      .set('Idempotency-Key', 'unlock-2')
+      .send({ seatIds: ['A2'], lockId: first.body.data.lockId });
+    const unlocked = await unlock();
+    const unlockRetry = await unlock();
+
+    expect(unlocked.status).toBe(200);
+    expect(unlockRetry.status).toBe(200);
+    expect(unlockRetry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should run requests without a key every time', async () => {
+    const first = await request(app).post('/seats/A3/lock').set(auth('user1'));
+    const second = await request(app).post('/seats/A3/lock').set(auth('user1'));
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(409);
+  });
+
+  it('should refuse a key reused for a different request', async () => {
+    await lock('A4', 'user1', 'lock-4');
+
+    const reused = await lock('A5', 'user1', 'lock-4');
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.error).toBe('Idempotency conflict');
+  });
+
+  it('should scope keys to the user sending them', async () => {
+    const mine = await lock('B1', 'user1', 'same-key');
+    const theirs = await lock('B1', 'user2', 'same-key');
+
+    expect(mine.status).toBe(200);
+    expect(theirs.status).toBe(409);
+    expect(theirs.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('should answer 409 to a retry while the first request is still running', async () => {
+    setPaymentProvider(new MockGateway({ latency: 50 }));
+    const lockRes = await lock('B2', 'user1', 'lock-b2');
+
+    try {
+      const [first, second] = await Promise.all([
+        confirm('B2', 'user1', lockRes.body.data.lockId, 'confirm-b2'),
+        confirm('B2', 'user1', lockRes.body.data.lockId, 'confirm-b2')
+      ]);
+
+      expect([first.status, second.status].sort()).toEqual([201, 409]);
+      expect([first, second].find(res => res.status === 409).body.details).toContain('still in progress');
+    } finally {
+      setPaymentProvider(createPaymentProvider('mock'));
+    }
+  });
+
+  it('should reject an overlong key', async () => {
+    const res = await lock('B3', 'user1', 'k'.repeat(256));
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should forget responses once the replay window is over', () => {
+    const now = new Date();
+    IdempotencyModel.begin('user1', 'old-key', 'fingerprint', now);
+    IdempotencyModel.complete('user1', 'old-key', 200, { success: true }, {}, now);
+
+    const within = IdempotencyModel.begin('user1', 'old-key', 'fingerprint', new Date(now.getTime() + IDEMPOTENCY_TTL - 1));
+    const after = IdempotencyModel.begin('user1', 'old-key', 'fingerprint', new Date(now.getTime() + IDEMPOTENCY_TTL));
+
+    expect(within.status).toBe(IDEMPOTENCY_STATUS.REPLAY);
+    expect(after.status).toBe(IDEMPOTENCY_STATUS.NEW);
+  });
+
+  it('should free a key whose request never answered', () => {
+    const now = new Date();
+    IdempotencyModel.begin('user1', 'cut-off', 'fingerprint', now);
+
+    const running = IdempotencyModel.begin('user1', 'cut-off', 'fingerprint', new Date(now.getTime() + IN_PROGRESS_TTL - 1));
+    const freed = IdempotencyModel.begin('user1', 'cut-off', 'fingerprint', new Date(now.getTime() + IN_PROGRESS_TTL));
+
+    expect(running.status).toBe(IDEMPOTENCY_STATUS.IN_PROGRESS);
+    expect(freed.status).toBe(IDEMPOTENCY_STATUS.NEW);
+  });
+
+  it('should sweep expired records at most once a minute', () => {
+    const now = new Date();
+    IdempotencyModel.begin('user1', 'old-key', 'fingerprint', now);
+    IdempotencyModel.complete('user1', 'old-key', 200, { success: true }, {}, now);
+    const later = (ms) => new Date(now.getTime() + IDEMPOTENCY_TTL + ms);
+    const list = jest.spyOn(getStore(), 'list');
+
+    IdempotencyModel.begin('user1', 'key-1', 'fingerprint', later(0));
+    IdempotencyModel.begin('user1', 'key-2', 'fingerprint', later(1000));
+
+    expect(list).toHaveBeenCalledTimes(1);
+    expect(getStore().get('idempotencyKeys', 'user1:old-key')).toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+const { KeyedMutex, MutexTimeoutError } = require('../src/utils/keyedMutex');
+
+describe('KeyedMutex', () => {
+  it('should grant waiters in FIFO order', async () => {
+    const mutex = new KeyedMutex();
+    const order = [];
+    const release = await mutex.acquire('A1');
+
+    const waiters = [1, 2, 3, 4, 5].map(n =>
+      mutex.acquire('A1').then(releaseNext => {
+        order.push(n);
+        releaseNext();
+      })
+    );
+
+    release();
+    await Promise.all(waiters);
+
+    expect(order).toEqual([1, 2, 3, 4, 5]);
+    expect(mutex.isLocked('A1')).toBe(false);
+  });
+
+  it('should not block different keys', async () => {
+    const mutex = new KeyedMutex();
+    const releaseA = await mutex.acquire('A1');
+    const releaseB = await mutex.acquire('B1');
+
+    expect(mutex.isLocked('A1')).toBe(true);
+    expect(mutex.isLocked('B1')).toBe(true);
+    releaseA();
+    releaseB();
+  });
+
+  it('should reject with a TIMEOUT error and skip the expired waiter', async () => {
+    const mutex = new KeyedMutex({ timeout: 20 });
+    const release = await mutex.acquire('A1');
+
+    const timedOut = mutex.acquire('A1');
+    const patient = mutex.acquire('A1', { timeout: 1000 });
+
+    await expect(timedOut).rejects.toBeInstanceOf(MutexTimeoutError);
+    await expect(timedOut).rejects.toMatchObject({ code: 'TIMEOUT', key: 'A1' });
+
+    release();
+    const releasePatient = await patient;
+    expect(mutex.isLocked('A1')).toBe(true);
+    releasePatient();
+    expect(mutex.getMetrics().timeouts).toBe(1);
+  });
+
+  it('should ignore a second call to the same release function', async () => {
+    const mutex = new KeyedMutex();
+    const release = await mutex.acquire('A1');
+    const next = mutex.acquire('A1');
+
+    release();
+    release();
+    const releaseNext = await next;
+
+    expect(mutex.isLocked('A1')).toBe(true);
+    releaseNext();
+    expect(mutex.isLocked('A1')).toBe(false);
+  });
+
+  it('should report wait-time metrics', async () => {
+    const mutex = new KeyedMutex();
+    const release = await mutex.acquire('A1');
+    const waiter = mutex.acquire('A1');
+
+    await new Promise(resolve => setTimeout(resolve, 15));
+    release();
+    (await waiter)();
+
+    const metrics = mutex.getMetrics();
+    expect(metrics.acquisitions).toBe(2);
+    expect(metrics.contended).toBe(1);
+    expect(metrics.maxQueueLength).toBe(1);
+    expect(metrics.maxWaitMs).toBeGreaterThanOrEqual(10);
+    expect(metrics.held).toBe(0);
+    expect(metrics.waiting).toBe(0);
+  });
+});
@@ -0,0 +1,248 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { SeatModel, SEAT_STATUS, LOCK_DURATION, DEFAULT_EVENT_ID } = require('../src/models/seatModel');
+const { PaymentModel, PAYMENT_TIMEOUT } = require('../src/models/paymentModel');
+const { createPaymentProvider, setPaymentProvider, MockGateway, MOCK_TOKENS } = require('../src/payments');
+const { TICKET_PRICE } = require('../src/utils/pricing');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+describe('Payments', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  afterEach(() => {
+    setPaymentProvider(createPaymentProvider('mock'));
+  });
+
+  const lock = (seatIds, userId, promoCode) => request(app)
+    .post('/seats/lock')
+    .set(auth(userId))
+    .send({ seatIds, promoCode });
+
+  const confirm = (seatIds, userId, lockId, payment) => request(app)
+    .post('/seats/confirm')
+    .set(auth(userId))
+    .send({ seatIds, lockId, payment });
+
+  it('should book the seats once the payment succeeds', async () => {
+    const lockRes = await lock(['A1', 'A2'], 'user1');
+
+    const res = await confirm(['A1', 'A2'], 'user1', lockRes.body.data.lockId, { token: MOCK_TOKENS.SUCCESS });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.payment).toMatchObject({
+      status: 'succeeded',
+      provider: 'mock',
+      amount: 2 * TICKET_PRICE,
+      bookingId: res.body.data.booking.id
+    });
+    expect(res.body.data.booking.paymentId).toBe(res.body.data.payment.id);
+  });
+
+  it('should release the seats when the payment is declined', async () => {
+    const admin = auth('boxoffice', 'admin');
+    await request(app).post('/admin/promo-codes').set(admin).send({ code: 'SOLO', type: 'percent', value: 10, maxRedemptions: 1 });
+    const lockRes = await lock(['B1'], 'user1', 'SOLO');
+
+    const res = await confirm(['B1'], 'user1', lockRes.body.data.lockId, { token: MOCK_TOKENS.DECLINE });
+
+    expect(res.status).toBe(402);
+    expect(res.body.error).toContain('Card declined');
+    expect(res.body.payment.status).toBe('failed');
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'B1').status).toBe(SEAT_STATUS.AVAILABLE);
+
+    // Neither the seat nor the promo code use stays with the failed payment
+    const retry = await lock(['B1'], 'user2', 'SOLO');
+    expect(retry.status).toBe(200);
+  });
+
+  it('should refuse to confirm a lock twice while its payment is under way', async () => {
+    setPaymentProvider(new MockGateway({ latency: 50 }));
+    const lockRes = await lock(['C1'], 'user1');
+    const { lockId } = lockRes.body.data;
+
+    const [first, second] = await Promise.all([
+      confirm(['C1'], 'user1', lockId, { token: MOCK_TOKENS.SUCCESS }),
+      confirm(['C1'], 'user1', lockId, { token: MOCK_TOKENS.SUCCESS })
+    ]);
+
+    expect([first.status, second.status].sort()).toEqual([201, 409]);
+    expect([first, second].find(res => res.status === 409).body.error).toContain('already in progress');
+  });
+
+  it('should treat a provider error as a failed payment', async () => {
+    setPaymentProvider({
+      name: 'broken',
+      charge: () => Promise.reject(new Error('Gateway unavailable')),
+      refund: () => Promise.resolve({ status: 'refunded' })
+    });
+    const res = await request(app).post('/seats/C2/lock').set(auth('user1'));
+
+    const confirmRes = await request(app)
+      .post('/seats/C2/confirm')
+      .set(auth('user1'))
+      .send({ lockId: res.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+    expect(confirmRes.status).toBe(402);
+    expect(confirmRes.body.payment).toMatchObject({ provider: 'broken', failureReason: 'Gateway unavailable' });
+  });
+
+  it('should decline a payment without a token', async () => {
+    const lockRes = await lock(['C4'], 'user1');
+
+    const res = await confirm(['C4'], 'user1', lockRes.body.data.lockId);
+
+    expect(res.status).toBe(402);
+    expect(res.body.payment.failureReason).toBe('A payment token is required');
+  });
+
+  it('should refund the amount due when a paid booking is cancelled', async () => {
+    const gateway = setPaymentProvider(new MockGateway());
+    await request(app)
+      .patch('/events/default')
+      .set(auth('boxoffice', 'admin'))
+      .send({ cancellationPolicy: { cutoffMinutes: 0, feePercent: 10 } });
+    const lockRes = await lock(['C5', 'C6'], 'user1');
+    const confirmRes = await confirm(['C5', 'C6'], 'user1', lockRes.body.data.lockId, { token: MOCK_TOKENS.SUCCESS });
+    const { booking, payment } = confirmRes.body.data;
+
+    const res = await request(app).post(`/bookings/${booking.id}/cancel`).set(auth('user1'));
+
+    const refundAmount = 2 * TICKET_PRICE * 0.9;
+    expect(res.body.data.booking.cancellation.refundAmount).toBe(refundAmount);
+    expect(res.body.data.payment).toMatchObject({ id: payment.id, status: 'partially_refunded', refundedAmount: refundAmount });
+    expect(gateway.charges.get(payment.providerReference).refunded).toBe(refundAmount);
+  });
+
+  it('should refund paid bookings and keep their intents when the seats are reset', async () => {
+    const gateway = setPaymentProvider(new MockGateway());
+    const lockRes = await lock(['C5', 'C6'], 'user1');
+    const confirmRes = await confirm(['C5', 'C6'], 'user1', lockRes.body.data.lockId, { token: MOCK_TOKENS.SUCCESS });
+    const { payment } = confirmRes.body.data;
+
+    const res = await request(app).post('/seats/reset').set(auth('boxoffice', 'admin'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refundedBookings).toBe(1);
+    expect(PaymentModel.getIntent(payment.id)).toMatchObject({ status: 'refunded', refundedAmount: payment.amount });
+    expect(gateway.charges.get(payment.providerReference).refunded).toBe(payment.amount);
+  });
+
+  it('should refuse a reset while a payment is under way or a refund fails', async () => {
+    setPaymentProvider(new MockGateway({ latency: 200 }));
+    const lockRes = await lock(['C5'], 'user1');
+    const paying = confirm(['C5'], 'user1', lockRes.body.data.lockId, { token: MOCK_TOKENS.SUCCESS }).then(res => res);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const during = await request(app).post('/seats/reset').set(auth('boxoffice', 'admin'));
+
+    expect(during.status).toBe(409);
+    expect(during.body.error).toContain('in progress');
+
+    const { booking, payment } = (await paying).body.data;
+    setPaymentProvider({
+      name: 'mock',
+      charge: () => Promise.resolve({ status: 'declined', reason: 'Card declined' }),
+      refund: () => Promise.resolve({ status: 'failed', reason: 'Provider unavailable' })
+    });
+
+    const refused = await request(app).post('/seats/reset').set(auth('boxoffice', 'admin'));
+
+    expect(refused.status).toBe(409);
+    expect(refused.body.error).toContain(booking.reference);
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'C5').status).toBe(SEAT_STATUS.BOOKED);
+    expect(PaymentModel.getIntent(payment.id)).toMatchObject({
+      status: 'succeeded',
+      refundFailureReason: 'Provider unavailable'
+    });
+  });
+
+  it('should reject malformed payment details', async () => {
+    const lockRes = await lock(['C3'], 'user1');
+
+    const res = await confirm(['C3'], 'user1', lockRes.body.data.lockId, 'tok_success');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Payments with fake timers', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setStore(createStore('memory'));
+  });
+
+  afterEach(() => {
+    setPaymentProvider(createPaymentProvider('mock'));
+    jest.useRealTimers();
+  });
+
+  it('should fail the payment and release the seat when the provider times out', async () => {
+    const locked = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D1', 'user1');
+
+    const pending = SeatModel.confirmBooking(DEFAULT_EVENT_ID, 'D1', 'user1', locked.lockId, null, {
+      token: MOCK_TOKENS.TIMEOUT
+    });
+    await jest.advanceTimersByTimeAsync(PAYMENT_TIMEOUT);
+    const result = await pending;
+
+    expect(result).toMatchObject({ success: false, paymentFailed: true });
+    expect(result.payment.failureReason).toContain('did not respond');
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D1').status).toBe(SEAT_STATUS.AVAILABLE);
+  });
+
+  it('should refund a charge that succeeds after it timed out', async () => {
+    const refund = jest.fn(() => Promise.resolve({ status: 'refunded' }));
+    setPaymentProvider({
+      name: 'slow',
+      charge: () => new Promise(resolve => {
+        setTimeout(() => resolve({ status: 'succeeded', reference: 'ch_late' }), PAYMENT_TIMEOUT + 1000);
+      }),
+      refund
+    });
+    const locked = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D3', 'user1');
+
+    const pending = SeatModel.confirmBooking(DEFAULT_EVENT_ID, 'D3', 'user1', locked.lockId, null, {
+      token: MOCK_TOKENS.SUCCESS
+    });
+    await jest.advanceTimersByTimeAsync(PAYMENT_TIMEOUT);
+    const result = await pending;
+    expect(result.payment.status).toBe('failed');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(refund).toHaveBeenCalledWith(expect.objectContaining({ reference: 'ch_late', amount: TICKET_PRICE }));
+    expect(PaymentModel.getIntent(result.payment.id)).toMatchObject({ status: 'refunded', providerReference: 'ch_late' });
+  });
+
+  it('should refund the payment when the lock expires mid-payment', async () => {
+    setPaymentProvider(new MockGateway({ latency: 5000 }));
+    const locked = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D2', 'user1');
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION - 1000);
+
+    const pending = SeatModel.confirmBooking(DEFAULT_EVENT_ID, 'D2', 'user1', locked.lockId, null, {
+      token: MOCK_TOKENS.SUCCESS
+    });
+    // The charge and then its refund each take the gateway's latency
+    await jest.advanceTimersByTimeAsync(2 * 5000);
+    const result = await pending;
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('expired during payment');
+    expect(result.payment.status).toBe('refunded');
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D2')).toMatchObject({
+      status: SEAT_STATUS.AVAILABLE,
+      bookingId: null
+    });
+  });
+});
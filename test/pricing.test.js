@@ -0,0 +1,181 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { DEFAULT_PRICES, TICKET_PRICE, multiplierFor } = require('../src/utils/pricing');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+const admin = auth('boxoffice', 'admin');
+
+// A single row of four seats, small enough to fill up in a test
+const SMALL_LAYOUT = { sections: [{ id: 'floor', rows: [{ label: 'A', seats: 4 }] }] };
+
+describe('Pricing', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const createEvent = async (fields) => {
+    const res = await request(app).post('/events').set(admin).send({ name: 'Evening show', ...fields });
+    return res.body.data.id;
+  };
+
+  const lock = (base, seatIds, userId) => request(app)
+    .post(`${base}/lock`)
+    .set(auth(userId))
+    .send({ seatIds });
+
+  const confirm = (base, seatIds, userId, lockId) => request(app)
+    .post(`${base}/confirm`)
+    .set(auth(userId))
+    .send({ seatIds, lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+  it('should quote a total when seats are locked and charge it on confirm', async () => {
+    const lockRes = await lock('/seats', ['A1', 'A2'], 'user1');
+
+    expect(lockRes.body.data.quote).toEqual({
+      seats: [
+        { seatId: 'A1', category: 'standard', price: TICKET_PRICE },
+        { seatId: 'A2', category: 'standard', price: TICKET_PRICE }
+      ],
+      subtotal: 2 * TICKET_PRICE,
+      discount: null,
+      total: 2 * TICKET_PRICE,
+      currency: 'USD',
+      multiplier: 1
+    });
+
+    const confirmRes = await confirm('/seats', ['A1', 'A2'], 'user1', lockRes.body.data.lockId);
+    expect(confirmRes.body.data.booking.amount).toBe(lockRes.body.data.quote.total);
+  });
+
+  it('should quote single-seat locks too', async () => {
+    const res = await request(app).post('/seats/C4/lock').set(auth('user1'));
+
+    expect(res.body.data.quote.total).toBe(TICKET_PRICE);
+    expect(res.body.data.seat.quotedPrice).toBe(TICKET_PRICE);
+  });
+
+  it('should price seats by row, section and accessibility category', async () => {
+    const eventId = await createEvent({ layoutId: 'playhouse' });
+
+    const res = await lock(`/events/${eventId}/seats`, ['A1', 'A3', 'C2'], 'user1');
+
+    expect(res.body.data.quote.seats).toEqual([
+      { seatId: 'A1', category: 'accessible', price: DEFAULT_PRICES.accessible },
+      { seatId: 'A3', category: 'premium', price: DEFAULT_PRICES.premium },
+      { seatId: 'C2', category: 'standard', price: DEFAULT_PRICES.standard }
+    ]);
+  });
+
+  it('should use the prices an event sets', async () => {
+    const eventId = await createEvent({ pricing: { prices: { standard: 2500 } } });
+
+    const res = await lock(`/events/${eventId}/seats`, ['B1'], 'user1');
+    const event = await request(app).get(`/events/${eventId}`);
+
+    expect(res.body.data.quote.total).toBe(2500);
+    expect(event.body.data.pricing.prices).toEqual({ ...DEFAULT_PRICES, standard: 2500 });
+  });
+
+  it('should honour the quoted price if prices change before confirming', async () => {
+    const eventId = await createEvent({});
+    const base = `/events/${eventId}/seats`;
+    const lockRes = await lock(base, ['B1'], 'user1');
+
+    await request(app).patch(`/events/${eventId}`).set(admin).send({ pricing: { prices: { standard: 9900 } } });
+    const confirmRes = await confirm(base, ['B1'], 'user1', lockRes.body.data.lockId);
+    const laterLock = await lock(base, ['B2'], 'user2');
+
+    expect(confirmRes.body.data.booking.amount).toBe(TICKET_PRICE);
+    expect(laterLock.body.data.quote.total).toBe(9900);
+  });
+
+  it('should only let admins change prices and audit each change', async () => {
+    const eventId = await createEvent({});
+
+    const anonymous = await request(app).patch(`/events/${eventId}`).send({ pricing: { prices: { standard: 0 } } });
+    const customer = await request(app)
+      .patch(`/events/${eventId}`)
+      .set(auth('user1'))
+      .send({ pricing: { prices: { standard: 0 } } });
+    await request(app).patch(`/events/${eventId}`).set(admin).send({ pricing: { prices: { standard: 4000 } } });
+    const lockRes = await lock(`/events/${eventId}/seats`, ['B1'], 'user1');
+    const audit = await request(app).get('/admin/audit').query({ eventId }).set(admin);
+
+    expect(anonymous.status).toBe(401);
+    expect(customer.status).toBe(403);
+    expect(lockRes.body.data.quote.total).toBe(4000);
+    expect(audit.body.data[0]).toMatchObject({
+      action: 'event.pricing_changed',
+      actor: 'boxoffice',
+      details: {
+        from: { prices: DEFAULT_PRICES, dynamic: null },
+        to: { prices: { ...DEFAULT_PRICES, standard: 4000 }, dynamic: null }
+      }
+    });
+  });
+
+  it('should raise prices with occupancy when dynamic pricing is on', async () => {
+    const eventId = await createEvent({
+      layout: SMALL_LAYOUT,
+      pricing: { dynamic: { tiers: [{ occupancy: 0.5, multiplier: 1.5 }] } }
+    });
+    const base = `/events/${eventId}/seats`;
+
+    const early = await lock(base, ['A1', 'A2'], 'user1');
+    const late = await lock(base, ['A3'], 'user2');
+    const event = await request(app).get(`/events/${eventId}`);
+
+    expect(early.body.data.quote).toMatchObject({ total: 2 * TICKET_PRICE, multiplier: 1 });
+    expect(late.body.data.quote).toMatchObject({ total: TICKET_PRICE * 1.5, multiplier: 1.5 });
+    expect(event.body.data.pricing).toMatchObject({ occupancy: 0.75, multiplier: 1.5 });
+  });
+
+  it('should reject invalid pricing', async () => {
+    const unknownCategory = await request(app)
+      .post('/events')
+      .set(admin)
+      .send({ name: 'Evening show', pricing: { prices: { vip: 10000 } } });
+    const badTier = await request(app)
+      .post('/events')
+      .set(admin)
+      .send({ name: 'Evening show', pricing: { dynamic: { tiers: [{ occupancy: 2, multiplier: 1.2 }] } } });
+    const badLayout = await request(app)
+      .post('/events')
+      .set(admin)
+      .send({ name: 'Evening show', layout: { sections: [{ id: 'floor', category: 'vip', rows: [{ label: 'A', seats: 2 }] }] } });
+
+    expect(unknownCategory.status).toBe(400);
+    expect(badTier.status).toBe(400);
+    expect(badLayout.status).toBe(400);
+  });
+
+  describe('multiplierFor', () => {
+    const dynamic = {
+      tiers: [
+        { occupancy: 0.8, multiplier: 2 },
+        { occupancy: 0.5, multiplier: 1.25 }
+      ]
+    };
+
+    it('should pick the highest tier reached', () => {
+      expect(multiplierFor(dynamic, 0.2)).toBe(1);
+      expect(multiplierFor(dynamic, 0.5)).toBe(1.25);
+      expect(multiplierFor(dynamic, 0.9)).toBe(2);
+    });
+
+    it('should leave prices alone without dynamic pricing', () => {
+      expect(multiplierFor(null, 1)).toBe(1);
+    });
+  });
+});
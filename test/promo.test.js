@@ -0,0 +1,271 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { SeatModel, LOCK_DURATION, DEFAULT_EVENT_ID } = require('../src/models/seatModel');
+const { PromoModel } = require('../src/models/promoModel');
+const { TICKET_PRICE } = require('../src/utils/pricing');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+const admin = auth('boxoffice', 'admin');
+
+describe('Promo codes', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const createCode = (definition) => request(app)
+    .post('/admin/promo-codes')
+    .set(admin)
+    .send(definition);
+
+  const lock = (seatIds, userId, promoCode) => request(app)
+    .post('/seats/lock')
+    .set(auth(userId))
+    .send({ seatIds, promoCode });
+
+  const confirm = (seatIds, userId, lockId, promoCode) => request(app)
+    .post('/seats/confirm')
+    .set(auth(userId))
+    .send({ seatIds, lockId, promoCode, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+  describe('Admin management', () => {
+    it('should create, list and deactivate codes', async () => {
+      const created = await createCode({ code: 'spring10', type: 'percent', value: 10 });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({ code: 'SPRING10', active: true, redeemed: 0, reserved: 0 });
+
+      const list = await request(app).get('/admin/promo-codes').set(admin);
+      expect(list.body.data.map(promo => promo.code)).toEqual(['SPRING10']);
+
+      const deactivated = await request(app).post('/admin/promo-codes/spring10/deactivate').set(admin);
+      expect(deactivated.body.data.active).toBe(false);
+
+      const lockRes = await lock(['A1'], 'user1', 'SPRING10');
+      expect(lockRes.status).toBe(409);
+      expect(lockRes.body.error).toContain('not valid');
+    });
+
+    it('should reject invalid or duplicate codes', async () => {
+      const badValue = await createCode({ code: 'HALF', type: 'percent', value: 150 });
+      const badType = await createCode({ code: 'HALF', type: 'bogo', value: 1 });
+      await createCode({ code: 'HALF', type: 'percent', value: 50 });
+      const duplicate = await createCode({ code: 'half', type: 'percent', value: 50 });
+      const customer = await request(app)
+        .post('/admin/promo-codes')
+        .set(auth('user1'))
+        .send({ code: 'FREE', type: 'percent', value: 100 });
+
+      expect(badValue.status).toBe(400);
+      expect(badType.status).toBe(400);
+      expect(duplicate.status).toBe(409);
+      expect(customer.status).toBe(403);
+    });
+  });
+
+  describe('Applying codes', () => {
+    it('should discount the quote at lock time and honour it on confirm', async () => {
+      await createCode({ code: 'SPRING10', type: 'percent', value: 10 });
+
+      const lockRes = await lock(['A1', 'A2'], 'user1', 'spring10');
+
+      expect(lockRes.status).toBe(200);
+      expect(lockRes.body.data.quote).toMatchObject({
+        subtotal: 2 * TICKET_PRICE,
+        discount: { code: 'SPRING10', amount: TICKET_PRICE / 5 },
+        total: 2 * TICKET_PRICE - TICKET_PRICE / 5
+      });
+
+      // Deactivating the code later does not take the quoted discount away
+      await request(app).post('/admin/promo-codes/SPRING10/deactivate').set(admin);
+      const confirmRes = await confirm(['A1', 'A2'], 'user1', lockRes.body.data.lockId);
+
+      expect(confirmRes.status).toBe(201);
+      expect(confirmRes.body.data.booking).toMatchObject({
+        subtotal: 2 * TICKET_PRICE,
+        discount: { code: 'SPRING10', amount: TICKET_PRICE / 5 },
+        amount: lockRes.body.data.quote.total
+      });
+      const promo = await request(app).get('/admin/promo-codes/SPRING10').set(admin);
+      expect(promo.body.data).toMatchObject({ redeemed: 1, reserved: 0 });
+    });
+
+    it('should apply a code at confirm time', async () => {
+      await createCode({ code: 'TENOFF', type: 'fixed', value: 1000 });
+      const lockRes = await request(app).post('/seats/B1/lock').set(auth('user1'));
+
+      const confirmRes = await request(app)
+        .post('/seats/B1/confirm')
+        .set(auth('user1'))
+        .send({ lockId: lockRes.body.data.lockId, promoCode: 'TENOFF', payment: { token: MOCK_TOKENS.SUCCESS } });
+
+      expect(confirmRes.status).toBe(201);
+      expect(confirmRes.body.data.booking).toMatchObject({
+        discount: { code: 'TENOFF', amount: 1000 },
+        amount: TICKET_PRICE - 1000
+      });
+    });
+
+    it('should refuse a different code at confirm than the one reserved at lock', async () => {
+      await createCode({ code: 'FIRST', type: 'percent', value: 10 });
+      await createCode({ code: 'SECOND', type: 'percent', value: 20 });
+      const lockRes = await lock(['B2'], 'user1', 'FIRST');
+
+      const confirmRes = await confirm(['B2'], 'user1', lockRes.body.data.lockId, 'SECOND');
+
+      expect(confirmRes.status).toBe(409);
+      expect(confirmRes.body.error).toContain('already uses promo code FIRST');
+    });
+
+    it('should never discount more than the eligible seats cost', async () => {
+      await createCode({ code: 'BIG', type: 'fixed', value: 100 * TICKET_PRICE });
+
+      const lockRes = await lock(['B3'], 'user1', 'BIG');
+
+      expect(lockRes.body.data.quote.total).toBe(0);
+    });
+
+    it('should refuse to confirm part of a lock quoted with a code', async () => {
+      await createCode({ code: 'BULK', type: 'fixed', value: 3 * TICKET_PRICE });
+      const lockRes = await lock(['A1', 'A2', 'A3', 'A4'], 'user1', 'BULK');
+      const { lockId } = lockRes.body.data;
+
+      const single = await request(app)
+        .post('/seats/A1/confirm')
+        .set(auth('user1'))
+        .send({ lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+      const some = await confirm(['A1', 'A2'], 'user1', lockId);
+      const all = await confirm(['A1', 'A2', 'A3', 'A4'], 'user1', lockId);
+
+      expect(single.status).toBe(409);
+      expect(single.body.error).toContain('confirm all of its seats together');
+      expect(some.status).toBe(409);
+      expect(all.status).toBe(201);
+      expect(all.body.data.booking).toMatchObject({ subtotal: 4 * TICKET_PRICE, amount: TICKET_PRICE });
+    });
+
+    it('should never charge or book below zero', async () => {
+      await createCode({ code: 'BIG', type: 'fixed', value: 100 * TICKET_PRICE });
+      const lockRes = await lock(['A1', 'A2'], 'user1', 'BIG');
+      // Half the lock is let go, so the code no longer applies to it
+      await request(app)
+        .delete('/seats/unlock')
+        .set(auth('user1'))
+        .send({ seatIds: ['A2'], lockId: lockRes.body.data.lockId });
+
+      const confirmRes = await confirm(['A1'], 'user1', lockRes.body.data.lockId, 'BIG');
+
+      expect(confirmRes.status).toBe(201);
+      expect(confirmRes.body.data.booking.amount).toBe(0);
+      expect(confirmRes.body.data.payment.amount).toBe(0);
+    });
+
+    it('should only discount seats in the allowed rows and seat ranges', async () => {
+      await createCode({
+        code: 'FRONT',
+        type: 'percent',
+        value: 50,
+        restrictions: { rows: ['a'], seatRanges: [{ row: 'B', from: 1, to: 2 }] }
+      });
+
+      const mixed = await lock(['A1', 'B2', 'B3'], 'user1', 'FRONT');
+      const outside = await lock(['C1'], 'user2', 'FRONT');
+
+      expect(mixed.body.data.quote.discount.amount).toBe(TICKET_PRICE);
+      expect(outside.status).toBe(409);
+      expect(outside.body.error).toContain('does not apply');
+    });
+
+    it('should respect validity windows and event restrictions', async () => {
+      const created = await request(app).post('/events').set(admin).send({ name: 'Matinee' });
+      const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+      await createCode({ code: 'LATER', type: 'percent', value: 10, validFrom: minutesFromNow(1) });
+      await createCode({ code: 'OVER', type: 'percent', value: 10, validFrom: minutesFromNow(-2), validUntil: minutesFromNow(-1) });
+      await createCode({ code: 'MATINEE', type: 'percent', value: 10, eventId: created.body.data.id });
+
+      const later = await lock(['C1'], 'user1', 'LATER');
+      const over = await lock(['C2'], 'user1', 'OVER');
+      const otherEvent = await lock(['C3'], 'user1', 'MATINEE');
+
+      expect(later.body.error).toContain('not valid until');
+      expect(over.body.error).toContain('no longer valid');
+      expect(otherEvent.body.error).toContain('not valid for this event');
+    });
+  });
+
+  describe('Usage limits', () => {
+    it('should enforce a per-user limit', async () => {
+      await createCode({ code: 'ONCE', type: 'percent', value: 10, maxPerUser: 1 });
+
+      const first = await lock(['D1'], 'user1', 'ONCE');
+      const again = await lock(['D2'], 'user1', 'ONCE');
+      const otherUser = await lock(['D3'], 'user2', 'ONCE');
+
+      expect(first.status).toBe(200);
+      expect(again.status).toBe(409);
+      expect(again.body.error).toContain('for user user1');
+      expect(otherUser.status).toBe(200);
+    });
+
+    it('should give a reserved use back when the lock is released', async () => {
+      await createCode({ code: 'SOLO', type: 'percent', value: 10, maxRedemptions: 1 });
+      const first = await lock(['D4'], 'user1', 'SOLO');
+
+      const blocked = await lock(['D5'], 'user2', 'SOLO');
+      await request(app)
+        .delete('/seats/unlock')
+        .set(auth('user1'))
+        .send({ seatIds: ['D4'], lockId: first.body.data.lockId });
+      const retry = await lock(['D5'], 'user2', 'SOLO');
+
+      expect(blocked.status).toBe(409);
+      expect(blocked.body.error).toContain('usage limit');
+      expect(retry.status).toBe(200);
+    });
+
+    it('should not over-redeem a limited code under parallel requests', async () => {
+      await createCode({ code: 'FLASH', type: 'percent', value: 25, maxRedemptions: 3 });
+      const seats = ['E1', 'E2', 'E3', 'E4', 'E5', 'E6', 'E7', 'E8'];
+
+      const results = await Promise.all(seats.map((seatId, index) => lock([seatId], `user${index}`, 'FLASH')));
+
+      expect(results.filter(res => res.status === 200)).toHaveLength(3);
+      expect(results.filter(res => res.status === 409)).toHaveLength(5);
+      const promo = await request(app).get('/admin/promo-codes/FLASH').set(admin);
+      expect(promo.body.data.reserved).toBe(3);
+    });
+  });
+});
+
+describe('Promo reservations on lock expiry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setStore(createStore('memory'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should give the use back when the lock expires', async () => {
+    PromoModel.createPromoCode({ code: 'SOLO', type: 'percent', value: 10, maxRedemptions: 1 }, 'boxoffice');
+    const first = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'A1', 'user1', 'SOLO');
+    expect(first.success).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+
+    expect(PromoModel.getPromoCode('SOLO')).toMatchObject({ reserved: 0, redeemed: 0 });
+    const second = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'A2', 'user2', 'SOLO');
+    expect(second.success).toBe(true);
+  });
+});
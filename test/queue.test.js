@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { createStore, getStore, setStore, onStoreChange } = require('../src/storage');
+const { QueueModel, ADMISSION_WINDOW } = require('../src/models/queueModel');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['admin1']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+const admin = auth('admin1', 'admin');
+
+const INTERVAL = 60 * 1000;
+
+describe('Waiting room', () => {
+  let eventId;
+  let queuePath;
+  let adminQueuePath;
+
+  beforeEach(async () => {
+    // Only the clock is faked, so requests still run on real timers
+    jest.useFakeTimers({
+      now: new Date('2026-03-01T10:00:00Z'),
+      doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval']
+    });
+    setStore(createStore('memory'));
+    const res = await request(app).post('/events').set(admin).send({ name: 'Premiere' });
+    eventId = res.body.data.id;
+    queuePath = `/events/${eventId}/queue`;
+    adminQueuePath = `/admin/events/${eventId}/queue`;
+    await request(app).put(adminQueuePath).set(admin).send({ batchSize: 2, intervalMs: INTERVAL });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const join = (userId) => request(app).post(`${queuePath}/join`).set(auth(userId));
+  const lock = (seatId, userId, token) => {
+    const req = request(app).post(`/events/${eventId}/seats/${seatId}/lock`).set(auth(userId));
+    return token ? req.set('Queue-Token', token) : req;
+  };
+  const passTime = (ms) => jest.setSystemTime(Date.now() + ms);
+
+  it('should hand out queue tokens with a position and an estimate', async () => {
+    const first = await join('user1');
+    const second = await join('user2');
+    const third = await join('user3');
+    const again = await join('user3');
+    const status = await request(app)
+      .get(`${queuePath}/status`)
+      .query({ token: third.body.data.token })
+      .set(auth('user3'));
+
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ status: 'waiting', position: 1, eta: '2026-03-01T10:01:00.000Z' });
+    expect(second.body.data.position).toBe(2);
+    expect(again.status).toBe(200);
+    expect(again.body.data.token).toBe(third.body.data.token);
+    expect(status.body.data).toMatchObject({ position: 3, eta: '2026-03-01T10:02:00.000Z' });
+  });
+
+  it('should only let admitted tokens lock seats, a batch at a time', async () => {
+    const tokens = [];
+    for (const userId of ['user1', 'user2', 'user3']) {
+      tokens.push((await join(userId)).body.data.token);
+    }
+
+    const anonymous = await lock('A1', 'user1');
+    const early = await lock('A1', 'user1', tokens[0]);
+    passTime(INTERVAL);
+    const admitted = await lock('A1', 'user1', tokens[0]);
+    const borrowed = await lock('A2', 'user3', tokens[1]);
+    const waiting = await lock('A2', 'user3', tokens[2]);
+    const unqueued = await request(app).post('/seats/A1/lock').set(auth('user3'));
+
+    expect(anonymous.status).toBe(403);
+    expect(anonymous.body.details).toContain('join the queue');
+    expect(early.status).toBe(403);
+    expect(early.body.queue).toMatchObject({ status: 'waiting', position: 1 });
+    expect(admitted.status).toBe(200);
+    expect(borrowed.status).toBe(403);
+    expect(waiting.body.details).toBe('Not admitted yet (position 1 in the queue)');
+    expect(unqueued.status).toBe(200);
+  });
+
+  it('should let admins pause admission and change its pace', async () => {
+    const { token } = (await join('user1')).body.data;
+
+    const paused = await request(app).post(`${adminQueuePath}/pause`).set(admin);
+    passTime(2 * INTERVAL);
+    const whilePaused = await request(app).get(`${queuePath}/status`).set(auth('user1')).set('Queue-Token', token);
+    await request(app).post(`${adminQueuePath}/resume`).set(admin);
+    const sped = await request(app).put(adminQueuePath).set(admin).send({ intervalMs: 5000 });
+    passTime(5000);
+    const resumed = await request(app).get(`${queuePath}/status`).set(auth('user1')).set('Queue-Token', token);
+    const audit = await request(app).get('/admin/audit').set(admin);
+
+    expect(paused.body.data).toMatchObject({ paused: true, nextAdmissionAt: null });
+    expect(whilePaused.body.data).toMatchObject({ status: 'waiting', position: 1, eta: null, paused: true });
+    expect(sped.body.data).toMatchObject({ batchSize: 2, intervalMs: 5000 });
+    expect(resumed.body.data.status).toBe('admitted');
+    expect(audit.body.data.map(entry => entry.action)).toEqual(
+      expect.arrayContaining(['queue.configured', 'queue.paused', 'queue.resumed'])
+    );
+  });
+
+  it('should expire admission and stop gating locks once closed', async () => {
+    const { token } = (await join('user1')).body.data;
+    passTime(INTERVAL + ADMISSION_WINDOW);
+
+    const expired = await lock('A1', 'user1', token);
+    const closed = await request(app).post(`${adminQueuePath}/close`).set(admin);
+    const open = await lock('A1', 'user1');
+    const rejoin = await join('user1');
+
+    expect(expired.status).toBe(403);
+    expect(expired.body.details).toBe('Admission has expired; join the queue again');
+    expect(closed.body.data.enabled).toBe(false);
+    expect(open.status).toBe(200);
+    expect(rejoin.status).toBe(409);
+  });
+
+  it('should replay a retried lock after admission has ended', async () => {
+    const { token } = (await join('user1')).body.data;
+    const early = await lock('A1', 'user1', token).set('Idempotency-Key', 'lock-a1');
+    passTime(INTERVAL);
+    const first = await lock('A1', 'user1', token).set('Idempotency-Key', 'lock-a1');
+    passTime(ADMISSION_WINDOW);
+    const retry = await lock('A1', 'user1', token).set('Idempotency-Key', 'lock-a1');
+
+    expect(early.status).toBe(403);
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data.lockId).toBe(first.body.data.lockId);
+  });
+
+  it('should count and admit the queue without going through every token', async () => {
+    for (const userId of ['user1', 'user2', 'user3', 'user4', 'user5']) {
+      await join(userId);
+    }
+    const list = jest.spyOn(getStore(), 'list');
+    passTime(INTERVAL);
+    const admitted = QueueModel.isAdmitted(eventId, 'user2');
+    passTime(INTERVAL);
+    const room = QueueModel.getRoom(eventId);
+    const waiting = QueueModel.isAdmitted(eventId, 'user5');
+    passTime(ADMISSION_WINDOW - INTERVAL);
+    const later = QueueModel.getRoom(eventId);
+    const rejoined = QueueModel.join(eventId, 'user1');
+
+    expect(admitted).toBe(true);
+    expect(room).toMatchObject({ waiting: 1, admitted: 4 });
+    expect(waiting).toBe(false);
+    expect(later).toMatchObject({ waiting: 0, admitted: 3 });
+    expect(rejoined).toMatchObject({ joined: true, status: { status: 'waiting', position: 1 } });
+    expect(list).not.toHaveBeenCalled();
+    list.mockRestore();
+  });
+
+  it('should keep queue controls for admins and tokens for their holders', async () => {
+    const { token } = (await join('user1')).body.data;
+
+    const configure = await request(app).put(adminQueuePath).set(auth('user1')).send({ batchSize: 100 });
+    const invalid = await request(app).put(adminQueuePath).set(admin).send({ batchSize: 0 });
+    const missing = await request(app).put('/admin/events/nope/queue').set(admin).send({});
+    const other = await request(app).get(`${queuePath}/status`).query({ token }).set(auth('user2'));
+    const noToken = await request(app).get(`${queuePath}/status`).set(auth('user1'));
+
+    expect(configure.status).toBe(403);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('batchSize must be a positive integer');
+    expect(missing.status).toBe(404);
+    expect(other.status).toBe(404);
+    expect(noToken.status).toBe(400);
+  });
+});
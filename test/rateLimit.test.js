@@ -0,0 +1,138 @@
+const express = require('express');
+const request = require('supertest');
+const { signToken } = require('../src/utils/authToken');
+const { authenticate } = require('../src/middleware/auth');
+const { rateLimit } = require('../src/middleware/rateLimit');
+const { MemoryBucketStore } = require('../src/rateLimit');
+const errorHandler = require('../src/middleware/errorHandler');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+const budgets = {
+  read: { limit: 3, windowMs: 60 * 1000 },
+  write: { limit: 2, windowMs: 60 * 1000 }
+};
+
+// A small app behind the rate limiter, which the test environment leaves off
+const appWith = (store) => {
+  const app = express();
+  app.use(rateLimit({ by: 'ip', budgets, store, enabled: true }));
+  app.use(authenticate);
+  app.use(rateLimit({ by: 'user', budgets, store, enabled: true }));
+  app.get('/seats', (req, res) => res.json({ success: true }));
+  app.post('/seats/:id/lock', (req, res) => res.json({ success: true }));
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Rate limiting', () => {
+  let app;
+
+  beforeEach(() => {
+    app = appWith(new MemoryBucketStore());
+  });
+
+  it('should report the budget and refuse requests beyond it with 429', async () => {
+    const responses = [];
+    for (let i = 0; i < 3; i++) {
+      responses.push(await request(app).post('/seats/A1/lock').set(auth('user1')));
+    }
+
+    expect(responses.map(res => res.status)).toEqual([200, 200, 429]);
+    expect(responses[0].headers['ratelimit-limit']).toBe('2');
+    expect(responses[0].headers['ratelimit-remaining']).toBe('1');
+    expect(responses[0].headers['ratelimit-policy']).toBe('2;w=60');
+    expect(responses[2].headers['ratelimit-remaining']).toBe('0');
+    expect(Number(responses[2].headers['retry-after'])).toBe(30);
+    expect(responses[2].body.error).toBe('Too many requests');
+  });
+
+  it('should keep reads and writes in separate budgets', async () => {
+    await request(app).post('/seats/A1/lock').set(auth('user1'));
+    await request(app).post('/seats/A1/lock').set(auth('user1'));
+
+    const read = await request(app).get('/seats').set(auth('user1'));
+
+    expect(read.status).toBe(200);
+    expect(read.headers['ratelimit-limit']).toBe('3');
+  });
+
+  it('should charge both the user and the IP', async () => {
+    const store = new MemoryBucketStore();
+    const ipBudgets = { ...budgets, write: { limit: 3, windowMs: 60 * 1000 } };
+    const shared = express();
+    shared.use(rateLimit({ by: 'ip', budgets: ipBudgets, store, enabled: true }));
+    shared.use(authenticate);
+    shared.use(rateLimit({ by: 'user', budgets, store, enabled: true }));
+    shared.post('/seats/:id/lock', (req, res) => res.json({ success: true }));
+    shared.use(errorHandler);
+
+    await request(shared).post('/seats/A1/lock').set(auth('user1'));
+    await request(shared).post('/seats/A1/lock').set(auth('user1'));
+    const sameUser = await request(shared).post('/seats/A1/lock').set(auth('user1'));
+    const otherUser = await request(shared).post('/seats/A1/lock').set(auth('user2'));
+
+    expect(sameUser.status).toBe(429);
+    // user2's first request, but the IP has used its three
+    expect(otherUser.status).toBe(429);
+  });
+
+  it('should count requests with bad tokens against the IP', async () => {
+    const bad = [];
+    for (let i = 0; i < 3; i++) {
+      bad.push(await request(app).post('/seats/A1/lock').set('Authorization', 'Bearer not-a-token'));
+    }
+
+    expect(bad.map(res => res.status)).toEqual([401, 401, 429]);
+  });
+
+  it('should report the bucket with the least left', async () => {
+    await request(app).post('/seats/A1/lock');
+
+    const res = await request(app).post('/seats/A1/lock').set(auth('user1'));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('should use a pluggable store and let requests through if it fails', async () => {
+    const keys = [];
+    const calls = appWith({
+      type: 'custom',
+      take: async (key) => {
+        keys.push(key);
+        return { allowed: true, remaining: 9, resetMs: 0, retryAfterMs: 0 };
+      },
+      clear: () => {}
+    });
+    const broken = appWith({
+      type: 'broken',
+      take: async () => { throw new Error('store unavailable'); },
+      clear: () => {}
+    });
+
+    await request(calls).get('/seats').set(auth('user1'));
+    const res = await request(broken).post('/seats/A1/lock');
+
+    expect(keys).toEqual([expect.stringMatching(/^read:ip:/), 'read:user:user1']);
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('Token buckets', () => {
+  it('should refill at the budget rate up to the limit', () => {
+    const store = new MemoryBucketStore();
+    const budget = { limit: 2, windowMs: 1000 };
+
+    store.take('key', budget, 0);
+    store.take('key', budget, 0);
+    const empty = store.take('key', budget, 0);
+    const refilled = store.take('key', budget, 500);
+    const full = store.take('key', budget, 10000);
+
+    expect(empty).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 500 });
+    expect(refilled).toMatchObject({ allowed: true, remaining: 0 });
+    expect(full).toMatchObject({ allowed: true, remaining: 1, resetMs: 500 });
+  });
+});
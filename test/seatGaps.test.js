@@ -0,0 +1,113 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+const { SeatModel } = require('../src/models/seatModel');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+const admin = auth('boxoffice', 'admin');
+
+describe('Single-seat gap prevention', () => {
+  let eventId;
+  let seatsPath;
+
+  beforeEach(async () => {
+    setStore(createStore('memory'));
+    const res = await request(app)
+      .post('/events')
+      .set(admin)
+      .send({ name: 'Gala', preventSingleSeatGaps: true });
+    eventId = res.body.data.id;
+    seatsPath = `/events/${eventId}/seats`;
+  });
+
+  const lock = (seatId, userId = 'user1', path = seatsPath) =>
+    request(app).post(`${path}/${seatId}/lock`).set(auth(userId));
+
+  it('should refuse a seat that strands its neighbour against the row end', async () => {
+    const res = await lock('A2');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Seat A1 would be left as a single empty seat; try A1 instead');
+    expect(res.body.orphanedSeats).toEqual(['A1']);
+    expect(res.body.suggestion).toEqual(['A1']);
+  });
+
+  it('should refuse a seat that strands one between taken seats', async () => {
+    await lock('B3', 'user2');
+    await lock('B2', 'user2');
+
+    const stranding = await lock('B5');
+    const alongside = await lock('B4');
+
+    expect(stranding.status).toBe(409);
+    expect(stranding.body.orphanedSeats).toEqual(['B4']);
+    expect(stranding.body.suggestion).toEqual(['B4']);
+    expect(alongside.status).toBe(200);
+  });
+
+  it('should check group locks and suggest a block of the same size', async () => {
+    const res = await request(app)
+      .post(`${seatsPath}/lock`)
+      .set(auth('user1'))
+      .send({ seatIds: ['C2', 'C3'] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.orphanedSeats).toEqual(['C1']);
+    expect(res.body.suggestion).toEqual(['C1', 'C2']);
+  });
+
+  it('should only apply to events that turn it on', async () => {
+    const unruled = await lock('A2', 'user1', '/seats');
+    const event = await request(app).get(`/events/${eventId}`);
+    await request(app).patch(`/events/${eventId}`).set(admin).send({ preventSingleSeatGaps: false });
+    const turnedOff = await lock('A2');
+    const invalid = await request(app).patch(`/events/${eventId}`).set(admin).send({ preventSingleSeatGaps: 'yes' });
+    const audit = await request(app).get('/admin/audit').query({ eventId }).set(admin);
+
+    expect(unruled.status).toBe(200);
+    expect(event.body.data.preventSingleSeatGaps).toBe(true);
+    expect(turnedOff.status).toBe(200);
+    expect(invalid.status).toBe(400);
+    expect(audit.body.data[0]).toMatchObject({ action: 'event.gap_rule_changed', details: { from: true, to: false } });
+  });
+
+  it('should keep best-available choices from stranding seats', async () => {
+    const body = { quantity: 6, rows: { from: 'D', to: 'D' } };
+
+    const ruled = await request(app).post(`${seatsPath}/best-available`).set(auth('user1')).send(body);
+    const unruled = await request(app).post('/seats/best-available').set(auth('user1')).send(body);
+
+    expect(ruled.body.data.seatIds).toEqual(['D1', 'D2', 'D3', 'D4', 'D5', 'D6']);
+    expect(unruled.body.data.seatIds).toEqual(['D2', 'D3', 'D4', 'D5', 'D6', 'D7']);
+  });
+
+  it('should explain a best-available lock refused for a gap like a manual one', async () => {
+    // Another customer takes D7-D8 between the choice of D4-D5 and its lock,
+    // which would strand D6
+    const lockSeats = SeatModel.lockSeats;
+    const raced = jest.spyOn(SeatModel, 'lockSeats').mockImplementationOnce(async (...args) => {
+      await lockSeats(eventId, ['D7', 'D8'], 'user2');
+      return lockSeats(...args);
+    });
+
+    const res = await request(app)
+      .post(`${seatsPath}/best-available`)
+      .set(auth('user1'))
+      .send({ quantity: 2, rows: { from: 'D', to: 'D' } });
+    raced.mockRestore();
+
+    expect(res.status).toBe(409);
+    expect(res.body.orphanedSeats).toEqual(['D6']);
+    expect(res.body.suggestion).toEqual(['D3', 'D4']);
+    expect(res.body.error).toBe('Seat D6 would be left as a single empty seat; try D3, D4 instead');
+  });
+});
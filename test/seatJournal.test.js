@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { SeatModel, DEFAULT_EVENT_ID } = require('../src/models/seatModel');
+const { SeatJournalModel, replayTrace, SNAPSHOT_INTERVAL, SNAPSHOTS_KEPT } = require('../src/models/seatJournalModel');
+const { createStore, setStore, getStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+const admin = auth('boxoffice', 'admin');
+
+// Lock and confirm a seat for a user
+const book = async (seatId, userId) => {
+  const lockRes = await request(app).post(`/seats/${seatId}/lock`).set(auth(userId));
+  return request(app)
+    .post(`/seats/${seatId}/confirm`)
+    .set(auth(userId))
+    .send({ lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+};
+
+describe('Seat journal recovery', () => {
+  const filePath = path.join(os.tmpdir(), `journal-test-${process.pid}.json`);
+
+  // Simulate a process restart by loading a fresh store from the same file
+  const restart = () => setStore(createStore('file', { filePath }));
+
+  // Edit the saved state as if the process had crashed part-way
+  const editState = (edit) => {
+    getStore().compact();
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    edit(state);
+    fs.writeFileSync(filePath, JSON.stringify(state));
+  };
+
+  // Remove the state file and its change log
+  const removeState = () => {
+    fs.rmSync(filePath, { force: true });
+    fs.rmSync(`${filePath}.log`, { force: true });
+  };
+
+  beforeEach(() => {
+    removeState();
+    restart();
+  });
+
+  afterAll(() => {
+    setStore(createStore('memory'));
+    removeState();
+  });
+
+  it('should rebuild lost seat maps from the journal', async () => {
+    await book('A1', 'user1');
+    const lockRes = await request(app).post('/seats/A2/lock').set(auth('user2'));
+    const before = await request(app).get('/seats');
+
+    editState(state => {
+      delete state.seatMaps.default;
+    });
+    restart();
+
+    const after = await request(app).get('/seats');
+    expect(after.body.data).toEqual(before.body.data);
+    expect(after.headers.etag).toBe(before.headers.etag);
+
+    const a2 = await request(app).get('/seats/A2');
+    expect(a2.body.data.lockId).toBe(lockRes.body.data.lockId);
+  });
+
+  it('should catch up a seat map saved behind its journal', async () => {
+    getStore().compact();
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8')).seatMaps.default;
+    await book('B1', 'user1');
+
+    // The change reached the journal but not the seat map
+    editState(state => {
+      state.seatMaps.default = saved;
+    });
+    restart();
+
+    const b1 = await request(app).get('/seats/B1');
+    expect(b1.body.data.status).toBe('booked');
+    expect(b1.body.data.userId).toBe('user1');
+  });
+});
+
+describe('Seat journal replay', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  const replay = (query) => request(app).get('/seats/replay').query(query).set(admin);
+
+  it('should reconstruct the seat map at a version or moment', async () => {
+    const lockRes = await request(app).post('/seats/C1/lock').set(auth('alice'));
+    const lockedAt = new Date();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await request(app)
+      .post('/seats/C1/confirm')
+      .set(auth('alice'))
+      .send({ lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+    const atStart = await replay({ version: 0 });
+    const atLock = await replay({ at: lockedAt.toISOString() });
+    const latest = await replay({});
+
+    const c1 = (res) => res.body.data.seats.find(seat => seat.id === 'C1');
+    expect(c1(atStart).status).toBe('available');
+    expect(c1(atLock)).toMatchObject({ status: 'locked', userId: 'alice' });
+    expect(atLock.body.data.statistics.locked).toBe(1);
+    expect(c1(latest).status).toBe('booked');
+    expect(latest.body.data.version).toBe(SeatModel.getVersion(DEFAULT_EVENT_ID));
+  });
+
+  it('should replay from the latest snapshot', async () => {
+    for (let i = 0; i < SNAPSHOT_INTERVAL / 2; i++) {
+      const locked = await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D1', 'alice');
+      await SeatModel.unlockSeat(DEFAULT_EVENT_ID, 'D1', 'alice', locked.lockId);
+    }
+    await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D2', 'bob');
+
+    const trace = SeatJournalModel.trace(DEFAULT_EVENT_ID);
+
+    expect(trace.snapshot.version).toBe(SNAPSHOT_INTERVAL);
+    expect(trace.entries.map(entry => entry.version)).toEqual([SNAPSHOT_INTERVAL + 1]);
+    expect(replayTrace(trace).seats.D2.userId).toBe('bob');
+  });
+
+  it('should drop snapshots and journal entries older than the ones kept', () => {
+    const seatMap = { eventId: 'pruned', version: 0, seats: { A1: { id: 'A1', status: 'available' } } };
+    SeatJournalModel.snapshot(seatMap);
+    const latest = SNAPSHOT_INTERVAL * (SNAPSHOTS_KEPT + 1) + 1;
+    while (seatMap.version < latest) {
+      seatMap.version += 1;
+      seatMap.seats.A1.status = seatMap.version % 2 ? 'locked' : 'available';
+      SeatJournalModel.append(seatMap, ['A1']);
+    }
+
+    const oldestKept = latest - 1 - SNAPSHOT_INTERVAL * (SNAPSHOTS_KEPT - 1);
+    const ofMap = (collection) => getStore().list(collection).filter(record => record.eventId === 'pruned');
+    expect(ofMap('seatSnapshots')).toHaveLength(SNAPSHOTS_KEPT);
+    expect(Math.min(...ofMap('seatSnapshots').map(snapshot => snapshot.version))).toBe(oldestKept);
+    expect(Math.min(...ofMap('seatJournal').map(entry => entry.version))).toBe(oldestKept + 1);
+    expect(SeatJournalModel.replay('pruned', { version: oldestKept - 1 })).toBeNull();
+    expect(SeatJournalModel.replay('pruned')).toMatchObject({ version: latest, seats: { A1: { status: 'locked' } } });
+  });
+
+  it('should replay a recorded trace into the same state', async () => {
+    await book('E1', 'alice');
+    await request(app).post('/seats/E2/lock').set(auth('bob'));
+    await request(app).post('/admin/seats/block').set(admin).send({ seatIds: ['E3'] });
+
+    // A trace recorded elsewhere, e.g. exported from a production store
+    const recorded = JSON.parse(JSON.stringify(SeatJournalModel.trace(DEFAULT_EVENT_ID)));
+    const replayed = replayTrace(recorded);
+
+    const current = Object.fromEntries(SeatModel.getAllSeats(DEFAULT_EVENT_ID).map(seat => [seat.id, seat]));
+    expect(replayed.version).toBe(SeatModel.getVersion(DEFAULT_EVENT_ID));
+    expect(replayed.seats).toEqual(JSON.parse(JSON.stringify(current)));
+  });
+
+  it('should validate replay queries and restrict them to admins', async () => {
+    const badDate = await replay({ at: 'yesterday' });
+    const badVersion = await replay({ version: '-1' });
+    const beforeEvent = await replay({ at: '2000-01-01T00:00:00Z' });
+    const customer = await request(app).get('/seats/replay').set(auth('alice'));
+
+    expect(badDate.status).toBe(400);
+    expect(badVersion.status).toBe(400);
+    expect(beforeEvent.status).toBe(404);
+    expect(customer.status).toBe(403);
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { createStore, setStore, getStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+describe('File storage backend', () => {
+  const filePath = path.join(os.tmpdir(), `storage-test-${process.pid}.json`);
+
+  // Simulate a process restart by loading a fresh store from the same file
+  const restart = () => setStore(createStore('file', { filePath }));
+
+  // Remove the state file and its change log
+  const removeState = () => {
+    fs.rmSync(filePath, { force: true });
+    fs.rmSync(`${filePath}.log`, { force: true });
+  };
+
+  beforeEach(() => {
+    removeState();
+    restart();
+  });
+
+  afterAll(() => {
+    setStore(createStore('memory'));
+    removeState();
+  });
+
+  it('should keep confirmed bookings and events across restarts', async () => {
+    const lockRes = await request(app)
+      .post('/seats/A1/lock')
+      .set(auth('user1'));
+    await request(app)
+      .post('/seats/A1/confirm')
+      .set(auth('user1'))
+      .send({ lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+    const eventRes = await request(app)
+      .post('/events')
+      .set(auth('boxoffice', 'admin'))
+      .send({ name: 'Late show', layoutId: 'playhouse' });
+
+    restart();
+
+    const seatRes = await request(app).get('/seats/A1');
+    expect(seatRes.body.data.status).toBe('booked');
+    expect(seatRes.body.data.userId).toBe('user1');
+    expect(new Date(seatRes.body.data.bookedAt).getTime()).not.toBeNaN();
+
+    const events = await request(app).get('/events');
+    expect(events.body.data.map(event => event.id)).toContain(eventRes.body.data.id);
+  });
+
+  it('should keep live locks and release expired ones on load', async () => {
+    const live = await request(app)
+      .post('/seats/B1/lock')
+      .set(auth('user1'));
+    await request(app)
+      .post('/seats/B2/lock')
+      .set(auth('user2'));
+
+    // Pretend B2's lock ran out while the server was down
+    getStore().compact();
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    state.seatMaps.default.seats.B2.lockExpiresAt = { $date: new Date(Date.now() - 1000).toISOString() };
+    fs.writeFileSync(filePath, JSON.stringify(state));
+
+    restart();
+
+    const b1 = await request(app).get('/seats/B1');
+    expect(b1.body.data.status).toBe('locked');
+    expect(b1.body.data.lockId).toBe(live.body.data.lockId);
+
+    const b2 = await request(app).get('/seats/B2');
+    expect(b2.body.data.status).toBe('available');
+
+    getStore().compact();
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(saved.seatMaps.default.seats.B2.status).toBe('available');
+  });
+
+  it('should append changes to a log and fold it into the state file on load', () => {
+    getStore().compact();
+    const before = fs.readFileSync(filePath, 'utf8');
+    getStore().set('notes', 'n1', { text: 'first' });
+    getStore().set('notes', 'n2', { text: 'second' });
+    getStore().delete('notes', 'n1');
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(before);
+    expect(fs.readFileSync(`${filePath}.log`, 'utf8').trim().split('\n')).toHaveLength(3);
+
+    // A line cut short by a crash is skipped
+    fs.appendFileSync(`${filePath}.log`, '{"op":"set","collection":"notes","id":"n3"');
+    restart();
+
+    expect(getStore().list('notes')).toEqual([{ text: 'second' }]);
+    expect(fs.existsSync(`${filePath}.log`)).toBe(false);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).notes).toEqual({ n2: { text: 'second' } });
+  });
+
+  it('should only revive values saved as dates', () => {
+    const at = new Date('2026-01-01T12:00:00.000Z');
+    getStore().set('notes', 'n1', { at, text: '2026-01-01T12:00:00.000Z' });
+
+    restart();
+
+    const note = getStore().get('notes', 'n1');
+    expect(note.at).toEqual(at);
+    expect(note.text).toBe('2026-01-01T12:00:00.000Z');
+  });
+
+  it('should start from an empty state when no file exists', async () => {
+    const res = await request(app).get('/seats/statistics');
+
+    expect(res.body.data.available).toBe(40);
+  });
+});
@@ -0,0 +1,173 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { seatStream } = require('../src/events/seatStream');
+const { MOCK_TOKENS } = require('../src/payments');
+const { onStoreChange } = require('../src/storage');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['admin', 'boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+// Parse one Server-Sent Events message block; comments and retry-only
+// blocks carry no event
+const parseMessage = (block) => {
+  const message = {};
+  block.split('\n').forEach(line => {
+    const [field, ...rest] = line.split(': ');
+    if (['id', 'event', 'data'].includes(field)) {
+      message[field] = rest.join(': ');
+    }
+  });
+  if (!message.event) {
+    return null;
+  }
+  return { id: Number(message.id), type: message.event, data: JSON.parse(message.data) };
+};
+
+describe('Seat status stream', () => {
+  let server;
+  const streams = [];
+
+  // Open a stream and collect its events as they arrive
+  const openStream = (path, headers = {}) => new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port: server.address().port, path, headers }, res => {
+      const events = [];
+      let buffer = '';
+      let waiter = null;
+
+      const check = () => {
+        if (waiter && events.length >= waiter.count) {
+          waiter.resolve(events.slice(0, waiter.count));
+          waiter = null;
+        }
+      };
+
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const message = parseMessage(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (message) {
+            events.push(message);
+          }
+        }
+        check();
+      });
+
+      resolve({
+        res,
+        events,
+        // Resolve once the stream has delivered count events
+        waitFor: (count) => new Promise(done => {
+          waiter = { count, resolve: done };
+          check();
+        })
+      });
+    });
+    req.on('error', reject);
+    streams.push(req);
+  });
+
+  beforeAll(done => {
+    server = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(() => {
+    streams.splice(0).forEach(req => req.destroy());
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    await request(server).post('/seats/reset').set(auth('admin', 'admin'));
+  });
+
+  it('should stream lock, confirm and unlock events with seat snapshots', async () => {
+    const stream = await openStream('/seats/stream');
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toContain('text/event-stream');
+
+    const lockRes = await request(server).post('/seats/A1/lock').set(auth('user1'));
+    await request(server)
+      .post('/seats/A1/confirm')
+      .set(auth('user1'))
+      .send({ lockId: lockRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+    const groupRes = await request(server).post('/seats/lock').set(auth('user2')).send({ seatIds: ['B1', 'B2'] });
+    await request(server)
+      .delete('/seats/unlock')
+      .set(auth('user2'))
+      .send({ seatIds: ['B1', 'B2'], lockId: groupRes.body.data.lockId });
+
+    const events = await stream.waitFor(4);
+
+    expect(events.map(event => event.type)).toEqual([
+      'lock.acquired', 'booking.confirmed', 'lock.acquired', 'lock.released'
+    ]);
+    expect(events[1].id).toBe(events[0].id + 1);
+    expect(events[0].data).toMatchObject({ eventId: 'default', seatIds: ['A1'], userId: 'user1' });
+    expect(events[0].data.seats[0]).toMatchObject({ id: 'A1', status: 'locked' });
+    expect(events[1].data.seats[0]).toMatchObject({ id: 'A1', status: 'booked' });
+    expect(events[3].data.seats.map(seat => seat.status)).toEqual(['available', 'available']);
+  });
+
+  it('should stream a reset with every seat of the event', async () => {
+    const stream = await openStream('/seats/stream');
+
+    await request(server).post('/seats/reset').set(auth('admin', 'admin'));
+    const [event] = await stream.waitFor(1);
+
+    expect(event.type).toBe('seats.reset');
+    expect(event.data.seats).toHaveLength(40);
+  });
+
+  it('should only stream changes of the addressed event', async () => {
+    const created = await request(app).post('/events').set(auth('boxoffice', 'admin')).send({ name: 'Matinee' });
+    const eventId = created.body.data.id;
+    const stream = await openStream(`/events/${eventId}/seats/stream`);
+
+    await request(server).post('/seats/A1/lock').set(auth('user1'));
+    await request(server).post(`/events/${eventId}/seats/A2/lock`).set(auth('user1'));
+    const [event] = await stream.waitFor(1);
+
+    expect(event.data).toMatchObject({ eventId, seatIds: ['A2'] });
+    expect(stream.events).toHaveLength(1);
+  });
+
+  it('should replay events missed since Last-Event-ID', async () => {
+    const lastEventId = seatStream.lastId;
+    await request(server).post('/seats/C1/lock').set(auth('user1'));
+    await request(server).post('/seats/C2/lock').set(auth('user1'));
+
+    const stream = await openStream('/seats/stream', { 'Last-Event-ID': String(lastEventId) });
+    const events = await stream.waitFor(2);
+
+    expect(events.map(event => event.data.seatIds[0])).toEqual(['C1', 'C2']);
+    expect(events[0].id).toBe(lastEventId + 1);
+  });
+
+  it('should ask the client to resync when missed events are not buffered', async () => {
+    const stream = await openStream('/seats/stream?lastEventId=999999999');
+    const [event] = await stream.waitFor(1);
+
+    expect(event.type).toBe('resync');
+    expect(event.id).toBe(seatStream.lastId);
+  });
+
+  it('should return 404 for an unknown event', async () => {
+    const res = await request(server).get('/events/missing/seats/stream');
+
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+  });
+});
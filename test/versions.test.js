@@ -0,0 +1,129 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+describe('Seat versions and ETags', () => {
+  beforeEach(() => {
+    setStore(createStore('memory'));
+  });
+
+  it('should version a seat and expose it as an ETag', async () => {
+    const before = await request(app).get('/seats/A1');
+    const lockRes = await request(app).post('/seats/A1/lock').set(auth('user1'));
+    const after = await request(app).get('/seats/A1');
+
+    expect(before.headers.etag).toBe('"0"');
+    expect(lockRes.headers.etag).toBe(after.headers.etag);
+    expect(after.body.data.version).toBeGreaterThan(before.body.data.version);
+    expect(after.headers.etag).toBe(`"${after.body.data.version}"`);
+  });
+
+  it('should answer 304 while the seat has not changed', async () => {
+    const first = await request(app).get('/seats/A2');
+
+    const unchanged = await request(app).get('/seats/A2').set('If-None-Match', first.headers.etag);
+    await request(app).post('/seats/A2/lock').set(auth('user1'));
+    const changed = await request(app).get('/seats/A2').set('If-None-Match', first.headers.etag);
+
+    expect(unchanged.status).toBe(304);
+    expect(changed.status).toBe(200);
+    expect(changed.body.data.status).toBe('locked');
+  });
+
+  it('should version the seat map as a whole for GET /seats', async () => {
+    const first = await request(app).get('/seats');
+
+    const unchanged = await request(app).get('/seats').set('If-None-Match', first.headers.etag);
+    await request(app).post('/seats/E8/lock').set(auth('user1'));
+    const changed = await request(app).get('/seats').set('If-None-Match', first.headers.etag);
+
+    expect(unchanged.status).toBe(304);
+    expect(changed.status).toBe(200);
+    expect(changed.headers.etag).not.toBe(first.headers.etag);
+  });
+
+  it('should reject a write based on a stale version with 412', async () => {
+    const viewed = await request(app).get('/seats/B1');
+    const lockRes = await request(app).post('/seats/B1/lock').set(auth('user1'));
+    await request(app)
+      .delete('/seats/B1/unlock')
+      .set(auth('user1'))
+      .send({ lockId: lockRes.body.data.lockId });
+
+    // B1 is available again, but not the version user2 looked at
+    const stale = await request(app)
+      .post('/seats/B1/lock')
+      .set(auth('user2'))
+      .set('If-Match', viewed.headers.etag);
+    const current = await request(app).get('/seats/B1');
+    const fresh = await request(app)
+      .post('/seats/B1/lock')
+      .set(auth('user2'))
+      .set('If-Match', current.headers.etag);
+
+    expect(stale.status).toBe(412);
+    expect(stale.headers.etag).toBe(current.headers.etag);
+    expect(fresh.status).toBe(200);
+  });
+
+  it('should check If-Match when confirming', async () => {
+    const lockRes = await request(app).post('/seats/B2/lock').set(auth('user1'));
+    const { lockId } = lockRes.body.data;
+
+    const stale = await request(app)
+      .post('/seats/B2/confirm')
+      .set(auth('user1'))
+      .set('If-Match', '"0"')
+      .send({ lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+    const confirmed = await request(app)
+      .post('/seats/B2/confirm')
+      .set(auth('user1'))
+      .set('If-Match', lockRes.headers.etag)
+      .send({ lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+
+    expect(stale.status).toBe(412);
+    expect(confirmed.status).toBe(201);
+    expect(confirmed.body.data.seat.status).toBe('booked');
+  });
+
+  it('should check group requests against the seat map version', async () => {
+    const viewed = await request(app).get('/seats');
+    await request(app).post('/seats/D8/lock').set(auth('user2'));
+
+    const stale = await request(app)
+      .post('/seats/lock')
+      .set(auth('user1'))
+      .set('If-Match', viewed.headers.etag)
+      .send({ seatIds: ['C1', 'C2'] });
+    const anyVersion = await request(app)
+      .post('/seats/lock')
+      .set(auth('user1'))
+      .set('If-Match', '*')
+      .send({ seatIds: ['C1', 'C2'] });
+
+    expect(stale.status).toBe(412);
+    expect(anyVersion.status).toBe(200);
+  });
+
+  it('should keep versions growing across a reset', async () => {
+    await request(app).post('/seats/C3/lock').set(auth('user1'));
+    const locked = await request(app).get('/seats/C3');
+
+    await request(app).post('/seats/reset').set(auth('boxoffice', 'admin'));
+    const reset = await request(app).get('/seats/C3');
+
+    expect(reset.body.data.status).toBe('available');
+    expect(reset.body.data.version).toBeGreaterThan(locked.body.data.version);
+  });
+});
@@ -0,0 +1,326 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { signToken } = require('../src/utils/authToken');
+const { SeatModel, LOCK_DURATION, DEFAULT_EVENT_ID } = require('../src/models/seatModel');
+const { WaitlistModel } = require('../src/models/waitlistModel');
+const { LockCooldownModel, COOLDOWN_STRIKES } = require('../src/models/lockCooldownModel');
+const { QueueModel } = require('../src/models/queueModel');
+const { createStore, setStore, onStoreChange } = require('../src/storage');
+const { MOCK_TOKENS } = require('../src/payments');
+
+// Authorization header for a user
+const auth = (userId, role) => ({ Authorization: `Bearer ${signToken(userId, { role })}` });
+
+// Accounts for the admins the tests sign in as: roles are read from the
+// stored account on each request, so every store needs them
+onStoreChange(store => ['admin', 'boxoffice']
+  .filter(id => !store.get('users', id))
+  .forEach(id => store.set('users', id, { id, role: 'admin' })));
+
+describe('Seat waitlist', () => {
+  const lock = (seatId, userId) => request(app).post(`/seats/${seatId}/lock`).set(auth(userId));
+
+  const join = (userId, body) => request(app).post('/seats/waitlist').set(auth(userId)).send(body);
+
+  // View the entry a join response created, as a given user
+  const getEntry = (joined, userId) => request(app).get(`/seats/waitlist/${joined.body.data.id}`).set(auth(userId));
+
+  beforeEach(async () => {
+    await request(app).post('/seats/reset').set(auth('admin', 'admin'));
+  });
+
+  describe('POST /seats/waitlist', () => {
+    it('should join the waitlist for a locked seat', async () => {
+      await lock('A1', 'user1');
+      const res = await join('user2', { seatId: 'a1' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        userId: 'user2',
+        seatId: 'A1',
+        status: 'waiting',
+        position: 1
+      });
+    });
+
+    it('should report positions in joining order', async () => {
+      await lock('A1', 'user1');
+      await join('user2', { seatId: 'A1' });
+      const res = await join('user3', { seatId: 'A1' });
+
+      expect(res.body.data.position).toBe(2);
+    });
+
+    it('should refuse to wait for an available seat', async () => {
+      const res = await join('user2', { seatId: 'A1' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toContain('available');
+    });
+
+    it('should refuse to wait for a row with available seats', async () => {
+      await lock('A1', 'user1');
+      const res = await join('user2', { row: 'A' });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should refuse to join twice for the same seat', async () => {
+      await lock('A1', 'user1');
+      await join('user2', { seatId: 'A1' });
+      const res = await join('user2', { seatId: 'A1' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toContain('already');
+    });
+
+    it('should return 404 for an unknown seat', async () => {
+      const res = await join('user2', { seatId: 'Z9' });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should return 400 without exactly one target', async () => {
+      const none = await join('user2', {});
+      const both = await join('user2', { seatId: 'A1', row: 'A' });
+
+      expect(none.status).toBe(400);
+      expect(both.status).toBe(400);
+    });
+
+    it('should return 401 without an access token', async () => {
+      const res = await request(app).post('/seats/waitlist').send({ seatId: 'A1' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('Offers', () => {
+    it('should offer a released seat to the next waiter with a fresh lock', async () => {
+      const lockRes = await lock('A1', 'user1');
+      const first = await join('user2', { seatId: 'A1' });
+      const second = await join('user3', { seatId: 'A1' });
+
+      await request(app)
+        .delete('/seats/A1/unlock')
+        .set(auth('user1'))
+        .send({ lockId: lockRes.body.data.lockId });
+
+      const seatRes = await request(app).get('/seats/A1');
+      expect(seatRes.body.data).toMatchObject({ status: 'locked', userId: 'user2' });
+
+      const entryRes = await getEntry(first, 'user2');
+      expect(entryRes.body.data).toMatchObject({
+        status: 'offered',
+        seatOffered: 'A1',
+        lockId: seatRes.body.data.lockId,
+        position: null
+      });
+
+      const secondRes = await getEntry(second, 'user3');
+      expect(secondRes.body.data.position).toBe(1);
+
+      const confirmRes = await request(app)
+        .post('/seats/A1/confirm')
+        .set(auth('user2'))
+        .send({ lockId: entryRes.body.data.lockId, payment: { token: MOCK_TOKENS.SUCCESS } });
+      expect(confirmRes.status).toBe(201);
+
+      const fulfilled = await getEntry(first, 'user2');
+      expect(fulfilled.body.data.status).toBe('fulfilled');
+    });
+
+    it('should offer any seat of a row to a row waiter', async () => {
+      const seatIds = ['B1', 'B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'B8'];
+      const group = await request(app).post('/seats/lock').set(auth('user1')).send({ seatIds });
+      const entry = await join('user2', { row: 'B' });
+      expect(entry.status).toBe(201);
+
+      await request(app)
+        .delete('/seats/unlock')
+        .set(auth('user1'))
+        .send({ seatIds: ['B4'], lockId: group.body.data.lockId });
+
+      const seatRes = await request(app).get('/seats/B4');
+      expect(seatRes.body.data.userId).toBe('user2');
+    });
+
+    it('should pass the seat on when the waiter declines the offer', async () => {
+      const lockRes = await lock('A1', 'user1');
+      const first = await join('user2', { seatId: 'A1' });
+      await join('user3', { seatId: 'A1' });
+
+      await request(app)
+        .delete('/seats/A1/unlock')
+        .set(auth('user1'))
+        .send({ lockId: lockRes.body.data.lockId });
+      const offered = await getEntry(first, 'user2');
+      await request(app)
+        .delete('/seats/A1/unlock')
+        .set(auth('user2'))
+        .send({ lockId: offered.body.data.lockId });
+
+      const declined = await getEntry(first, 'user2');
+      expect(declined.body.data.status).toBe('declined');
+
+      const seatRes = await request(app).get('/seats/A1');
+      expect(seatRes.body.data.userId).toBe('user3');
+    });
+  });
+
+  describe('GET /seats/waitlist/:waitlistId', () => {
+    it('should only show an entry to its owner or an admin', async () => {
+      await lock('A1', 'user1');
+      const entry = await join('user2', { seatId: 'A1' });
+
+      const anonymous = await request(app).get(`/seats/waitlist/${entry.body.data.id}`);
+      const other = await getEntry(entry, 'user3');
+      const owner = await getEntry(entry, 'user2');
+      const admin = await request(app).get(`/seats/waitlist/${entry.body.data.id}`).set(auth('boxoffice', 'admin'));
+
+      expect(anonymous.status).toBe(401);
+      expect(other.status).toBe(403);
+      expect(owner.body.data.userId).toBe('user2');
+      expect(admin.status).toBe(200);
+    });
+  });
+
+  describe('Cancelled events', () => {
+    it('should close open offers when the event is cancelled', async () => {
+      const lockRes = await lock('A1', 'user1');
+      const entry = await join('user2', { seatId: 'A1' });
+      await request(app)
+        .delete('/seats/A1/unlock')
+        .set(auth('user1'))
+        .send({ lockId: lockRes.body.data.lockId });
+      const event = await request(app).post('/events').set(auth('boxoffice', 'admin')).send({ name: 'Matinee' });
+      const eventSeats = `/events/${event.body.data.id}/seats`;
+      const eventLock = await request(app).post(`${eventSeats}/B1/lock`).set(auth('user1'));
+      const eventEntry = await request(app).post(`${eventSeats}/waitlist`).set(auth('user2')).send({ seatId: 'B1' });
+      await request(app)
+        .delete(`${eventSeats}/B1/unlock`)
+        .set(auth('user1'))
+        .send({ lockId: eventLock.body.data.lockId });
+      const offered = await request(app).get(`${eventSeats}/waitlist/${eventEntry.body.data.id}`).set(auth('user2'));
+
+      await request(app).post(`/events/${event.body.data.id}/cancel`).set(auth('boxoffice', 'admin'));
+
+      const closed = await request(app).get(`${eventSeats}/waitlist/${eventEntry.body.data.id}`).set(auth('user2'));
+      const untouched = await getEntry(entry, 'user2');
+      expect(offered.body.data.status).toBe('offered');
+      expect(closed.body.data.status).toBe('declined');
+      expect(untouched.body.data.status).toBe('offered');
+    });
+  });
+
+  describe('DELETE /seats/waitlist/:waitlistId', () => {
+    it('should leave the waitlist and move others up', async () => {
+      const lockRes = await lock('A1', 'user1');
+      const first = await join('user2', { seatId: 'A1' });
+      const second = await join('user3', { seatId: 'A1' });
+
+      const leaveRes = await request(app)
+        .delete(`/seats/waitlist/${first.body.data.id}`)
+        .set(auth('user2'));
+      expect(leaveRes.status).toBe(200);
+      expect(leaveRes.body.data.status).toBe('left');
+
+      const secondRes = await getEntry(second, 'user3');
+      expect(secondRes.body.data.position).toBe(1);
+
+      await request(app)
+        .delete('/seats/A1/unlock')
+        .set(auth('user1'))
+        .send({ lockId: lockRes.body.data.lockId });
+      const seatRes = await request(app).get('/seats/A1');
+      expect(seatRes.body.data.userId).toBe('user3');
+    });
+
+    it('should not let another user remove an entry', async () => {
+      await lock('A1', 'user1');
+      const entry = await join('user2', { seatId: 'A1' });
+
+      const res = await request(app)
+        .delete(`/seats/waitlist/${entry.body.data.id}`)
+        .set(auth('user3'));
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should return 404 for an unknown entry', async () => {
+      const res = await request(app)
+        .delete('/seats/waitlist/missing')
+        .set(auth('user2'));
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
+
+describe('Waitlist offers on lock expiry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setStore(createStore('memory'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should offer an expired seat to the next waiter and expire unused offers', async () => {
+    await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D1', 'user1');
+    const first = WaitlistModel.joinWaitlist(DEFAULT_EVENT_ID, { userId: 'user2', seatId: 'D1' });
+    const second = WaitlistModel.joinWaitlist(DEFAULT_EVENT_ID, { userId: 'user3', seatId: 'D1' });
+
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D1').userId).toBe('user2');
+    expect(WaitlistModel.getEntry(DEFAULT_EVENT_ID, first.entry.id).status).toBe('offered');
+
+    // The offer carries its own full lock duration
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+    expect(WaitlistModel.getEntry(DEFAULT_EVENT_ID, first.entry.id).status).toBe('expired');
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D1').userId).toBe('user3');
+    expect(WaitlistModel.getEntry(DEFAULT_EVENT_ID, second.entry.id).status).toBe('offered');
+
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D1').status).toBe('available');
+  });
+
+  it('should pass over waiters who could not lock the seat themselves', async () => {
+    await SeatModel.lockSeats(DEFAULT_EVENT_ID, ['A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8', 'B1', 'B2'], 'user2');
+    await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D2', 'user1');
+    const full = WaitlistModel.joinWaitlist(DEFAULT_EVENT_ID, { userId: 'user2', seatId: 'D2' });
+    const next = WaitlistModel.joinWaitlist(DEFAULT_EVENT_ID, { userId: 'user3', seatId: 'D2' });
+
+    // The expiry of user1's lock comes after user2's group lock
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D2').userId).toBe('user3');
+    expect(WaitlistModel.getEntry(DEFAULT_EVENT_ID, full.entry.id).status).toBe('waiting');
+    expect(WaitlistModel.getEntry(DEFAULT_EVENT_ID, next.entry.id).status).toBe('offered');
+  });
+
+  it('should only offer seats to waiters admitted from the waiting room', async () => {
+    await SeatModel.lockSeat(DEFAULT_EVENT_ID, 'D3', 'user1');
+    const entry = WaitlistModel.joinWaitlist(DEFAULT_EVENT_ID, { userId: 'user2', seatId: 'D3' });
+    QueueModel.configure(DEFAULT_EVENT_ID);
+
+    await jest.advanceTimersByTimeAsync(LOCK_DURATION);
+
+    expect(SeatModel.getSeatById(DEFAULT_EVENT_ID, 'D3').status).toBe('available');
+    expect(WaitlistModel.getEntry(DEFAULT_EVENT_ID, entry.entry.id).status).toBe('waiting');
+  });
+
+  it('should not count unused offers towards a cooldown', async () => {
+    for (let strike = 0; strike < COOLDOWN_STRIKES; strike++) {
+      const seatId = `E${strike + 1}`;
+      await SeatModel.lockSeat(DEFAULT_EVENT_ID, seatId, 'user1');
+      WaitlistModel.joinWaitlist(DEFAULT_EVENT_ID, { userId: 'user2', seatId });
+      // user1's lock expires into an offer to user2, which expires in turn
+      await jest.advanceTimersByTimeAsync(2 * LOCK_DURATION);
+    }
+
+    expect(LockCooldownModel.cooldownUntil('user1')).not.toBeNull();
+    expect(LockCooldownModel.cooldownUntil('user2')).toBeNull();
+  });
+});